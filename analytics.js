@@ -0,0 +1,124 @@
+import moment from 'moment-timezone';
+import supabase from './supabase.js';
+
+export const DEFAULT_TIMEZONE = 'America/Sao_Paulo';
+
+const INTERVALS = ['day', 'hour'];
+const MAX_HOURLY_RANGE_DAYS = 31;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Taxa de conversão em porcentagem, com uma casa decimal: conversões sobre
+ * cliques (a mesma definição em /url-performance e no resumo por e-mail)
+ * @param {number} conversions
+ * @param {number} clicks
+ * @returns {number}
+ */
+export const conversionRate = (conversions, clicks) => (
+  clicks > 0 ? parseFloat(((conversions / clicks) * 100).toFixed(1)) : 0
+);
+
+/**
+ * Interpreta os filtros de período da query string. Datas sem horário
+ * cobrem o dia inteiro no fuso informado.
+ * @param {object} query start_date, end_date, interval, timezone
+ * @returns {{start: string|null, end: string|null, interval: string, timezone: string} | {error: string}}
+ */
+export const parsePeriod = ({ start_date, end_date, interval = 'day', timezone = DEFAULT_TIMEZONE }) => {
+  if (!moment.tz.zone(timezone)) {
+    return { error: 'Fuso horário inválido' };
+  }
+
+  if (!INTERVALS.includes(interval)) {
+    return { error: 'Intervalo deve ser "day" ou "hour"' };
+  }
+
+  const parseDate = (value, endOfDay) => {
+    if (!value) return null;
+    const date = moment.tz(value, moment.ISO_8601, timezone);
+    if (!date.isValid()) return undefined;
+    if (endOfDay && DATE_ONLY.test(value)) date.endOf('day');
+    return date;
+  };
+
+  const start = parseDate(start_date, false);
+  const end = parseDate(end_date, true);
+
+  if (start === undefined || end === undefined) {
+    return { error: 'Datas devem estar no formato ISO 8601' };
+  }
+
+  if (start && end && start.isAfter(end)) {
+    return { error: 'start_date deve ser anterior a end_date' };
+  }
+
+  if (interval === 'hour' && (!start || !end || end.diff(start, 'days', true) > MAX_HOURLY_RANGE_DAYS)) {
+    return { error: `Intervalo por hora exige start_date e end_date com até ${MAX_HOURLY_RANGE_DAYS} dias` };
+  }
+
+  return {
+    start: start ? start.toISOString() : null,
+    end: end ? end.toISOString() : null,
+    interval,
+    timezone
+  };
+};
+
+/**
+ * Busca as métricas de uma URL no período, agregadas no banco
+ * @param {string} urlId
+ * @param {{start: string|null, end: string|null, interval: string, timezone: string}} period
+ * @param {boolean} [includeBots] inclui cliques de bots nas métricas de cliques
+ * @returns {Promise<object>}
+ */
+export const getUrlPerformance = async (urlId, { start, end, interval, timezone }, includeBots = false) => {
+  const range = { p_url_id: urlId, p_start: start, p_end: end };
+  const clickRange = { ...range, p_include_bots: includeBots };
+
+  const [stats, timeseries, devices, referrers, browsers, systems, conversionEvents] = await Promise.all([
+    supabase.rpc('url_click_stats', { ...clickRange, p_timezone: timezone }).single(),
+    supabase.rpc('url_click_timeseries', { ...clickRange, p_interval: interval, p_timezone: timezone }),
+    supabase.rpc('url_click_breakdown', { ...clickRange, p_dimension: 'device' }),
+    supabase.rpc('url_click_breakdown', { ...clickRange, p_dimension: 'referrer' }),
+    supabase.rpc('url_click_breakdown', { ...clickRange, p_dimension: 'browser' }),
+    supabase.rpc('url_click_breakdown', { ...clickRange, p_dimension: 'os' }),
+    supabase.rpc('url_conversion_breakdown', range)
+  ]);
+
+  const errors = [stats, timeseries, devices, referrers, browsers, systems, conversionEvents].map(r => r.error).filter(Boolean);
+  if (errors.length > 0) {
+    console.error('Erros nas consultas:', errors);
+    throw new Error('Erro ao buscar dados de cliques');
+  }
+
+  const totalClicks = Number(stats.data.total_clicks);
+  const conversions = Number(stats.data.conversions);
+  const deviceCounts = { desktop: 0, mobile: 0, tablet: 0, other: 0 };
+  for (const { key, clicks } of devices.data) {
+    const device = key in deviceCounts ? key : 'other';
+    deviceCounts[device] += Number(clicks);
+  }
+
+  return {
+    total_clicks: totalClicks,
+    unique_visitors: Number(stats.data.unique_visitors),
+    bot_clicks: Number(stats.data.bot_clicks),
+    conversions,
+    conversion_rate: conversionRate(conversions, totalClicks),
+    revenue: conversionEvents.data.reduce((sum, e) => sum + Number(e.revenue), 0),
+    conversions_by_event: conversionEvents.data.map(e => ({
+      event: e.event_type,
+      conversions: Number(e.conversions),
+      revenue: Number(e.revenue)
+    })),
+    devices: deviceCounts,
+    referrers: referrers.data.map(r => ({ referrer: r.key, clicks: Number(r.clicks) })),
+    browsers: browsers.data.map(b => ({ browser: b.key, clicks: Number(b.clicks) })),
+    operating_systems: systems.data.map(o => ({ os: o.key, clicks: Number(o.clicks) })),
+    timeseries: timeseries.data.map(t => ({
+      bucket: moment.tz(t.bucket, timezone).format(),
+      clicks: Number(t.clicks),
+      unique_visitors: Number(t.unique_visitors)
+    }))
+  };
+};
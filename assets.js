@@ -0,0 +1,460 @@
+import crypto from 'crypto';
+import supabase, { storageService } from './supabase.js';
+import { parseTags } from './tags.js';
+
+export const VISIBILITIES = ['public', 'private'];
+
+// Arquivos públicos ficam no bucket público de imagens; os privados, em um
+// bucket sem leitura pública (PRIVATE_BUCKET_NAME)
+export const BUCKET_NAME = 'images';
+export const PRIVATE_BUCKET_NAME = process.env.PRIVATE_BUCKET_NAME || 'images-private';
+
+const MAX_NAME_LENGTH = 255;
+const MIN_SIGNED_URL_SECONDS = 60;
+const MAX_SIGNED_URL_SECONDS = 60 * 60;
+const DEFAULT_SIGNED_URL_SECONDS = 5 * 60;
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+const PURGE_BATCH_SIZE = 100;
+// Tempo máximo de uma limpeza da lixeira; o que sobrar fica para a próxima
+const PURGE_TIME_BUDGET_MS = 10 * 60 * 1000;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * SHA-256 (hexadecimal) do conteúdo de um arquivo
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+export const hashBuffer = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+/**
+ * Arquivo já existente com o mesmo conteúdo e a mesma visibilidade na
+ * organização (arquivos na lixeira não contam). Um envio privado nunca
+ * devolve o arquivo público equivalente, e vice-versa.
+ * @param {string} sha256
+ * @param {string} organizationId
+ * @param {'public'|'private'} visibility
+ * @returns {Promise<object|null>}
+ */
+export const findAssetByHash = async (sha256, organizationId, visibility) => {
+  const { data, error } = await supabase
+    .from('uploads')
+    .select('*')
+    .eq('organization_id', organizationId)
+    .eq('visibility', visibility)
+    .eq('sha256', sha256)
+    .is('deleted_at', null)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+const parseName = (value, label) => {
+  if (typeof value !== 'string' || !value.trim()) {
+    return { error: `${label} é obrigatório` };
+  }
+  if (value.trim().length > MAX_NAME_LENGTH || /[\\/]/.test(value)) {
+    return { error: `${label} deve ter até ${MAX_NAME_LENGTH} caracteres, sem "/"` };
+  }
+  return { name: value.trim() };
+};
+
+const parseFolderId = (value, field) => {
+  if (value === null || value === '') return { id: null };
+  if (typeof value !== 'string' || !UUID_PATTERN.test(value)) {
+    return { error: `${field} inválido` };
+  }
+  return { id: value };
+};
+
+/**
+ * Valida o corpo de criação/edição de uma pasta
+ * @param {object} body name, parent_id
+ * @param {boolean} partial true em edições (campos ausentes são mantidos)
+ * @returns {{folder?: object, error?: string}}
+ */
+export const parseFolderInput = (body, partial = false) => {
+  const folder = {};
+
+  if (!partial || body.name !== undefined) {
+    const { name, error } = parseName(body.name, 'Nome da pasta');
+    if (error) return { error };
+    folder.name = name;
+  }
+
+  if (body.parent_id !== undefined) {
+    const { id, error } = parseFolderId(body.parent_id, 'parent_id');
+    if (error) return { error };
+    folder.parent_id = id;
+  }
+
+  return { folder };
+};
+
+/**
+ * Valida a visibilidade de um arquivo
+ * @param {string} value
+ * @returns {{visibility?: 'public'|'private', error?: string}}
+ */
+export const parseVisibility = (value) => (
+  VISIBILITIES.includes(value)
+    ? { visibility: value }
+    : { error: 'Visibilidade deve ser "public" ou "private"' }
+);
+
+/**
+ * Valida a edição de um arquivo da biblioteca (renomear, mover, tags, visibilidade)
+ * @param {object} body name, folder_id, tags, visibility
+ * @returns {{asset?: object, error?: string}}
+ */
+export const parseAssetUpdate = (body) => {
+  const asset = {};
+
+  if (body.name !== undefined) {
+    const { name, error } = parseName(body.name, 'Nome do arquivo');
+    if (error) return { error };
+    asset.name = name;
+  }
+
+  if (body.folder_id !== undefined) {
+    const { id, error } = parseFolderId(body.folder_id, 'folder_id');
+    if (error) return { error };
+    asset.folder_id = id;
+  }
+
+  if (body.tags !== undefined) {
+    const { tags, error } = parseTags(body.tags);
+    if (error) return { error };
+    asset.tags = tags;
+  }
+
+  if (body.visibility !== undefined) {
+    const { visibility, error } = parseVisibility(body.visibility);
+    if (error) return { error };
+    asset.visibility = visibility;
+  }
+
+  if (!Object.keys(asset).length) {
+    return { error: 'Nenhum campo para atualizar' };
+  }
+
+  return { asset };
+};
+
+/**
+ * Converte o texto de busca em tsquery com prefixo ("ban ver" -> "ban:* & ver:*"),
+ * para encontrar nomes e tags enquanto o usuário digita
+ * @param {string} term
+ * @returns {string|null}
+ */
+export const buildSearchQuery = (term) => {
+  const words = String(term)
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}_]+/u)
+    .filter(Boolean)
+    .slice(0, 10);
+
+  return words.length ? words.map(word => `${word}:*`).join(' & ') : null;
+};
+
+/**
+ * Verifica se mover a pasta para newParentId criaria um ciclo
+ * @param {string} folderId
+ * @param {string|null} newParentId
+ * @returns {Promise<boolean>}
+ */
+export const createsFolderCycle = async (folderId, newParentId) => {
+  let current = newParentId;
+  const visited = new Set();
+
+  while (current) {
+    if (current === folderId || visited.has(current)) return true;
+    visited.add(current);
+
+    const { data, error } = await supabase
+      .from('asset_folders')
+      .select('parent_id')
+      .eq('id', current)
+      .maybeSingle();
+
+    if (error) throw error;
+    current = data?.parent_id || null;
+  }
+
+  return false;
+};
+
+/**
+ * Remove a coluna interna de busca da resposta
+ * @param {object} file linha de uploads
+ * @returns {object}
+ */
+export const toAsset = ({ search, ...file }) => file;
+
+/**
+ * Pasta raiz no bucket conforme a visibilidade: arquivos privados ficam
+ * fora de public/ e só são acessados por URL assinada
+ * @param {'public'|'private'} visibility
+ * @returns {string}
+ */
+export const visibilityPrefix = (visibility) => (visibility === 'private' ? 'private' : 'public');
+
+/**
+ * Bucket onde ficam os arquivos de cada visibilidade
+ * @param {'public'|'private'} visibility
+ * @returns {string}
+ */
+export const bucketFor = (visibility) => (visibility === 'private' ? PRIVATE_BUCKET_NAME : BUCKET_NAME);
+
+const toVisibilityPath = (path, visibility) => path.replace(/^(public|private)\//, `${visibilityPrefix(visibility)}/`);
+
+/**
+ * Caminhos no bucket das miniaturas e da capa de um upload
+ * @param {object} file
+ * @returns {string[]}
+ */
+export const derivedPaths = (file) => [
+  ...Object.values(file.thumbnails || {}).map(thumbnail => thumbnail.path),
+  ...(file.poster_path ? [file.poster_path] : [])
+];
+
+/**
+ * Move o arquivo e seus derivados para o bucket e a pasta da nova visibilidade.
+ * Se algum passo falhar, os arquivos já movidos voltam ao lugar.
+ * @param {object} file linha de uploads
+ * @param {'public'|'private'} visibility
+ * @param {string} [bucket] bucket de destino (padrão: o da visibilidade)
+ * @returns {Promise<object>} campos a gravar em uploads
+ */
+export const moveAssetFiles = async (file, visibility, bucket = bucketFor(visibility)) => {
+  const moves = [file.path, ...derivedPaths(file)]
+    .map(from => [from, toVisibilityPath(from, visibility)])
+    .filter(([from, to]) => from !== to || file.bucket !== bucket);
+
+  const done = [];
+  try {
+    for (const [from, to] of moves) {
+      const { error } = await supabase.storage.from(file.bucket).move(from, to, { destinationBucket: bucket });
+      if (error) throw error;
+      done.push([from, to]);
+    }
+  } catch (error) {
+    for (const [from, to] of done.reverse()) {
+      await supabase.storage.from(bucket).move(to, from, { destinationBucket: file.bucket });
+    }
+    throw error;
+  }
+
+  const urlFor = (path) => (visibility === 'public' ? storageService.getPublicUrl(bucket, path) : null);
+  const thumbnails = file.thumbnails && Object.fromEntries(
+    Object.entries(file.thumbnails).map(([size, thumbnail]) => {
+      const path = toVisibilityPath(thumbnail.path, visibility);
+      return [size, { ...thumbnail, path, url: urlFor(path) }];
+    })
+  );
+  const posterPath = file.poster_path && toVisibilityPath(file.poster_path, visibility);
+
+  return {
+    visibility,
+    bucket,
+    path: toVisibilityPath(file.path, visibility),
+    url: urlFor(toVisibilityPath(file.path, visibility)),
+    thumbnails,
+    poster_path: posterPath,
+    poster_url: posterPath ? urlFor(posterPath) : null
+  };
+};
+
+/**
+ * Leva para o bucket privado os arquivos privados enviados quando eles
+ * ainda ficavam em private/ do bucket público
+ * @returns {Promise<number>} quantidade de arquivos movidos
+ */
+export const movePrivateFilesToPrivateBucket = async () => {
+  const { data, error } = await supabase
+    .from('uploads')
+    .select('id, bucket, path, thumbnails, poster_path')
+    .eq('visibility', 'private')
+    .neq('bucket', PRIVATE_BUCKET_NAME)
+    .limit(PURGE_BATCH_SIZE);
+
+  if (error) throw error;
+
+  let moved = 0;
+  for (const file of data) {
+    try {
+      const fields = await moveAssetFiles(file, 'private');
+      const { error: dbError } = await supabase
+        .from('uploads')
+        .update({ bucket: fields.bucket, path: fields.path, thumbnails: fields.thumbnails, poster_path: fields.poster_path })
+        .eq('id', file.id)
+        .eq('bucket', file.bucket);
+
+      if (dbError) {
+        await moveAssetFiles({ ...file, ...fields }, 'private', file.bucket);
+        throw dbError;
+      }
+      moved++;
+    } catch (err) {
+      console.error(`Erro ao mover arquivo privado ${file.id}:`, err.message);
+    }
+  }
+  return moved;
+};
+
+/**
+ * Lê a validade pedida para URLs assinadas (expires_in, em segundos)
+ * @param {string} value
+ * @returns {{expiresIn?: number, error?: string}}
+ */
+export const parseExpiresIn = (value) => {
+  if (value === undefined) return { expiresIn: DEFAULT_SIGNED_URL_SECONDS };
+
+  const expiresIn = Number(value);
+  if (!Number.isInteger(expiresIn) || expiresIn < MIN_SIGNED_URL_SECONDS || expiresIn > MAX_SIGNED_URL_SECONDS) {
+    return { error: `expires_in deve estar entre ${MIN_SIGNED_URL_SECONDS} e ${MAX_SIGNED_URL_SECONDS} segundos` };
+  }
+  return { expiresIn };
+};
+
+/**
+ * URLs de acesso ao arquivo e derivados: assinadas e temporárias para
+ * arquivos privados, públicas para os demais
+ * @param {object} file
+ * @param {number} expiresIn segundos
+ * @returns {Promise<object>}
+ */
+export const getAssetUrls = async (file, expiresIn) => {
+  if (file.visibility !== 'private') {
+    return {
+      visibility: 'public',
+      url: file.url,
+      thumbnails: Object.fromEntries(Object.entries(file.thumbnails || {}).map(([size, t]) => [size, t.url])),
+      poster_url: file.poster_url,
+      expires_at: null
+    };
+  }
+
+  const sign = (path) => storageService.getSignedUrl(file.bucket, path, expiresIn);
+  const thumbnails = await Promise.all(
+    Object.entries(file.thumbnails || {}).map(async ([size, t]) => [size, await sign(t.path)])
+  );
+
+  return {
+    visibility: 'private',
+    url: await sign(file.path),
+    thumbnails: Object.fromEntries(thumbnails),
+    poster_url: file.poster_path ? await sign(file.poster_path) : null,
+    expires_at: new Date(Date.now() + expiresIn * 1000).toISOString()
+  };
+};
+
+/**
+ * Dias que um arquivo fica na lixeira antes da exclusão definitiva
+ * (TRASH_RETENTION_DAYS)
+ * @returns {number}
+ */
+export const getTrashRetentionDays = () => {
+  const days = Number(process.env.TRASH_RETENTION_DAYS);
+  return Number.isInteger(days) && days > 0 ? days : DEFAULT_TRASH_RETENTION_DAYS;
+};
+
+/**
+ * Arquivos enviados à lixeira antes desta data já venceram: não podem mais
+ * ser restaurados e serão excluídos por purgeTrashedFiles
+ * @returns {string}
+ */
+export const trashCutoff = () => (
+  new Date(Date.now() - getTrashRetentionDays() * 24 * 60 * 60 * 1000).toISOString()
+);
+
+/**
+ * Data em que um arquivo enviado à lixeira será excluído definitivamente
+ * @param {string} deletedAt
+ * @returns {string}
+ */
+export const purgeDate = (deletedAt) => (
+  new Date(new Date(deletedAt).getTime() + getTrashRetentionDays() * 24 * 60 * 60 * 1000).toISOString()
+);
+
+/**
+ * Links que usam o arquivo (ou uma de suas miniaturas/capa) como imagem
+ * @param {object} file linha de uploads
+ * @returns {Promise<Array<{id: string, name: string}>>}
+ */
+export const findLinksUsingAsset = async (file) => {
+  const urls = [
+    file.url,
+    file.poster_url,
+    ...Object.values(file.thumbnails || {}).map(thumbnail => thumbnail.url)
+  ].filter(Boolean);
+
+  if (!urls.length) return [];
+
+  const { data, error } = await supabase
+    .from('urls_snapbox')
+    .select('id, name')
+    .eq('organization_id', file.organization_id)
+    .in('image', urls);
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Exclui definitivamente os arquivos que passaram do prazo na lixeira, em
+ * lotes, até não restar nenhum vencido ou acabar o tempo da limpeza.
+ * Remover do Storage antes do banco torna o processo idempotente: se duas
+ * instâncias pegarem o mesmo arquivo, a segunda remoção não tem efeito.
+ * Arquivos vencidos não podem ser restaurados, então não há corrida com a restauração.
+ * @param {number} [timeBudgetMs]
+ * @returns {Promise<number>} quantidade de arquivos excluídos
+ */
+export const purgeTrashedFiles = async (timeBudgetMs = PURGE_TIME_BUDGET_MS) => {
+  const cutoff = trashCutoff();
+  const deadline = Date.now() + timeBudgetMs;
+  // Arquivos que falharam nesta limpeza não são buscados de novo
+  const failed = [];
+
+  let purged = 0;
+  while (Date.now() < deadline) {
+    let query = supabase
+      .from('uploads')
+      .select('id, bucket, path, thumbnails, poster_path')
+      .lt('deleted_at', cutoff)
+      .order('deleted_at', { ascending: true })
+      .limit(PURGE_BATCH_SIZE);
+
+    if (failed.length) query = query.not('id', 'in', `(${failed.join(',')})`);
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    const failedBefore = failed.length;
+    for (const file of data) {
+      try {
+        const { error: storageError } = await supabase.storage
+          .from(file.bucket)
+          .remove([file.path, ...derivedPaths(file)]);
+
+        if (storageError) throw storageError;
+
+        const { data: deleted, error: dbError } = await supabase
+          .from('uploads')
+          .delete()
+          .eq('id', file.id)
+          .select('id');
+
+        if (dbError) throw dbError;
+        if (deleted.length) purged++;
+      } catch (err) {
+        failed.push(file.id);
+        console.error(`Erro ao excluir arquivo ${file.id} da lixeira:`, err.message);
+      }
+    }
+
+    // Lote inteiro com erro (ex.: Storage fora do ar): tenta de novo na próxima limpeza
+    if (data.length < PURGE_BATCH_SIZE || failed.length - failedBefore === data.length) break;
+  }
+  return purged;
+};
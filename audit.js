@@ -0,0 +1,104 @@
+import supabase from './supabase.js';
+
+const TABLE = 'audit_log';
+const ACTION_PATTERN = /^[a-z_]+(\.[a-z_]+)*(\.\*)?$/;
+
+// Colunas internas que não fazem sentido no histórico
+const OMITTED_FIELDS = ['search'];
+
+const toSnapshot = (value) => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return value ?? null;
+  return Object.fromEntries(Object.entries(value).filter(([key]) => !OMITTED_FIELDS.includes(key)));
+};
+
+/**
+ * Registra uma ação no log de auditoria (somente inserção). Falhas são
+ * apenas logadas para não desfazer uma operação que já foi concluída.
+ * @param {import('express').Request} req requisição (autor, organização e IP)
+ * @param {string} action ex.: "url.delete", "admin.add"
+ * @param {{targetType?: string, targetId?: string|number, before?: object, after?: object, actor?: string, organizationId?: string}} [details]
+ *   actor e organizationId substituem os dados do token (rotas públicas)
+ * @returns {Promise<void>}
+ */
+export const recordAudit = async (req, action, {
+  targetType = null, targetId = null, before = null, after = null, actor, organizationId
+} = {}) => {
+  const { error } = await supabase
+    .from(TABLE)
+    .insert([{
+      actor_email: (actor || req.user?.email)?.toLowerCase() || null,
+      organization_id: organizationId || req.user?.org || null,
+      action,
+      target_type: targetType,
+      target_id: targetId === null ? null : String(targetId),
+      before: toSnapshot(before),
+      after: toSnapshot(after),
+      ip: req.ip || null
+    }]);
+
+  if (error) {
+    console.error(`Erro ao registrar auditoria (${action}):`, error.message);
+  }
+};
+
+const parseDate = (value, field) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return { error: `${field} deve ser uma data válida` };
+  return { date: date.toISOString() };
+};
+
+/**
+ * Valida os filtros de consulta do log de auditoria
+ * @param {object} query actor, action (exata ou prefixo "url.*"), target_type, target_id, from, to
+ * @returns {{filters?: object, error?: string}}
+ */
+export const parseAuditFilters = ({ actor, action, target_type, target_id, from, to }) => {
+  const filters = {};
+
+  if (actor) filters.actor = String(actor).toLowerCase();
+  if (action) {
+    if (!ACTION_PATTERN.test(action)) return { error: 'Ação inválida (ex.: "url.delete" ou "url.*")' };
+    filters.action = action;
+  }
+  if (target_type) filters.targetType = String(target_type);
+  if (target_id) filters.targetId = String(target_id);
+
+  if (from) {
+    const { date, error } = parseDate(from, 'from');
+    if (error) return { error };
+    filters.from = date;
+  }
+
+  if (to) {
+    const { date, error } = parseDate(to, 'to');
+    if (error) return { error };
+    filters.to = date;
+  }
+
+  if (filters.from && filters.to && filters.from > filters.to) {
+    return { error: '"from" deve ser anterior a "to"' };
+  }
+
+  return { filters };
+};
+
+/**
+ * Aplica os filtros de parseAuditFilters a uma query de audit_log
+ * @param {object} query query do supabase-js
+ * @param {object} filters
+ * @returns {object}
+ */
+export const applyAuditFilters = (query, { actor, action, targetType, targetId, from, to }) => {
+  let filtered = query;
+
+  if (actor) filtered = filtered.eq('actor_email', actor);
+  // "url.*" lista todas as ações sobre links
+  if (action?.endsWith('.*')) filtered = filtered.like('action', `${action.slice(0, -1).replace(/_/g, '\\_')}%`);
+  else if (action) filtered = filtered.eq('action', action);
+  if (targetType) filtered = filtered.eq('target_type', targetType);
+  if (targetId) filtered = filtered.eq('target_id', targetId);
+  if (from) filtered = filtered.gte('created_at', from);
+  if (to) filtered = filtered.lte('created_at', to);
+
+  return filtered;
+};
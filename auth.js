@@ -0,0 +1,154 @@
+import jwt from 'jsonwebtoken';
+import { findAdmin } from './organizations.js';
+import { isSessionActive } from './sessions.js';
+
+// Segredo padrão antigo: tokens assinados com ele nunca são aceitos
+const INSECURE_JWT_SECRET = 'your_secret_key';
+const JWT_ALGORITHM = 'HS256';
+// Tickets de stream só valem nas rotas /stream (EventSource não envia cabeçalhos)
+const STREAM_AUDIENCE = 'stream';
+const STREAM_PATH = /^\/stream\//;
+export const STREAM_TICKET_TTL_SECONDS = 60;
+
+/**
+ * Retorna o segredo JWT configurado, ou null se estiver ausente/inseguro.
+ * Lido sob demanda porque o dotenv é carregado depois dos imports.
+ * @returns {string|null}
+ */
+export const getJwtSecret = () => {
+  const secret = process.env.JWT_SECRET;
+  if (!secret || secret === INSECURE_JWT_SECRET) return null;
+  return secret;
+};
+
+/**
+ * Assina o token de acesso do usuário
+ * @param {object} payload
+ * @param {string} expiresIn
+ * @returns {string}
+ */
+export const signAccessToken = (payload, expiresIn = '15m') => {
+  const secret = getJwtSecret();
+  if (!secret) throw new Error('JWT_SECRET não configurado');
+  return jwt.sign(payload, secret, { algorithm: JWT_ALGORITHM, expiresIn });
+};
+
+/**
+ * Assina um ticket de curta duração para abrir streams SSE pela query
+ * string (?ticket=), com os mesmos dados do token de acesso
+ * @param {object} user req.user
+ * @returns {string}
+ */
+export const signStreamTicket = ({ email, isAdmin, role, org, sid }) => {
+  const secret = getJwtSecret();
+  if (!secret) throw new Error('JWT_SECRET não configurado');
+  return jwt.sign({ email, isAdmin, role, org, sid }, secret, {
+    algorithm: JWT_ALGORITHM,
+    audience: STREAM_AUDIENCE,
+    expiresIn: STREAM_TICKET_TTL_SECONDS
+  });
+};
+
+const unauthorized = (res, error, code) => {
+  res.set('WWW-Authenticate', `Bearer error="${code}"`);
+  return res.status(401).json({ error });
+};
+
+/**
+ * Middleware de autenticação: exige um Bearer token válido em todas as
+ * rotas, exceto nas listadas em publicRoutes ([método, regex do path]).
+ * O token precisa pertencer a uma sessão aberta (claim sid) e indicar a
+ * organização do usuário (claim org); o payload fica disponível em req.user.
+ * Em GET /stream/* também é aceito um ticket (signStreamTicket) em ?ticket=.
+ * @param {Array<[string, RegExp]>} publicRoutes
+ */
+export const authenticate = (publicRoutes = []) => async (req, res, next) => {
+  const isPublic = publicRoutes.some(([method, pattern]) => (
+    req.method === method && pattern.test(req.path)
+  ));
+  if (isPublic) return next();
+
+  const secret = getJwtSecret();
+  if (!secret) {
+    console.error('JWT_SECRET ausente ou inseguro: requisições autenticadas estão bloqueadas.');
+    return res.status(500).json({ error: 'Autenticação não configurada no servidor.' });
+  }
+
+  const [scheme, token] = (req.get('authorization') || '').split(' ');
+  const ticket = req.method === 'GET' && STREAM_PATH.test(req.path) && typeof req.query.ticket === 'string'
+    ? req.query.ticket
+    : null;
+  const hasBearer = scheme === 'Bearer' && token;
+
+  if (!hasBearer && !ticket) {
+    return unauthorized(res, 'Token de acesso ausente.', 'invalid_request');
+  }
+
+  let payload;
+  try {
+    payload = hasBearer
+      ? jwt.verify(token, secret, { algorithms: [JWT_ALGORITHM] })
+      : jwt.verify(ticket, secret, { algorithms: [JWT_ALGORITHM], audience: STREAM_AUDIENCE });
+  } catch (err) {
+    if (err instanceof jwt.TokenExpiredError) {
+      return unauthorized(res, 'Token expirado.', 'invalid_token');
+    }
+    return unauthorized(res, 'Token inválido.', 'invalid_token');
+  }
+
+  // Tokens emitidos antes das organizações não têm org: o cliente renova o token.
+  // Tickets de stream não servem como token de acesso.
+  if (!payload.sid || !payload.org || (hasBearer && payload.aud === STREAM_AUDIENCE)) {
+    return unauthorized(res, 'Token inválido.', 'invalid_token');
+  }
+
+  try {
+    if (!(await isSessionActive(payload.sid))) {
+      return unauthorized(res, 'Sessão encerrada.', 'invalid_token');
+    }
+  } catch (err) {
+    console.error('Erro ao verificar sessão:', err.message);
+    return res.status(500).json({ error: 'Erro ao verificar sessão.' });
+  }
+
+  req.user = payload;
+  return next();
+};
+
+/**
+ * Middleware para rotas de administrador. Confere a tabela admins a cada
+ * requisição, para que um admin removido perca o acesso antes do token expirar.
+ * Admins vinculados a uma organização só têm acesso dentro dela. O registro
+ * fica disponível em req.admin.
+ */
+export const requireAdmin = async (req, res, next) => {
+  if (!req.user?.isAdmin) {
+    return res.status(403).json({ error: 'Acesso restrito a administradores.' });
+  }
+
+  let admin;
+  try {
+    admin = await findAdmin(req.user.email, req.user.org);
+  } catch (error) {
+    console.error('Erro ao verificar admin:', error.message);
+    return res.status(500).json({ error: 'Erro ao verificar admin.' });
+  }
+
+  if (!admin) {
+    return res.status(403).json({ error: 'Acesso restrito a administradores.' });
+  }
+
+  req.admin = admin;
+  return next();
+};
+
+/**
+ * Middleware para rotas de proprietário (gestão de admins, organizações e
+ * configurações globais)
+ */
+export const requireOwner = (req, res, next) => requireAdmin(req, res, () => {
+  if (req.admin.role !== 'owner') {
+    return res.status(403).json({ error: 'Acesso restrito a proprietários.' });
+  }
+  return next();
+});
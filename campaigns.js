@@ -0,0 +1,47 @@
+import moment from 'moment-timezone';
+import { parseTags } from './tags.js';
+
+const CAMPAIGN_FIELDS = ['name', 'client', 'brand', 'start_date', 'end_date', 'tags'];
+
+/**
+ * Valida o corpo de criação/edição de uma campanha
+ * @param {object} body
+ * @param {boolean} partial true em edições (campos ausentes são mantidos)
+ * @returns {{campaign?: object, error?: string}}
+ */
+export const parseCampaignInput = (body, partial = false) => {
+  const campaign = {};
+
+  for (const field of CAMPAIGN_FIELDS) {
+    if (body[field] !== undefined) campaign[field] = body[field];
+  }
+
+  if (!partial || campaign.name !== undefined) {
+    if (!campaign.name || typeof campaign.name !== 'string') {
+      return { error: 'Nome da campanha é obrigatório' };
+    }
+    campaign.name = campaign.name.trim();
+  }
+
+  for (const field of ['start_date', 'end_date']) {
+    if (!campaign[field]) {
+      if (field in campaign) campaign[field] = null;
+      continue;
+    }
+    if (!moment(campaign[field], 'YYYY-MM-DD', true).isValid()) {
+      return { error: `${field} deve estar no formato YYYY-MM-DD` };
+    }
+  }
+
+  if (campaign.start_date && campaign.end_date && campaign.start_date > campaign.end_date) {
+    return { error: 'start_date deve ser anterior a end_date' };
+  }
+
+  if (campaign.tags !== undefined) {
+    const { tags, error } = parseTags(campaign.tags);
+    if (error) return { error };
+    campaign.tags = tags;
+  }
+
+  return { campaign };
+};
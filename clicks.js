@@ -0,0 +1,55 @@
+import supabase from './supabase.js';
+import { classifyUserAgent } from './userAgent.js';
+
+// Cliques repetidos da mesma sessão na mesma URL dentro desta janela são ignorados
+const DEFAULT_DUPLICATE_WINDOW_SECONDS = 10;
+
+/**
+ * Indica se a sessão já clicou nesta URL há poucos segundos
+ * @param {string} urlId
+ * @param {string} sessionId
+ * @returns {Promise<boolean>}
+ */
+const isRepeatClick = async (urlId, sessionId) => {
+  const windowSeconds = Number(process.env.CLICK_DEDUP_WINDOW_SECONDS) || DEFAULT_DUPLICATE_WINDOW_SECONDS;
+  const since = new Date(Date.now() - windowSeconds * 1000).toISOString();
+
+  const { data, error } = await supabase
+    .from('url_clicks')
+    .select('id')
+    .eq('url_id', urlId)
+    .eq('session_id', sessionId)
+    .gte('click_time', since)
+    .limit(1);
+
+  if (error) throw error;
+  return data.length > 0;
+};
+
+/**
+ * Registra um clique classificando dispositivo, sistema, navegador e bots
+ * pelo User-Agent, e descartando repetições rápidas da mesma sessão
+ * @param {{urlId: string, sessionId: string, userAgent: string|null, referrer: string}} click
+ * @returns {Promise<{recorded: boolean, duplicate: boolean, is_bot: boolean}>}
+ */
+export const recordClick = async ({ urlId, sessionId, userAgent, referrer }) => {
+  const classification = classifyUserAgent(userAgent);
+
+  if (await isRepeatClick(urlId, sessionId)) {
+    return { recorded: false, duplicate: true, is_bot: classification.is_bot };
+  }
+
+  const { error } = await supabase
+    .from('url_clicks')
+    .insert([{
+      url_id: urlId,
+      session_id: sessionId,
+      ...classification,
+      referrer: referrer || 'direct',
+      user_agent: userAgent,
+      click_time: new Date().toISOString()
+    }]);
+
+  if (error) throw error;
+  return { recorded: true, duplicate: false, is_bot: classification.is_bot };
+};
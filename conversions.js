@@ -0,0 +1,111 @@
+import supabase from './supabase.js';
+
+const DEFAULT_ATTRIBUTION_WINDOW_HOURS = 7 * 24;
+const EVENT_PATTERN = /^[a-zA-Z0-9_.:-]{1,64}$/;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Janela de atribuição em horas (CONVERSION_ATTRIBUTION_WINDOW_HOURS)
+ * @returns {number}
+ */
+export const getAttributionWindowHours = () => {
+  const hours = Number(process.env.CONVERSION_ATTRIBUTION_WINDOW_HOURS);
+  return hours > 0 ? hours : DEFAULT_ATTRIBUTION_WINDOW_HOURS;
+};
+
+/**
+ * Valida e normaliza os dados de uma conversão
+ * @param {object} input event, value, currency, urlId, sessionId, externalId
+ * @returns {{conversion?: object, error?: string}}
+ */
+export const parseConversion = ({ event, value, currency, urlId, sessionId, externalId }) => {
+  const eventType = event || 'conversion';
+  if (!EVENT_PATTERN.test(eventType)) {
+    return { error: 'Evento inválido. Use até 64 letras, números ou "_ . : -".' };
+  }
+
+  let numericValue = null;
+  if (value !== undefined && value !== null && value !== '') {
+    numericValue = Number(value);
+    if (!Number.isFinite(numericValue) || numericValue < 0) {
+      return { error: 'Valor da conversão deve ser um número positivo' };
+    }
+  }
+
+  if (currency && !/^[A-Za-z]{3}$/.test(currency)) {
+    return { error: 'Moeda deve ser um código ISO 4217 (ex.: BRL)' };
+  }
+
+  if (urlId && (typeof urlId !== 'string' || !UUID_PATTERN.test(urlId))) {
+    return { error: 'urlId inválido' };
+  }
+
+  return {
+    conversion: {
+      eventType,
+      value: numericValue,
+      currency: currency ? currency.toUpperCase() : null,
+      urlId: urlId || null,
+      sessionId: sessionId || null,
+      externalId: externalId ? String(externalId).slice(0, 128) : null
+    }
+  };
+};
+
+/**
+ * Encontra o clique que originou a conversão: o mais recente da sessão
+ * dentro da janela de atribuição (restrito à URL, se informada)
+ * @param {string} sessionId
+ * @param {string|null} urlId
+ * @returns {Promise<object|null>}
+ */
+const findAttributedClick = async (sessionId, urlId) => {
+  const windowStart = new Date(Date.now() - getAttributionWindowHours() * 60 * 60 * 1000);
+
+  let query = supabase
+    .from('url_clicks')
+    .select('id, url_id, click_time')
+    .eq('session_id', sessionId)
+    .gte('click_time', windowStart.toISOString())
+    .order('click_time', { ascending: false })
+    .limit(1);
+
+  if (urlId) query = query.eq('url_id', urlId);
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return data[0] || null;
+};
+
+/**
+ * Registra uma conversão atribuída ao último clique da sessão.
+ * Conversões repetidas com o mesmo externalId são ignoradas.
+ * @param {object} conversion resultado de parseConversion
+ * @returns {Promise<{attributed: boolean, duplicate: boolean, conversion?: object}>}
+ */
+export const recordConversion = async ({ eventType, value, currency, urlId, sessionId, externalId }) => {
+  const click = sessionId ? await findAttributedClick(sessionId, urlId) : null;
+
+  const { data, error } = await supabase
+    .from('url_conversions')
+    .insert([{
+      // Sem clique atribuído, mantém a URL informada explicitamente
+      url_id: click?.url_id || urlId || null,
+      click_id: click?.id || null,
+      session_id: sessionId,
+      event_type: eventType,
+      value,
+      currency,
+      external_id: externalId,
+      created_at: new Date().toISOString()
+    }])
+    .select()
+    .single();
+
+  if (error) {
+    if (error.code === '23505') return { attributed: Boolean(click), duplicate: true };
+    throw error;
+  }
+
+  return { attributed: Boolean(click), duplicate: false, conversion: data };
+};
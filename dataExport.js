@@ -0,0 +1,158 @@
+import { once } from 'events';
+import ExcelJS from 'exceljs';
+import moment from 'moment-timezone';
+import { DEFAULT_TIMEZONE } from './analytics.js';
+
+const BATCH_SIZE = 1000;
+export const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+// Colunas de cada exportação (key = coluna da tabela)
+export const EXPORT_COLUMNS = {
+  clicks: [
+    { header: 'ID', key: 'id' },
+    { header: 'Data/hora', key: 'click_time', type: 'datetime' },
+    { header: 'URL ID', key: 'url_id' },
+    { header: 'Sessão', key: 'session_id' },
+    { header: 'Dispositivo', key: 'device_type' },
+    { header: 'Sistema', key: 'os' },
+    { header: 'Navegador', key: 'browser' },
+    { header: 'Bot', key: 'is_bot' },
+    { header: 'Origem', key: 'referrer' },
+    { header: 'User-Agent', key: 'user_agent' }
+  ],
+  conversions: [
+    { header: 'ID', key: 'id' },
+    { header: 'Data/hora', key: 'created_at', type: 'datetime' },
+    { header: 'URL ID', key: 'url_id' },
+    { header: 'Evento', key: 'event_type' },
+    { header: 'Valor', key: 'value' },
+    { header: 'Moeda', key: 'currency' },
+    { header: 'Sessão', key: 'session_id' },
+    { header: 'Clique ID', key: 'click_id' },
+    { header: 'ID externo', key: 'external_id' }
+  ],
+  userLogs: [
+    { header: 'ID', key: 'id' },
+    { header: 'E-mail', key: 'email' },
+    { header: 'Login', key: 'login_time', type: 'datetime' },
+    { header: 'Logout', key: 'logout_time', type: 'datetime' },
+    { header: 'Duração (s)', key: 'session_duration' },
+    { header: 'Página mais vista', key: 'most_viewed_path' },
+    { header: 'Motivo do logout', key: 'logout_reason' }
+  ]
+};
+
+/**
+ * Percorre uma tabela em lotes, por ordem de id (keyset), sem carregar
+ * tudo em memória
+ * @param {(lastId: any) => object} buildQuery recebe o último id lido e
+ *   retorna a query do lote seguinte (já ordenada por id e limitada)
+ */
+export async function* fetchInBatches(buildQuery) {
+  let lastId = null;
+
+  while (true) {
+    const { data, error } = await buildQuery(lastId).limit(BATCH_SIZE);
+    if (error) throw error;
+    if (!data.length) return;
+
+    yield data;
+
+    if (data.length < BATCH_SIZE) return;
+    lastId = data[data.length - 1].id;
+  }
+}
+
+const formatValue = (value, column) => {
+  if (value === null || value === undefined) return '';
+  if (column.type === 'datetime') {
+    return moment(value).tz(DEFAULT_TIMEZONE).format('YYYY-MM-DD HH:mm:ss');
+  }
+  if (Array.isArray(value)) return value.join(', ');
+  return value;
+};
+
+const escapeCsv = (value) => {
+  const text = String(value);
+  // Evita injeção de fórmulas ao abrir o CSV em planilhas
+  const safe = /^[=+\-@\t\r]/.test(text) && Number.isNaN(Number(text)) ? `'${text}` : text;
+  return /[",\n\r;]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+};
+
+// Espera o buffer da conexão esvaziar; resolve também se o cliente desconectar,
+// senão o 'drain' nunca chega e a exportação fica presa
+const waitForDrain = async (res) => {
+  if (res.destroyed) return;
+  const controller = new AbortController();
+  try {
+    await Promise.race([
+      once(res, 'drain', { signal: controller.signal }),
+      once(res, 'close', { signal: controller.signal })
+    ]);
+  } finally {
+    controller.abort();
+  }
+};
+
+/**
+ * Cria um escritor de exportação que envia as linhas direto na resposta
+ * @param {import('express').Response} res
+ * @param {'csv'|'xlsx'} format
+ * @param {Array<{header: string, key: string, type?: 'datetime'}>} columns
+ * @param {string} filename nome do arquivo, sem extensão
+ * @returns {{writeRows: (rows: object[]) => Promise<void>, end: () => Promise<void>}}
+ */
+export const createExportWriter = (res, format, columns, filename) => {
+  res.attachment(`${filename}.${format}`);
+
+  if (format === 'xlsx') {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+    const sheet = workbook.addWorksheet('Dados');
+    sheet.columns = columns.map(c => ({ header: c.header, key: c.key, width: 22 }));
+
+    return {
+      writeRows: async (rows) => {
+        for (const row of rows) {
+          sheet.addRow(Object.fromEntries(columns.map(c => [c.key, formatValue(row[c.key], c)]))).commit();
+        }
+      },
+      end: async () => {
+        sheet.commit();
+        await workbook.commit();
+      }
+    };
+  }
+
+  res.type('text/csv; charset=utf-8');
+  // BOM para o Excel reconhecer UTF-8 (acentos)
+  res.write(`\uFEFF${columns.map(c => escapeCsv(c.header)).join(',')}\n`);
+
+  return {
+    writeRows: async (rows) => {
+      const chunk = rows
+        .map(row => columns.map(c => escapeCsv(formatValue(row[c.key], c))).join(','))
+        .join('\n');
+
+      // Respeita o backpressure da conexão
+      if (!res.write(`${chunk}\n`)) await waitForDrain(res);
+    },
+    end: async () => {
+      res.end();
+    }
+  };
+};
+
+/**
+ * Transmite os lotes para o escritor até o fim ou até o cliente desconectar
+ * @param {import('express').Response} res
+ * @param {AsyncGenerator<object[]>} batches
+ * @param {ReturnType<typeof createExportWriter>} writer
+ */
+export const streamExport = async (res, batches, writer) => {
+  for await (const rows of batches) {
+    if (res.destroyed) return;
+    await writer.writeRows(rows);
+  }
+  if (res.destroyed) return;
+  await writer.end();
+};
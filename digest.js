@@ -0,0 +1,438 @@
+import crypto from 'crypto';
+import cron from 'node-cron';
+import moment from 'moment-timezone';
+import supabase from './supabase.js';
+import { DEFAULT_TIMEZONE, conversionRate } from './analytics.js';
+import { getJwtSecret } from './auth.js';
+import { enqueueEmail } from './mailer.js';
+import { escapeHtml, htmlToText } from './emailTemplates.js';
+
+export const DIGEST_FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+// Unidade do moment que delimita cada período
+const PERIOD_UNITS = { daily: 'day', weekly: 'isoWeek', monthly: 'month' };
+const PERIOD_LENGTHS = { daily: 'day', weekly: 'week', monthly: 'month' };
+const PERIOD_LABELS = { daily: 'diário', weekly: 'semanal', monthly: 'mensal' };
+
+const DEVICE_LABELS = { mobile: 'Celular', desktop: 'Computador', tablet: 'Tablet', other: 'Outros' };
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// Tentativas de envio de um mesmo período (uma por hora, pelo agendador)
+const MAX_DIGEST_ATTEMPTS = 3;
+
+let digestTask = null;
+
+/**
+ * Configuração atual do resumo (linha única de digest_settings)
+ * @returns {Promise<object>}
+ */
+export const getDigestSettings = async () => {
+  const { data, error } = await supabase
+    .from('digest_settings')
+    .select('*')
+    .eq('id', true)
+    .single();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Valida a atualização da configuração do resumo
+ * @param {object} body
+ * @returns {{settings?: object, error?: string}}
+ */
+export const parseDigestSettings = (body) => {
+  const { enabled, frequency, send_hour, timezone, extra_recipients, top_links_limit } = body;
+  const settings = {};
+
+  if (enabled !== undefined) {
+    if (typeof enabled !== 'boolean') return { error: 'Campo "enabled" deve ser booleano' };
+    settings.enabled = enabled;
+  }
+
+  if (frequency !== undefined) {
+    if (!DIGEST_FREQUENCIES.includes(frequency)) {
+      return { error: 'Frequência deve ser "daily", "weekly" ou "monthly"' };
+    }
+    settings.frequency = frequency;
+  }
+
+  if (send_hour !== undefined) {
+    if (!Number.isInteger(send_hour) || send_hour < 0 || send_hour > 23) {
+      return { error: 'Campo "send_hour" deve ser uma hora entre 0 e 23' };
+    }
+    settings.send_hour = send_hour;
+  }
+
+  if (timezone !== undefined) {
+    if (!moment.tz.zone(timezone)) return { error: 'Fuso horário inválido' };
+    settings.timezone = timezone;
+  }
+
+  if (extra_recipients !== undefined) {
+    if (!Array.isArray(extra_recipients) || !extra_recipients.every(e => typeof e === 'string' && EMAIL_PATTERN.test(e.trim()))) {
+      return { error: 'Campo "extra_recipients" deve ser uma lista de e-mails' };
+    }
+    settings.extra_recipients = [...new Set(extra_recipients.map(e => e.trim().toLowerCase()))];
+  }
+
+  if (top_links_limit !== undefined) {
+    if (!Number.isInteger(top_links_limit) || top_links_limit < 1 || top_links_limit > 50) {
+      return { error: 'Campo "top_links_limit" deve estar entre 1 e 50' };
+    }
+    settings.top_links_limit = top_links_limit;
+  }
+
+  if (!Object.keys(settings).length) {
+    return { error: 'Nenhum campo para atualizar' };
+  }
+
+  return { settings };
+};
+
+/**
+ * Último período completo (início e fim exclusivo) para a frequência
+ * @param {string} frequency
+ * @param {string} timezone
+ * @param {moment.Moment} [now]
+ * @returns {{start: moment.Moment, end: moment.Moment, previousStart: moment.Moment, timezone: string}}
+ */
+export const getLastPeriod = (frequency, timezone, now = moment()) => {
+  const end = now.clone().tz(timezone).startOf(PERIOD_UNITS[frequency]);
+  const start = end.clone().subtract(1, PERIOD_LENGTHS[frequency]);
+  const previousStart = start.clone().subtract(1, PERIOD_LENGTHS[frequency]);
+  return { start, end, previousStart, timezone };
+};
+
+// Variação percentual; null quando não há base de comparação
+const percentChange = (current, previous) => (
+  previous ? Math.round(((current - previous) / previous) * 1000) / 10 : null
+);
+
+const fetchTotals = async (start, end, timezone) => {
+  const { data, error } = await supabase
+    .rpc('digest_totals', { p_start: start, p_end: end, p_timezone: timezone })
+    .single();
+
+  if (error) throw error;
+
+  const totals = {
+    total_clicks: Number(data.total_clicks),
+    unique_visitors: Number(data.unique_visitors),
+    conversions: Number(data.conversions)
+  };
+  return { ...totals, conversion_rate: conversionRate(totals.conversions, totals.total_clicks) };
+};
+
+/**
+ * Monta o resumo de desempenho de um período, comparado ao período anterior
+ * @param {{start: moment.Moment, end: moment.Moment, previousStart: moment.Moment, timezone: string}} period
+ * @param {number} topLinksLimit
+ * @returns {Promise<object>}
+ */
+export const buildDigest = async ({ start, end, previousStart, timezone }, topLinksLimit) => {
+  const range = { start: start.toISOString(), end: end.toISOString(), previousStart: previousStart.toISOString() };
+
+  const [current, previous, topLinks, devices] = await Promise.all([
+    fetchTotals(range.start, range.end, timezone),
+    fetchTotals(range.previousStart, range.start, timezone),
+    supabase.rpc('digest_top_links', {
+      p_start: range.start,
+      p_end: range.end,
+      p_previous_start: range.previousStart,
+      p_limit: topLinksLimit,
+      p_timezone: timezone
+    }),
+    supabase.rpc('digest_device_split', { p_start: range.start, p_end: range.end })
+  ]);
+
+  if (topLinks.error) throw topLinks.error;
+  if (devices.error) throw devices.error;
+
+  // Os totais incluem os cliques agregados por dia, que não têm dispositivo:
+  // a participação de cada dispositivo é calculada sobre a própria divisão
+  const deviceClicks = devices.data.reduce((sum, device) => sum + Number(device.clicks), 0);
+
+  return {
+    period: {
+      start: range.start,
+      end: range.end,
+      previous_start: range.previousStart
+    },
+    totals: current,
+    previous_totals: previous,
+    changes: {
+      total_clicks: percentChange(current.total_clicks, previous.total_clicks),
+      unique_visitors: percentChange(current.unique_visitors, previous.unique_visitors),
+      conversions: percentChange(current.conversions, previous.conversions),
+      conversion_rate: percentChange(current.conversion_rate, previous.conversion_rate)
+    },
+    top_links: topLinks.data.map(link => ({
+      ...link,
+      clicks: Number(link.clicks),
+      unique_visitors: Number(link.unique_visitors),
+      conversions: Number(link.conversions),
+      previous_clicks: Number(link.previous_clicks),
+      conversion_rate: conversionRate(Number(link.conversions), Number(link.clicks)),
+      change: percentChange(Number(link.clicks), Number(link.previous_clicks))
+    })),
+    devices: devices.data.map(device => ({
+      key: device.key,
+      clicks: Number(device.clicks),
+      share: deviceClicks ? Math.round((Number(device.clicks) / deviceClicks) * 1000) / 10 : 0
+    }))
+  };
+};
+
+/**
+ * Token do link de descadastro (HMAC do e-mail com o JWT_SECRET)
+ * @param {string} email
+ * @returns {string}
+ */
+export const unsubscribeToken = (email) => {
+  const secret = getJwtSecret();
+  if (!secret) throw new Error('JWT_SECRET não configurado');
+
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`digest-unsubscribe:${email.toLowerCase()}`)
+    .digest('base64url');
+};
+
+/**
+ * Confere o token de descadastro recebido no link
+ * @param {string} email
+ * @param {string} token
+ * @returns {boolean}
+ */
+export const isValidUnsubscribeToken = (email, token) => {
+  if (typeof email !== 'string' || typeof token !== 'string') return false;
+
+  const expected = Buffer.from(unsubscribeToken(email));
+  const received = Buffer.from(token);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+const buildUnsubscribeUrl = (email) => {
+  const baseUrl = process.env.SHORT_LINK_BASE_URL || `http://localhost:${process.env.PORT}`;
+  const query = new URLSearchParams({ email, token: unsubscribeToken(email) });
+  return `${baseUrl.replace(/\/+$/, '')}/digest/unsubscribe?${query}`;
+};
+
+const formatNumber = (value) => Number(value).toLocaleString('pt-BR');
+
+const formatChange = (change) => {
+  if (change === null) return '<span style="color: #999;">—</span>';
+  const color = change > 0 ? '#27ae60' : change < 0 ? '#c0392b' : '#999';
+  const sign = change > 0 ? '+' : '';
+  return `<span style="color: ${color};">${sign}${change.toLocaleString('pt-BR')}%</span>`;
+};
+
+/**
+ * Gera o e-mail do resumo para um destinatário
+ * @param {object} digest resultado de buildDigest
+ * @param {{frequency: string, timezone: string}} settings
+ * @param {string} email destinatário (para o link de descadastro)
+ * @returns {{subject: string, html: string, text: string}}
+ */
+export const renderDigestEmail = (digest, { frequency, timezone }, email) => {
+  const start = moment(digest.period.start).tz(timezone);
+  const last = moment(digest.period.end).tz(timezone).subtract(1, 'second');
+  const range = frequency === 'daily'
+    ? start.format('DD/MM/YYYY')
+    : `${start.format('DD/MM/YYYY')} a ${last.format('DD/MM/YYYY')}`;
+
+  const metrics = [
+    ['Cliques', formatNumber(digest.totals.total_clicks), digest.changes.total_clicks],
+    ['Visitantes únicos', formatNumber(digest.totals.unique_visitors), digest.changes.unique_visitors],
+    ['Conversões', formatNumber(digest.totals.conversions), digest.changes.conversions],
+    ['Taxa de conversão', `${digest.totals.conversion_rate.toLocaleString('pt-BR')}%`, digest.changes.conversion_rate]
+  ];
+
+  const metricRows = metrics.map(([label, value, change]) => `
+    <tr>
+      <td style="padding: 8px; border-bottom: 1px solid #eee;">${label}</td>
+      <td style="padding: 8px; border-bottom: 1px solid #eee; text-align: right;"><strong>${value}</strong></td>
+      <td style="padding: 8px; border-bottom: 1px solid #eee; text-align: right;">${formatChange(change)}</td>
+    </tr>`).join('');
+
+  const linkRows = digest.top_links.length
+    ? digest.top_links.map((link, index) => `
+    <tr>
+      <td style="padding: 8px; border-bottom: 1px solid #eee;">${index + 1}. ${escapeHtml(link.name || link.slug || link.url_id)}</td>
+      <td style="padding: 8px; border-bottom: 1px solid #eee; text-align: right;">${formatNumber(link.clicks)}</td>
+      <td style="padding: 8px; border-bottom: 1px solid #eee; text-align: right;">${formatNumber(link.unique_visitors)}</td>
+      <td style="padding: 8px; border-bottom: 1px solid #eee; text-align: right;">${link.conversion_rate.toLocaleString('pt-BR')}%</td>
+      <td style="padding: 8px; border-bottom: 1px solid #eee; text-align: right;">${formatChange(link.change)}</td>
+    </tr>`).join('')
+    : '<tr><td colspan="5" style="padding: 8px; color: #999;">Nenhum clique no período.</td></tr>';
+
+  const deviceItems = digest.devices.length
+    ? digest.devices.map(d => `<li>${escapeHtml(DEVICE_LABELS[d.key] || d.key)}: ${d.share.toLocaleString('pt-BR')}% (${formatNumber(d.clicks)})</li>`).join('')
+    : '<li>Sem dados</li>';
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; background-color: #f9f9f9; padding: 40px;">
+      <h2 style="color: #333;">Resumo ${PERIOD_LABELS[frequency]} de desempenho</h2>
+      <p style="font-size: 14px; color: #555;">Período: ${range} (comparado ao período anterior)</p>
+      <table style="width: 100%; border-collapse: collapse; font-size: 14px; color: #333;">
+        ${metricRows}
+      </table>
+      <h3 style="color: #333; margin-top: 30px;">Links com mais cliques</h3>
+      <table style="width: 100%; border-collapse: collapse; font-size: 14px; color: #333;">
+        <tr>
+          <th style="padding: 8px; text-align: left;">Link</th>
+          <th style="padding: 8px; text-align: right;">Cliques</th>
+          <th style="padding: 8px; text-align: right;">Únicos</th>
+          <th style="padding: 8px; text-align: right;">Conversão</th>
+          <th style="padding: 8px; text-align: right;">Variação</th>
+        </tr>
+        ${linkRows}
+      </table>
+      <h3 style="color: #333; margin-top: 30px;">Dispositivos</h3>
+      <ul style="font-size: 14px; color: #333;">${deviceItems}</ul>
+      <hr style="margin-top: 40px;" />
+      <p style="font-size: 12px; color: #999;">
+        Você recebe este e-mail por ser administrador do SnapBox.
+        <a href="${escapeHtml(buildUnsubscribeUrl(email))}">Cancelar inscrição</a>
+      </p>
+    </div>
+  `;
+
+  return {
+    subject: `Resumo ${PERIOD_LABELS[frequency]} SnapBox • ${range}`,
+    html,
+    text: htmlToText(html)
+  };
+};
+
+/**
+ * Destinatários do resumo: administradores globais (sem organização) e
+ * e-mails extras, sem os descadastrados
+ * @param {object} settings
+ * @returns {Promise<string[]>}
+ */
+export const getDigestRecipients = async (settings) => {
+  const [admins, unsubscribes] = await Promise.all([
+    // O resumo reúne dados de todas as organizações
+    supabase.from('admins').select('email').is('organization_id', null),
+    supabase.from('digest_unsubscribes').select('email')
+  ]);
+
+  if (admins.error) throw admins.error;
+  if (unsubscribes.error) throw unsubscribes.error;
+
+  const unsubscribed = new Set(unsubscribes.data.map(row => row.email.toLowerCase()));
+  const recipients = [...admins.data.map(row => row.email), ...settings.extra_recipients]
+    .map(email => email.toLowerCase());
+
+  return [...new Set(recipients)].filter(email => !unsubscribed.has(email));
+};
+
+/**
+ * Retoma um envio que falhou, enquanto houver tentativas. A condição no
+ * status e no número de tentativas garante que só uma instância o retome.
+ * @param {string} frequency
+ * @param {moment.Moment} periodStart
+ * @returns {Promise<object|null>} linha de digest_runs retomada
+ */
+const reclaimFailedRun = async (frequency, periodStart) => {
+  const { data: run, error } = await supabase
+    .from('digest_runs')
+    .select('*')
+    .eq('frequency', frequency)
+    .eq('period_start', periodStart.toISOString())
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!run || run.status !== 'failed' || run.attempts >= MAX_DIGEST_ATTEMPTS) return null;
+
+  const { data, error: updateError } = await supabase
+    .from('digest_runs')
+    .update({ status: 'sending', attempts: run.attempts + 1, last_error: null })
+    .eq('id', run.id)
+    .eq('status', 'failed')
+    .eq('attempts', run.attempts)
+    .select()
+    .maybeSingle();
+
+  if (updateError) throw updateError;
+  return data;
+};
+
+/**
+ * Envia o resumo do último período completo, se já passou o horário de
+ * envio e nenhuma instância o enviou ainda. Envios que falharam são
+ * retomados até MAX_DIGEST_ATTEMPTS vezes, sem repetir os destinatários
+ * que já receberam.
+ * @param {moment.Moment} [now]
+ * @returns {Promise<boolean>} true se o resumo foi enviado
+ */
+export const sendDigestIfDue = async (now = moment()) => {
+  const settings = await getDigestSettings();
+  if (!settings.enabled) return false;
+
+  const period = getLastPeriod(settings.frequency, settings.timezone, now);
+  if (now.isBefore(period.end.clone().add(settings.send_hour, 'hours'))) return false;
+
+  // A chave única (frequency, period_start) funciona como trava entre instâncias
+  let { data: run, error: runError } = await supabase
+    .from('digest_runs')
+    .insert([{
+      frequency: settings.frequency,
+      period_start: period.start.toISOString(),
+      period_end: period.end.toISOString()
+    }])
+    .select()
+    .single();
+
+  if (runError?.code === '23505') {
+    run = await reclaimFailedRun(settings.frequency, period.start);
+    if (!run) return false;
+  } else if (runError) {
+    throw runError;
+  }
+
+  // Destinatários já atendidos em tentativas anteriores
+  const enqueued = [...run.recipients];
+
+  try {
+    const recipients = await getDigestRecipients(settings);
+    const digest = await buildDigest(period, settings.top_links_limit);
+
+    for (const email of recipients) {
+      if (enqueued.includes(email)) continue;
+      await enqueueEmail({ to: email, ...renderDigestEmail(digest, settings, email) });
+      enqueued.push(email);
+    }
+
+    await supabase
+      .from('digest_runs')
+      .update({ status: 'sent', recipients: enqueued })
+      .eq('id', run.id);
+
+    return true;
+  } catch (error) {
+    await supabase
+      .from('digest_runs')
+      .update({ status: 'failed', recipients: enqueued, last_error: error.message })
+      .eq('id', run.id);
+
+    throw error;
+  }
+};
+
+/**
+ * Verifica de hora em hora se há resumo a enviar
+ */
+export const startDigestScheduler = () => {
+  if (digestTask) return;
+
+  digestTask = cron.schedule('0 * * * *', async () => {
+    try {
+      await sendDigestIfDue();
+    } catch (err) {
+      console.error('Erro ao enviar resumo de desempenho:', err.message);
+    }
+  }, { timezone: DEFAULT_TIMEZONE });
+};
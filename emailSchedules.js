@@ -0,0 +1,184 @@
+import cron from 'node-cron';
+import { CronExpressionParser } from 'cron-parser';
+import moment from 'moment-timezone';
+import supabase from './supabase.js';
+import { DEFAULT_TIMEZONE } from './analytics.js';
+import { enqueueEmail } from './mailer.js';
+import { getTemplate, renderTemplate } from './emailTemplates.js';
+
+const SCHEDULES_TABLE = 'email_schedules';
+const CLAIM_BATCH_SIZE = 20;
+// Falhas seguidas até o agendamento ser marcado como "failed"; entre elas,
+// espera crescente (1, 2, 4, 8... minutos)
+const MAX_SCHEDULE_FAILURES = 5;
+const RETRY_BASE_SECONDS = 60;
+
+let schedulerTask = null;
+
+/**
+ * Próxima execução de uma expressão cron após a data informada
+ * @param {string} expression
+ * @param {string} timezone
+ * @param {Date} [after]
+ * @returns {string} ISO 8601
+ */
+export const nextCronRun = (expression, timezone, after = new Date()) => (
+  CronExpressionParser.parse(expression, { tz: timezone, currentDate: after }).next().toDate().toISOString()
+);
+
+/**
+ * Valida o agendamento: data única (scheduledAt) ou recorrência (cron, 5 campos)
+ * @param {{scheduledAt?: string, cron?: string, timezone?: string}} input
+ * @returns {{schedule?: {next_run_at: string, cron_expression: string|null, timezone: string}, error?: string}}
+ */
+export const parseScheduleInput = ({ scheduledAt, cron: expression, timezone = DEFAULT_TIMEZONE }) => {
+  if (!moment.tz.zone(timezone)) {
+    return { error: 'Fuso horário inválido' };
+  }
+
+  if (scheduledAt && expression) {
+    return { error: 'Informe scheduledAt ou cron, não ambos' };
+  }
+
+  if (expression) {
+    if (expression.trim().split(/\s+/).length !== 5 || !cron.validate(expression)) {
+      return { error: 'Expressão cron inválida (use 5 campos: minuto hora dia mês dia-da-semana)' };
+    }
+    return {
+      schedule: {
+        next_run_at: nextCronRun(expression, timezone),
+        cron_expression: expression.trim(),
+        timezone
+      }
+    };
+  }
+
+  // Datas sem offset são interpretadas no fuso informado
+  const date = moment.tz(scheduledAt, moment.ISO_8601, timezone);
+  if (!date.isValid()) {
+    return { error: 'scheduledAt deve estar no formato ISO 8601' };
+  }
+  if (date.isBefore(moment())) {
+    return { error: 'scheduledAt deve estar no futuro' };
+  }
+
+  return {
+    schedule: {
+      next_run_at: date.toISOString(),
+      cron_expression: null,
+      timezone
+    }
+  };
+};
+
+/**
+ * Monta a mensagem de um agendamento: template (renderizado na hora do
+ * envio) ou HTML avulso salvo no agendamento
+ * @param {object} schedule
+ * @returns {Promise<object>}
+ */
+const buildMessage = async (schedule) => {
+  if (!schedule.template_key) {
+    return { subject: schedule.subject, html: schedule.html, text: schedule.text };
+  }
+
+  const template = await getTemplate(schedule.template_key, schedule.template_version || undefined);
+  if (!template) throw new Error(`Template ${schedule.template_key} não encontrado`);
+
+  const message = renderTemplate(template, schedule.variables || {});
+  if (message.error) throw new Error(message.error);
+
+  return { ...message, templateKey: template.key, templateVersion: template.version };
+};
+
+const releaseSchedule = async (id, fields) => {
+  const { error } = await supabase
+    .from(SCHEDULES_TABLE)
+    .update({ locked_until: null, ...fields, updated_at: new Date().toISOString() })
+    .eq('id', id)
+    // Um cancelamento feito durante a execução prevalece
+    .eq('status', 'scheduled');
+
+  if (error) console.error('Erro ao atualizar agendamento de e-mail:', error.message);
+};
+
+const runSchedule = async (schedule) => {
+  let emailId = null;
+
+  try {
+    const message = await buildMessage(schedule);
+
+    // (schedule_id, scheduled_for) é único na fila: reprocessar a mesma
+    // execução não gera um segundo e-mail
+    const queued = await enqueueEmail({
+      to: schedule.to_addresses,
+      ...message,
+      attachmentIds: schedule.attachment_ids,
+      createdBy: schedule.created_by,
+      organizationId: schedule.organization_id,
+      scheduleId: schedule.id,
+      scheduledFor: schedule.next_run_at
+    });
+    emailId = queued?.id || null;
+  } catch (error) {
+    console.error(`Erro ao executar agendamento ${schedule.id}:`, error.message);
+
+    // A reserva (locked_until) adia a próxima tentativa sem mudar next_run_at,
+    // que identifica a execução na fila
+    const failures = (schedule.failure_count || 0) + 1;
+    await releaseSchedule(schedule.id, failures >= MAX_SCHEDULE_FAILURES
+      ? { status: 'failed', failure_count: failures, last_error: error.message }
+      : {
+        failure_count: failures,
+        last_error: error.message,
+        locked_until: new Date(Date.now() + RETRY_BASE_SECONDS * 2 ** (failures - 1) * 1000).toISOString()
+      });
+    return;
+  }
+
+  const next = schedule.cron_expression
+    ? { next_run_at: nextCronRun(schedule.cron_expression, schedule.timezone) }
+    : { status: 'completed' };
+
+  await releaseSchedule(schedule.id, {
+    ...next,
+    last_run_at: new Date().toISOString(),
+    last_email_id: emailId,
+    last_error: null,
+    failure_count: 0,
+    run_count: (schedule.run_count || 0) + 1
+  });
+};
+
+/**
+ * Executa os agendamentos vencidos. A reserva no banco (skip locked)
+ * garante que só uma instância processa cada execução.
+ * @returns {Promise<number>} quantidade de agendamentos processados
+ */
+export const runDueSchedules = async () => {
+  const { data: due, error } = await supabase
+    .rpc('claim_due_email_schedules', { p_limit: CLAIM_BATCH_SIZE });
+
+  if (error) throw error;
+
+  for (const schedule of due) {
+    await runSchedule(schedule);
+  }
+
+  return due.length;
+};
+
+/**
+ * Inicia a verificação de agendamentos a cada minuto (America/Sao_Paulo)
+ */
+export const startEmailScheduler = () => {
+  if (schedulerTask) return;
+
+  schedulerTask = cron.schedule('* * * * *', async () => {
+    try {
+      await runDueSchedules();
+    } catch (err) {
+      console.error('Erro ao processar agendamentos de e-mail:', err.message);
+    }
+  }, { timezone: DEFAULT_TIMEZONE });
+};
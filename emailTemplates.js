@@ -0,0 +1,180 @@
+import supabase from './supabase.js';
+
+const VARIABLE_PATTERN = /\{\{\s*([a-zA-Z_][\w.]*)\s*\}\}/g;
+export const TEMPLATE_KEY_PATTERN = /^[a-z0-9][a-z0-9_-]{1,63}$/;
+
+// Templates padrão, usados enquanto não houver versão salva no banco
+const BUILT_IN_TEMPLATES = {
+  'verification-code': {
+    key: 'verification-code',
+    version: 0,
+    subject: 'Seu código de verificação • SnapBox',
+    html: `
+      <div style="font-family: Arial, sans-serif; background-color: #f9f9f9; padding: 40px; text-align: center;">
+        <h2 style="color: #333;">Olá!</h2>
+        <p style="font-size: 16px; color: #555;">
+          Seu código de verificação para acessar o SnapBox é:
+        </p>
+        <div style="margin: 30px 0;">
+          <span style="
+            font-size: 48px;
+            font-weight: bold;
+            color: #2c3e50;
+            background: #ecf0f1;
+            padding: 20px 40px;
+            border-radius: 10px;
+            display: inline-block;
+            letter-spacing: 10px;
+          ">{{code}}</span>
+        </div>
+        <p style="font-size: 14px; color: #999;">Este código expira em {{expires_minutes}} minutos.</p>
+        <hr style="margin-top: 40px;" />
+        <p style="font-size: 12px; color: #ccc;">SnapBox &copy; {{year}} | Desenvolvido pela FCB Health</p>
+      </div>
+    `,
+    text: null
+  }
+};
+
+// Variáveis que o sistema informa a cada template padrão. Novas versões
+// precisam usar as obrigatórias e só podem usar as conhecidas, senão o
+// envio falharia (ou sairia sem o código).
+const BUILT_IN_VARIABLES = {
+  'verification-code': { required: ['code'], known: ['code', 'expires_minutes', 'year'] }
+};
+
+/**
+ * Escapa um valor para uso em HTML
+ * @param {*} value
+ * @returns {string}
+ */
+export const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const lookup = (variables, path) => path
+  .split('.')
+  .reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), variables);
+
+/**
+ * Lista as variáveis {{...}} usadas em um texto
+ * @param {string} content
+ * @returns {string[]}
+ */
+export const extractVariables = (content) => (
+  [...new Set([...(content || '').matchAll(VARIABLE_PATTERN)].map(match => match[1]))]
+);
+
+/**
+ * Confere as variáveis de uma nova versão de um template padrão: as
+ * obrigatórias no HTML (e no texto, se houver) e nenhuma desconhecida
+ * @param {string} key
+ * @param {{subject: string, html: string, text?: string|null}} template
+ * @returns {string|null} mensagem de erro
+ */
+export const validateTemplateVariables = (key, { subject, html, text }) => {
+  const rules = BUILT_IN_VARIABLES[key];
+  if (!rules) return null;
+
+  for (const [label, content] of [['html', html], ['text', text]]) {
+    if (!content) continue;
+    const missing = rules.required.filter(name => !extractVariables(content).includes(name));
+    if (missing.length) {
+      return `O template "${key}" precisa usar ${missing.map(name => `{{${name}}}`).join(', ')} no campo "${label}"`;
+    }
+  }
+
+  const unknown = extractVariables(`${subject} ${html} ${text || ''}`).filter(name => !rules.known.includes(name));
+  if (unknown.length) {
+    return `Variáveis desconhecidas para o template "${key}": ${unknown.join(', ')}. Disponíveis: ${rules.known.join(', ')}`;
+  }
+
+  return null;
+};
+
+const substitute = (content, variables, escape) => content.replace(VARIABLE_PATTERN, (_, path) => {
+  const value = lookup(variables, path);
+  return escape ? escapeHtml(value) : String(value);
+});
+
+/**
+ * Gera a versão texto puro de um HTML de e-mail
+ * @param {string} html
+ * @returns {string}
+ */
+export const htmlToText = (html) => html
+  .replace(/<(style|script|head)[^>]*>[\s\S]*?<\/\1>/gi, '')
+  .replace(/<a\s[^>]*href=["']([^"']+)["'][^>]*>([\s\S]*?)<\/a>/gi, (_, href, label) => {
+    const text = label.replace(/<[^>]+>/g, '').trim();
+    return text && text !== href ? `${text} (${href})` : href;
+  })
+  .replace(/<br\s*\/?>/gi, '\n')
+  .replace(/<hr\s*\/?>/gi, '\n----------\n')
+  .replace(/<li[^>]*>/gi, '- ')
+  .replace(/<\/(p|div|h[1-6]|li|tr|table|ul|ol)>/gi, '\n')
+  .replace(/<[^>]+>/g, '')
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&copy;/g, '©')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;/g, "'")
+  .replace(/&amp;/g, '&')
+  .replace(/[ \t]+/g, ' ')
+  .replace(/ *\n */g, '\n')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+/**
+ * Renderiza assunto, HTML (com variáveis escapadas) e texto puro.
+ * Todas as variáveis usadas no template precisam ser informadas.
+ * @param {{subject: string, html: string, text?: string|null}} template
+ * @param {object} variables
+ * @returns {{subject?: string, html?: string, text?: string, error?: string}}
+ */
+export const renderTemplate = (template, variables = {}) => {
+  const used = extractVariables(`${template.subject} ${template.html} ${template.text || ''}`);
+  const missing = used.filter(path => {
+    const value = lookup(variables, path);
+    return value === undefined || value === null;
+  });
+
+  if (missing.length) {
+    return { error: `Variáveis ausentes: ${missing.join(', ')}` };
+  }
+
+  const html = substitute(template.html, variables, true);
+
+  return {
+    subject: substitute(template.subject, variables, false).replace(/[\r\n]+/g, ' '),
+    html,
+    text: template.text ? substitute(template.text, variables, false) : htmlToText(html)
+  };
+};
+
+/**
+ * Busca um template pela chave: a versão informada ou a mais recente.
+ * Sem versão salva, recorre ao template padrão de mesmo nome.
+ * @param {string} key
+ * @param {number} [version]
+ * @returns {Promise<object|null>}
+ */
+export const getTemplate = async (key, version) => {
+  let query = supabase
+    .from('email_templates')
+    .select('*')
+    .eq('key', key)
+    .order('version', { ascending: false })
+    .limit(1);
+
+  if (version) query = query.eq('version', version);
+
+  const { data, error } = await query;
+  if (error) throw error;
+
+  if (data.length) return data[0];
+  return version ? null : BUILT_IN_TEMPLATES[key] || null;
+};
@@ -1,13 +1,133 @@
 import express from 'express';
 import cors from 'cors';
+import cookieParser from 'cookie-parser';
 import multer from 'multer';
 import { v4 as uuidv4 } from 'uuid';
-import nodemailer from 'nodemailer';
 import supabase from './supabase.js';
 import dotenv from 'dotenv';
-import jwt from 'jsonwebtoken';
 import cron from 'node-cron';
 import moment from 'moment-timezone';
+import { DEFAULT_TIMEZONE, getUrlPerformance, parsePeriod } from './analytics.js';
+import { parseConversion, recordConversion } from './conversions.js';
+import { recordClick } from './clicks.js';
+import { enqueueEmail, getEmailStatus, sendEmailNow, startEmailWorker } from './mailer.js';
+import {
+  TEMPLATE_KEY_PATTERN,
+  extractVariables,
+  getTemplate,
+  htmlToText,
+  renderTemplate,
+  validateTemplateVariables
+} from './emailTemplates.js';
+import { parseScheduleInput, startEmailScheduler } from './emailSchedules.js';
+import {
+  buildDigest,
+  getDigestRecipients,
+  getDigestSettings,
+  getLastPeriod,
+  isValidUnsubscribeToken,
+  parseDigestSettings,
+  renderDigestEmail,
+  startDigestScheduler
+} from './digest.js';
+import { buildParametrizedUrl, parsePresetInput } from './urlPresets.js';
+import { parseCampaignInput } from './campaigns.js';
+import { decodeCursor, paginate, parseLimit, sanitizeSearchTerm, toPage } from './pagination.js';
+import { parseTags } from './tags.js';
+import { QR_SOURCE, parseQrOptions, renderQr } from './qr.js';
+import { processMedia, processMediaFile } from './media.js';
+import {
+  BUCKET_NAME,
+  bucketFor,
+  buildSearchQuery,
+  createsFolderCycle,
+  derivedPaths,
+  findAssetByHash,
+  findLinksUsingAsset,
+  getAssetUrls,
+  hashBuffer,
+  moveAssetFiles,
+  movePrivateFilesToPrivateBucket,
+  parseAssetUpdate,
+  parseExpiresIn,
+  parseFolderInput,
+  parseVisibility,
+  purgeDate,
+  purgeTrashedFiles,
+  toAsset,
+  trashCutoff,
+  visibilityPrefix
+} from './assets.js';
+import {
+  CHUNK_SIZE,
+  abortResumableUpload,
+  claimForCompletion,
+  createResumableUpload,
+  finishResumableUpload,
+  getResumableUpload,
+  parseResumableInput,
+  purgeAbandonedUploads,
+  syncOffset,
+  toProgress,
+  verifyUploadedFile,
+  writeChunk
+} from './resumableUploads.js';
+import {
+  EXPORT_COLUMNS,
+  EXPORT_FORMATS,
+  createExportWriter,
+  fetchInBatches,
+  streamExport
+} from './dataExport.js';
+import {
+  STREAM_TICKET_TTL_SECONDS,
+  authenticate,
+  getJwtSecret,
+  requireAdmin,
+  requireOwner,
+  signAccessToken,
+  signStreamTicket
+} from './auth.js';
+import { applyAuditFilters, parseAuditFilters, recordAudit } from './audit.js';
+import { applyRetention } from './retention.js';
+import { activityFeed, clickFeed, serveEventStream } from './liveFeeds.js';
+import {
+  ONLINE_WINDOW_SECONDS,
+  closeIdleSessions,
+  getActivityStats,
+  getIdleTimeoutMinutes,
+  getPageViewHistogram,
+  parsePagePath,
+  recordHeartbeat
+} from './presence.js';
+import {
+  SESSION_COOKIE,
+  SESSION_COOKIE_MAX_AGE,
+  buildShortUrl,
+  generateUniqueSlug,
+  isSlugTaken,
+  isValidSlug
+} from './shortLinks.js';
+import {
+  closeSession,
+  createSession,
+  isSessionActive,
+  issueRefreshToken,
+  listActiveSessions,
+  rotateRefreshToken
+} from './sessions.js';
+import { createCodeStore, createMemoryBackend, createSupabaseBackend } from './verificationCodes.js';
+import {
+  belongsToOrganization,
+  findAdmin,
+  findDomainConflict,
+  isAllowedInOrganization,
+  isValidEmail,
+  normalizeEmail,
+  parseAdminInput,
+  parseOrganizationInput,
+  resolveOrganization
+} from './organizations.js';
 
 
 
@@ -15,32 +135,106 @@ dotenv.config({ path: '.env.dev' });
 
 const app = express();
 const PORT = process.env.PORT;
-const BUCKET_NAME = 'images';
-const verificationCodes = new Map(); // Armazena códigos temporariamente (ideal seria usar Redis ou DB com expiração)
-const JWT_SECRET = process.env.JWT_SECRET || 'your_secret_key';
-
+const TRANSPARENT_GIF = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+// Códigos de verificação: Supabase por padrão, memória apenas para desenvolvimento
+const verificationCodes = createCodeStore(
+  process.env.VERIFICATION_CODE_STORE === 'memory' ? createMemoryBackend() : createSupabaseBackend()
+);
+
+// Rotas acessíveis sem token; todas as demais exigem autenticação
+const PUBLIC_ROUTES = [
+  ['GET', /^\/r\/[^/]+\/?$/],
+  ['POST', /^\/track-click\/?$/],
+  ['POST', /^\/track-conversion\/?$/],
+  ['GET', /^\/track-conversion\/pixel\.gif$/],
+  ['POST', /^\/send-verification-code\/?$/],
+  ['POST', /^\/verify-code\/?$/],
+  ['POST', /^\/refresh-token\/?$/],
+  ['GET', /^\/digest\/unsubscribe\/?$/],
+];
+
+if (!getJwtSecret()) {
+  console.warn('JWT_SECRET ausente ou com o valor padrão: login e rotas protegidas ficarão indisponíveis.');
+}
+
+
+// Atrás de proxy (ex.: load balancer) para req.secure e req.ip corretos
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
 
 app.use(cors({ origin: process.env.FRONTEND_URL }));
 app.use(express.json());
+app.use(cookieParser());
+app.use(authenticate(PUBLIC_ROUTES));
 
 // Definir a cron job para rodar todos os dias à meia-noite (00:00)
 cron.schedule('0 0 * * *', async () => {
   try {
-    const { error } = await supabase
-      .from('user_activity')
-      .delete()
-      .lt('login_time', new Date().toISOString());
-
-    if (error) {
-      console.error('Erro ao apagar os dados de user_activity:', error.message);
-    } else {
-      console.log('Dados de user_activity apagados com sucesso.');
+    // Agrega por dia e apaga os dados fora do prazo de retenção
+    // (USER_ACTIVITY_RETENTION_DAYS, URL_CLICKS_RETENTION_DAYS)
+    const results = await applyRetention();
+    for (const result of results) {
+      if (result.status === 'purged') {
+        console.log(`Retenção de ${result.table}: ${result.rows} linha(s) agregada(s) e apagada(s).`);
+      } else if (result.status === 'locked') {
+        console.log(`Retenção de ${result.table} já em execução em outra instância.`);
+      }
     }
+  } catch (err) {
+    console.error('Erro ao aplicar a retenção de dados:', err.message);
+  }
+
+  try {
+    await verificationCodes.purgeExpired();
   } catch (err) {
     console.error('Erro ao agendar a tarefa de limpeza:', err);
   }
 });
 
+// Encerra as sessões sem heartbeat (SESSION_IDLE_TIMEOUT_MINUTES, padrão 30)
+cron.schedule('*/5 * * * *', async () => {
+  try {
+    const closed = await closeIdleSessions();
+    if (closed) console.log(`${closed} sessão(ões) encerrada(s) por inatividade.`);
+  } catch (err) {
+    console.error('Erro ao encerrar sessões inativas:', err.message);
+  }
+});
+
+// Cancela de hora em hora os uploads resumíveis abandonados
+cron.schedule('30 * * * *', async () => {
+  try {
+    const purged = await purgeAbandonedUploads();
+    if (purged) console.log(`${purged} upload(s) abandonado(s) cancelado(s).`);
+  } catch (err) {
+    console.error('Erro ao limpar uploads abandonados:', err.message);
+  }
+});
+
+// Exclui definitivamente os arquivos que passaram do prazo na lixeira
+// (TRASH_RETENTION_DAYS, padrão 30 dias)
+cron.schedule('15 3 * * *', async () => {
+  try {
+    const purged = await purgeTrashedFiles();
+    if (purged) console.log(`${purged} arquivo(s) excluído(s) da lixeira.`);
+  } catch (err) {
+    console.error('Erro ao esvaziar a lixeira:', err.message);
+  }
+});
+
+// Leva para o bucket privado os arquivos privados que ainda estão no bucket
+// público (enviados antes da separação dos buckets)
+const moveLegacyPrivateFiles = async () => {
+  try {
+    const moved = await movePrivateFilesToPrivateBucket();
+    if (moved) console.log(`${moved} arquivo(s) privado(s) movido(s) para o bucket privado.`);
+  } catch (err) {
+    console.error('Erro ao mover arquivos privados:', err.message);
+  }
+};
+cron.schedule('*/10 * * * *', moveLegacyPrivateFiles);
 
 // Configuração do Multer para upload de arquivos
 const upload = multer({
@@ -52,723 +246,3004 @@ const upload = multer({
   }
 });
 
-app.get('/url-performance/:urlId', async (req, res) => {
-  const { urlId } = req.params;
-  const { start_date, end_date } = req.query;
-
-  console.log(`Iniciando consulta para URL ID: ${urlId}`);
-
-  try {
-    // 1. Verificar se a URL existe
-    const { data: url, error: urlError } = await supabase
-      .from('urls_snapbox')
-      .select('id')
-      .eq('id', urlId)
-      .single();
-
-    if (urlError || !url) {
-      console.log('URL não encontrada:', urlError);
-      return res.status(404).json({ error: "URL não encontrada" });
-    }
-
-    // 2. Consultar cliques
-    let clicksQuery = supabase
-      .from('url_clicks')
-      .select('*', { count: 'exact' })
-      .eq('url_id', urlId);
-
-    // 3. Consultar visitantes únicos
-    let uniqueQuery = supabase
-      .from('url_clicks')
-      .select('session_id', { count: 'exact', distinct: true })
-      .eq('url_id', urlId);
-
-    // Aplicar filtros de data
-    if (start_date) {
-      clicksQuery = clicksQuery.gte('click_time', start_date);
-      uniqueQuery = uniqueQuery.gte('click_time', start_date);
-    }
-    if (end_date) {
-      clicksQuery = clicksQuery.lte('click_time', end_date);
-      uniqueQuery = uniqueQuery.lte('click_time', end_date);
-    }
-
-    // Executar consultas em paralelo
-    const [
-      { count: totalClicks, error: clicksError },
-      { count: uniqueVisitors, error: uniqueError },
-      { data: devicesData, error: devicesError }
-    ] = await Promise.all([
-      clicksQuery,
-      uniqueQuery,
-      supabase
-        .from('url_clicks')
-        .select('device_type')
-        .eq('url_id', urlId)
-    ]);
+// Envia a imagem de um link para o Storage e retorna a URL pública
+const uploadLinkImage = async ({ originalname, mimetype, buffer }) => {
+  const fileExt = originalname.split('.').pop();
+  const fileName = `${uuidv4()}.${fileExt}`;
 
-    // Verificar erros
-    const errors = [clicksError, uniqueError, devicesError].filter(Boolean);
-    if (errors.length > 0) {
-      console.error('Erros nas consultas:', errors);
-      throw new Error("Erro ao buscar dados de cliques");
-    }
+  const { error: uploadError } = await supabase.storage
+    .from(BUCKET_NAME)
+    .upload(`public/${fileName}`, buffer, {
+      contentType: mimetype,
+      upsert: false,
+    });
 
-    // 4. Consultar conversões (se aplicável)
-    let conversionsData = [];
-    try {
-      const { data, error } = await supabase
-        .from('url_conversions')
-        .select('*')
-        .eq('url_id', urlId);
-      
-      if (!error) conversionsData = data;
-    } catch (e) {
-      console.log('Ignorando erros de conversão:', e.message);
-    }
+  if (uploadError) throw uploadError;
 
-    // 5. Formatar resposta
-    const response = {
-      success: true,
-      total_clicks: totalClicks || 0,
-      unique_visitors: uniqueVisitors || 0,
-      conversion_rate: totalClicks > 0 
-        ? parseFloat(((conversionsData.length / totalClicks) * 100).toFixed(1))
-        : 0,
-      devices: {
-        desktop: devicesData.filter(d => d.device_type === 'desktop').length,
-        mobile: devicesData.filter(d => d.device_type === 'mobile').length,
-        tablet: devicesData.filter(d => d.device_type === 'tablet').length,
-        other: devicesData.filter(d => !d.device_type || d.device_type === 'other').length
-      }
-    };
+  const { data: { publicUrl } } = supabase.storage
+    .from(BUCKET_NAME)
+    .getPublicUrl(`public/${fileName}`);
 
-    console.log('Consulta concluída com sucesso');
-    return res.json(response);
+  return publicUrl;
+};
 
+// Links salvos devem apontar para http(s)
+const isValidDestination = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
   } catch (error) {
-    console.error('Erro no endpoint:', error);
-    return res.status(500).json({ 
-      error: error.message,
-      details: process.env.NODE_ENV === 'development' ? error.stack : undefined
-    });
+    return false;
   }
-});
+};
 
 // Rota para registrar cliques nas URLs
 app.post('/track-click', async (req, res) => {
-  const { urlId, sessionId, deviceType, referrer } = req.body;
+  // deviceType enviado pelo cliente é ignorado: a classificação vem do User-Agent
+  const { urlId, sessionId, referrer } = req.body;
+
+  if (!urlId) {
+    return res.status(400).json({ error: 'urlId é obrigatório' });
+  }
 
   try {
     // Registrar o clique no banco de dados
-    const { data, error } = await supabase
-      .from('url_clicks')
-      .insert([{
-        url_id: urlId,
-        session_id: sessionId || uuidv4(), // Gera um novo ID se não fornecido
-        device_type: deviceType || 'other',
-        referrer: referrer || 'direct',
-        click_time: new Date().toISOString()
-      }]);
-
-    if (error) throw error;
+    const { recorded } = await recordClick({
+      urlId,
+      sessionId: sessionId || uuidv4(), // Gera um novo ID se não fornecido
+      userAgent: req.get('user-agent') || null,
+      referrer
+    });
 
-    res.status(200).json({ success: true });
+    res.status(200).json({ success: true, recorded });
   } catch (error) {
     res.status(500).json({ error: 'Erro ao registrar clique' });
   }
 });
 
-// Rota para adicionar um admin
-app.post('/add-admin', async (req, res) => {
-  const { email } = req.body;
-
-  // Valida se o e-mail termina com @fcbhealth.com
-  if (!email.endsWith('@fcbhealth.com')) {
-    return res.status(400).json({ error: 'E-mail deve ser da organização (@fcbhealth.com)' });
-  }
+// Redirecionamento de link curto, registrando o clique no servidor
+app.get('/r/:slug', async (req, res) => {
+  const { slug } = req.params;
 
-  // Inserir o e-mail na tabela admins
-  const { data, error } = await supabase
-    .from('admins')
-    .insert([{ email }]);
+  const { data: link, error } = await supabase
+    .from('urls_snapbox')
+    .select('id, url')
+    .eq('slug', slug)
+    .maybeSingle();
 
   if (error) {
-    return res.status(500).json({ error: 'Erro ao adicionar administrador' });
+    console.error('Erro ao buscar link curto:', error.message);
+    return res.status(500).json({ error: 'Erro ao buscar link' });
   }
 
-  res.status(200).json({ success: true, data });
-});
-
-app.post('/logout', async (req, res) => {
-  const { email, most_viewed_path } = req.body;
-
-  const { data: lastSession, error } = await supabase
-    .from('user_activity')
-    .select('*')
-    .eq('email', email)
-    .order('login_time', { ascending: false })
-    .limit(1);
-
-  if (error || !lastSession.length) {
-    return res.status(404).json({ error: 'Sessão não encontrada.' });
+  if (!link) {
+    return res.status(404).json({ error: 'Link não encontrado' });
   }
 
-  const logoutTime = moment().tz('America/Sao_Paulo').format();
-  const loginTime = moment(lastSession[0].login_time).tz('America/Sao_Paulo');
-  const sessionDuration = Math.floor((moment(logoutTime) - loginTime) / 1000);
+  // Reaproveita a sessão do visitante (cookie) ou cria uma nova
+  const sessionId = req.cookies[SESSION_COOKIE] || uuidv4();
+  const userAgent = req.get('user-agent') || null;
 
-  const { error: updateError } = await supabase
-    .from('user_activity')
-    .update({
-      logout_time: logoutTime,
-      session_duration: sessionDuration,
-      most_viewed_path: most_viewed_path || '/', // Garante um valor padrão
-    })
-    .eq('id', lastSession[0].id);
+  res.cookie(SESSION_COOKIE, sessionId, {
+    maxAge: SESSION_COOKIE_MAX_AGE,
+    httpOnly: true,
+    // Em HTTPS o cookie precisa ser cross-site para o pixel de conversão
+    sameSite: req.secure ? 'none' : 'lax',
+    secure: req.secure
+  });
 
-  if (updateError) return res.status(500).json({ error: 'Erro ao atualizar sessão.' });
+  // Falha ao registrar o clique não deve impedir o redirecionamento
+  try {
+    await recordClick({
+      urlId: link.id,
+      sessionId,
+      userAgent,
+      // Leituras de QR code são marcadas com ?src=qr na URL curta
+      referrer: req.query.src === QR_SOURCE ? QR_SOURCE : req.get('referer')
+    });
+  } catch (clickError) {
+    console.error('Erro ao registrar clique do link curto:', clickError.message);
+  }
 
-  return res.json({ success: true });
+  res.set('Cache-Control', 'no-store');
+  return res.redirect(302, link.url);
 });
 
-app.get('/admin-stats', async (req, res) => {
-  const { data, error } = await supabase
-    .from('user_activity')
-    .select('*');
+// Registrar conversão (JSON via fetch, ou text/plain via navigator.sendBeacon)
+app.post('/track-conversion', express.text({ type: 'text/plain' }), async (req, res) => {
+  let body = req.body;
+  if (typeof body === 'string') {
+    try {
+      body = JSON.parse(body);
+    } catch (error) {
+      return res.status(400).json({ error: 'Corpo da requisição inválido' });
+    }
+  }
 
-  if (error) return res.status(500).json({ error: 'Erro ao buscar atividades' });
+  // JSON válido mas que não é um objeto (null, número, lista...)
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return res.status(400).json({ error: 'Corpo da requisição inválido' });
+  }
 
-  const onlineUsers = data.filter(user => !user.logout_time).length;
-  const totalUsers = new Set(data.map(u => u.email)).size;
+  const { conversion, error } = parseConversion({
+    ...body,
+    sessionId: body.sessionId || req.cookies[SESSION_COOKIE]
+  });
 
-  const sessionByUser = data.reduce((acc, curr) => {
-    acc[curr.email] = (acc[curr.email] || 0) + (curr.session_duration || 0);
-    return acc;
-  }, {});
+  if (error) {
+    return res.status(400).json({ error });
+  }
 
-  const mostActiveUser = Object.entries(sessionByUser).sort((a, b) => b[1] - a[1])[0];
+  try {
+    const { attributed, duplicate } = await recordConversion(conversion);
+    res.status(duplicate ? 200 : 201).json({ success: true, attributed, duplicate });
+  } catch (err) {
+    console.error('Erro ao registrar conversão:', err.message);
+    res.status(500).json({ error: 'Erro ao registrar conversão' });
+  }
+});
 
-  const enriched = data.map(log => {
-    return {
-      ...log,
-      session_duration_minutes: Math.floor((log.session_duration || 0) / 60),
-      // Garante que most_viewed_path seja incluído mesmo se for null
-      most_viewed_path: log.most_viewed_path || null
-    };
+// Pixel de conversão: sempre responde com o GIF, mesmo em caso de erro
+app.get('/track-conversion/pixel.gif', async (req, res) => {
+  const { event, value, currency, url_id, session_id, external_id } = req.query;
+
+  const { conversion, error } = parseConversion({
+    event,
+    value,
+    currency,
+    urlId: url_id,
+    sessionId: session_id || req.cookies[SESSION_COOKIE],
+    externalId: external_id
   });
 
-  res.json({
-    total_users: totalUsers,
-    online_users: onlineUsers,
-    most_active_user: {
-      email: mostActiveUser?.[0] || '',
-      session_duration_minutes: Math.floor((mostActiveUser?.[1] || 0) / 60),
-    },
-    user_logs: enriched,
+  if (error) {
+    console.error('Pixel de conversão inválido:', error);
+  } else {
+    try {
+      await recordConversion(conversion);
+    } catch (err) {
+      console.error('Erro ao registrar conversão via pixel:', err.message);
+    }
+  }
+
+  res.set({
+    'Content-Type': 'image/gif',
+    'Cache-Control': 'no-store, no-cache, must-revalidate',
   });
+  res.send(TRANSPARENT_GIF);
 });
 
-// Rota para verificar código
-app.post('/verify-code', async (req, res) => {
-  try {
-    const { email, code } = req.body;
-
-    if (!email || !code) {
-      return res.status(400).json({
-        success: false,
-        error: 'E-mail e código são obrigatórios.'
-      });
-    }
+// Cria um admin. O e-mail precisa ter acesso à organização do admin
+// (domínio ou lista de membros) ou, para admins globais, a alguma organização.
+const createAdmin = async (admin) => {
+  const allowed = admin.organization_id
+    ? await isAllowedInOrganization(admin.email, admin.organization_id)
+    : Boolean(await resolveOrganization(admin.email));
 
-    // Verifica se o código de verificação enviado é válido
-    const storedCode = verificationCodes.get(email);
+  if (!allowed) {
+    return { status: 400, error: 'O e-mail não pertence à organização (domínio ou lista de membros)' };
+  }
 
-    if (!storedCode) {
-      return res.status(400).json({
-        success: false,
-        error: 'Código expirado ou não encontrado.'
-      });
-    }
+  const { data, error } = await supabase
+    .from('admins')
+    .insert([admin])
+    .select()
+    .single();
 
-    if (storedCode !== code) {
-      return res.status(400).json({
-        success: false,
-        error: 'Código incorreto.'
-      });
-    }
+  if (error?.code === '23505') {
+    return { status: 409, error: 'E-mail já é administrador' };
+  }
+  if (error) throw error;
 
-    // Código correto, remover código armazenado
-    verificationCodes.delete(email);
+  return { admin: data };
+};
 
-    // Verificar se o e-mail pertence a um admin
-    const { data: adminData, error: adminError } = await supabase
-      .from('admins')
-      .select('email')
-      .eq('email', email);
+// Rota para adicionar um admin (mantida por compatibilidade; prefira POST /admins)
+app.post('/add-admin', requireOwner, async (req, res) => {
+  const { admin, error: validationError } = parseAdminInput({ email: req.body.email });
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
 
-    if (adminError) {
-      return res.status(500).json({
-        success: false,
-        error: 'Erro ao verificar admin.'
-      });
+  try {
+    const result = await createAdmin(admin);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
     }
 
-    const isAdmin = adminData.length > 0; // Se o e-mail está na tabela de admins
-
-    // Gerar token JWT, incluindo o campo isAdmin
-    const token = jwt.sign({ email, isAdmin }, JWT_SECRET, { expiresIn: '1h' });
+    await recordAudit(req, 'admin.add', { targetType: 'admin', targetId: admin.email, after: result.admin });
+    res.status(200).json({ success: true, data: [result.admin] });
+  } catch (error) {
+    res.status(500).json({ error: 'Erro ao adicionar administrador' });
+  }
+});
 
-    // Registrar a atividade de login
-    const loginTime = moment().tz('America/Sao_Paulo').format();
+// Listar admins (filtro opcional por organização; organization_id=none para os globais)
+app.get('/admins', requireOwner, async (req, res) => {
+  const { organization_id } = req.query;
 
-    const { error: dbError } = await supabase
-      .from('user_activity')
-      .insert([{ email, login_time: loginTime }]);
+  let query = supabase
+    .from('admins')
+    .select('*')
+    .order('email', { ascending: true });
 
-    if (dbError) {
-      console.error('Erro ao registrar login no Supabase:', dbError.message);
-      return res.status(500).json({
-        success: false,
-        error: 'Erro ao registrar atividade de login.'
-      });
-    }
+  if (organization_id === 'none') query = query.is('organization_id', null);
+  else if (organization_id) query = query.eq('organization_id', organization_id);
 
-    // Resposta de sucesso com o token e o status de admin
-    return res.status(200).json({ success: true, email, token, isAdmin });
+  const { data, error } = await query;
 
-  } catch (err) {
-    console.error('Erro no endpoint /verify-code:', err);
-    return res.status(500).json({
-      success: false,
-      error: 'Erro interno do servidor.'
-    });
+  if (error) {
+    return res.status(500).json({ error: 'Erro ao listar administradores' });
   }
+
+  res.status(200).json(data);
 });
 
-app.post('/send-verification-code', async (req, res) => {
-  const { email } = req.body;
+// Adicionar admin: role "owner" (global, gerencia admins e organizações) ou
+// "admin" (global ou restrito a organization_id)
+app.post('/admins', requireOwner, async (req, res) => {
+  const { admin, error: validationError } = parseAdminInput(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
 
-  if (!email || !email.endsWith('@fcbhealth.com')) {
-    return res.status(400).json({ success: false, error: 'E-mail inválido ou não autorizado' });
+  try {
+    const result = await createAdmin(admin);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    await recordAudit(req, 'admin.add', { targetType: 'admin', targetId: admin.email, after: result.admin });
+    res.status(201).json(result.admin);
+  } catch (error) {
+    res.status(500).json({ error: 'Erro ao adicionar administrador' });
   }
+});
 
-  // Gera um código de 6 dígitos
-  const code = Math.floor(100000 + Math.random() * 900000).toString();
+// Alterar o papel de um admin (o último proprietário não pode ser rebaixado)
+app.put('/admins/:email', requireOwner, async (req, res) => {
+  const { role } = req.body;
+  const email = normalizeEmail(req.params.email);
 
-  // Armazena temporariamente (ideal seria Redis ou banco com TTL)
-  verificationCodes.set(email, code);
-  setTimeout(() => verificationCodes.delete(email), 5 * 60 * 1000); // expira em 5 minutos
+  const { error: validationError } = parseAdminInput({ email, role });
+  if (validationError || !role) {
+    return res.status(400).json({ error: validationError || 'Campo "role" é obrigatório' });
+  }
 
   try {
-    const transporter = nodemailer.createTransport({
-      host: process.env.EMAIL_HOST,
-      port: Number(process.env.EMAIL_PORT),
-      secure: false,
-      auth: {
-        user: process.env.EMAIL_USER,
-        pass: process.env.EMAIL_PASS,
-      },
-    });
+    const { data, error } = await supabase.rpc('set_admin_role', { p_email: email, p_role: role });
+    if (error) throw error;
 
-    const htmlContent = `
-      <div style="font-family: Arial, sans-serif; background-color: #f9f9f9; padding: 40px; text-align: center;">
-        <h2 style="color: #333;">Olá!</h2>
-        <p style="font-size: 16px; color: #555;">
-          Seu código de verificação para acessar o SnapBox é:
-        </p>
-        <div style="margin: 30px 0;">
-          <span style="
-            font-size: 48px;
-            font-weight: bold;
-            color: #2c3e50;
-            background: #ecf0f1;
-            padding: 20px 40px;
-            border-radius: 10px;
-            display: inline-block;
-            letter-spacing: 10px;
-          ">${code}</span>
-        </div>
-        <p style="font-size: 14px; color: #999;">Este código expira em 5 minutos.</p>
-        <hr style="margin-top: 40px;" />
-        <p style="font-size: 12px; color: #ccc;">SnapBox &copy; ${new Date().getFullYear()} | Desenvolvido pela FCB Health</p>
-      </div>
-    `;
-
-    await transporter.sendMail({
-      from: `"SnapBox" <${process.env.EMAIL_USER}>`,
-      to: email,
-      subject: 'Seu código de verificação • SnapBox',
-      html: htmlContent,
-    });
+    if (data.status === 'not_found') {
+      return res.status(404).json({ error: 'Administrador não encontrado' });
+    }
+    if (data.status === 'last_owner') {
+      return res.status(409).json({ error: 'Não é possível rebaixar o último proprietário' });
+    }
 
-    res.status(200).json({ success: true });
+    await recordAudit(req, 'admin.role_change', { targetType: 'admin', targetId: email, before: data.before, after: data.after });
+    res.status(200).json(data.after);
   } catch (error) {
-    res.status(500).json({ success: false, error: 'Erro ao enviar e-mail' });
+    res.status(500).json({ error: 'Erro ao alterar papel do administrador' });
   }
 });
 
-app.post('/parametrize-url', upload.single('image'), async (req, res) => {
+// Remover admin (o último admin e o último proprietário não podem ser removidos)
+app.delete('/admins/:email', requireOwner, async (req, res) => {
+  const email = normalizeEmail(req.params.email);
+
   try {
-    // Receber a URL base e os parâmetros
-    const { baseUrl, params } = req.body;
+    const { data, error } = await supabase.rpc('remove_admin', { p_email: email });
+    if (error) throw error;
 
-    // Parse a string JSON para objeto
-    const paramsObj = JSON.parse(params);
+    if (data.status === 'not_found') {
+      return res.status(404).json({ error: 'Administrador não encontrado' });
+    }
+    if (data.status === 'last_admin') {
+      return res.status(409).json({ error: 'Não é possível remover o último administrador' });
+    }
+    if (data.status === 'last_owner') {
+      return res.status(409).json({ error: 'Não é possível remover o último proprietário' });
+    }
 
-    res.json({ parametrizedUrl: baseUrl + '?' + new URLSearchParams(paramsObj).toString() });
+    await recordAudit(req, 'admin.remove', { targetType: 'admin', targetId: email, before: data.admin });
+    res.status(200).json({ success: true });
   } catch (error) {
-    res.status(400).json({ error: 'Erro ao parametrizar a URL' });
+    res.status(500).json({ error: 'Erro ao remover administrador' });
   }
 });
 
-// Rota para salvar URL na tabela urls_snapbox
-app.post('/save-url', upload.single('image'), async (req, res) => {
+// Listar organizações
+app.get('/organizations', requireOwner, async (req, res) => {
+  const { data, error } = await supabase
+    .from('organizations')
+    .select('*')
+    .order('name', { ascending: true });
+
+  if (error) {
+    return res.status(500).json({ error: 'Erro ao listar organizações' });
+  }
+
+  res.status(200).json(data);
+});
+
+// Criar organização com seus domínios de e-mail permitidos
+app.post('/organizations', requireOwner, async (req, res) => {
+  const { organization, error: validationError } = parseOrganizationInput(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
   try {
-    const { name, url } = req.body;
+    const conflict = await findDomainConflict(organization.allowed_domains);
+    if (conflict) {
+      return res.status(409).json({ error: `Domínio já usado pela organização ${conflict.name}` });
+    }
 
-    // Se uma imagem foi carregada, fazer o upload para o Supabase Storage
-    let imageUrl = null;
-    if (req.file) {
-      const { originalname, mimetype, buffer } = req.file;
-      const fileExt = originalname.split('.').pop();
-      const fileName = `${uuidv4()}.${fileExt}`;
-
-      // Fazendo upload da imagem para o Supabase Storage
-      const { error: uploadError } = await supabase.storage
-        .from(BUCKET_NAME)
-        .upload(`public/${fileName}`, buffer, {
-          contentType: mimetype,
-          upsert: false,
-        });
+    const { data, error } = await supabase
+      .from('organizations')
+      .insert([{ ...organization, created_by: req.user.email }])
+      .select()
+      .single();
 
-      if (uploadError) {
-        throw uploadError;
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ error: 'Já existe uma organização com esse nome' });
       }
+      throw error;
+    }
 
-      // Obtendo URL pública da imagem carregada
-      const { data: { publicUrl } } = supabase.storage
-        .from(BUCKET_NAME)
-        .getPublicUrl(`public/${fileName}`);
+    await recordAudit(req, 'organization.create', { targetType: 'organization', targetId: data.id, after: data });
+    res.status(201).json(data);
+  } catch (error) {
+    res.status(500).json({ error: 'Erro ao criar organização' });
+  }
+});
 
-      imageUrl = publicUrl; // Armazena a URL pública da imagem
-    }
+// Editar nome ou domínios de uma organização
+app.put('/organizations/:id', requireOwner, async (req, res) => {
+  const { organization, error: validationError } = parseOrganizationInput(req.body, true);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
 
-    // Verifica se os campos obrigatórios estão presentes
-    if (!name || !url) {
-      return res.status(400).json({ error: 'Nome e URL são obrigatórios' });
+  try {
+    const { data: current, error: fetchError } = await supabase
+      .from('organizations')
+      .select('*')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (fetchError) throw fetchError;
+    if (!current) {
+      return res.status(404).json({ error: 'Organização não encontrada' });
     }
 
-    // Gerando o UUID manualmente no backend
-    const id = uuidv4();
+    if (organization.allowed_domains) {
+      const conflict = await findDomainConflict(organization.allowed_domains, current.id);
+      if (conflict) {
+        return res.status(409).json({ error: `Domínio já usado pela organização ${conflict.name}` });
+      }
+    }
 
-    // Inserir dados na tabela urls_snapbox com o UUID gerado
     const { data, error } = await supabase
-      .from('urls_snapbox')
-      .insert([
-        {
-          id: id,  // Passando o UUID gerado para o campo id
-          name: name,
-          url: url,
-          image: imageUrl || null,  // Armazenando a URL da imagem ou null
-        }
-      ])
-      .select(); // Isso garante que os dados inseridos (incluindo o UUID) sejam retornados
+      .from('organizations')
+      .update({ ...organization, updated_at: new Date().toISOString() })
+      .eq('id', current.id)
+      .select()
+      .single();
 
     if (error) {
-      return res.status(500).json({ error: 'Erro ao salvar URL no banco de dados' });
+      if (error.code === '23505') {
+        return res.status(409).json({ error: 'Já existe uma organização com esse nome' });
+      }
+      throw error;
     }
 
-    // Retorna os dados inseridos, incluindo o UUID gerado
-    res.status(201).json({
-      ...data[0],  // Inclui todos os dados retornados (incluindo o UUID)
-      id: id       // Garante que o UUID gerado apareça explicitamente
-    });
+    await recordAudit(req, 'organization.update', { targetType: 'organization', targetId: current.id, before: current, after: data });
+    res.status(200).json(data);
   } catch (error) {
-    res.status(500).json({ error: 'Erro ao salvar URL' });
+    res.status(500).json({ error: 'Erro ao atualizar organização' });
   }
 });
 
-// Atualizar nome da campanha
-app.put('/urls/:id', async (req, res) => {
-  const { id } = req.params;
-  const { name } = req.body;
-
-  if (!name) {
-    return res.status(400).json({ error: 'Nome é obrigatório.' });
+// Excluir organização (apenas sem links, campanhas, arquivos e pastas)
+app.delete('/organizations/:id', requireOwner, async (req, res) => {
+  if (req.params.id === req.user.org) {
+    return res.status(409).json({ error: 'Não é possível excluir a organização da sessão atual' });
   }
 
   try {
     const { data, error } = await supabase
-      .from('urls_snapbox')
-      .update({ name })
-      .eq('id', id)
+      .from('organizations')
+      .delete()
+      .eq('id', req.params.id)
       .select();
 
     if (error) {
-      return res.status(500).json({ error: 'Erro ao atualizar nome da campanha.' });
+      if (error.code === '23503') {
+        return res.status(409).json({ error: 'A organização ainda possui links, campanhas ou arquivos' });
+      }
+      throw error;
+    }
+    if (!data.length) {
+      return res.status(404).json({ error: 'Organização não encontrada' });
     }
 
-    res.status(200).json(data[0]);
-  } catch (err) {
-    res.status(500).json({ error: 'Erro interno do servidor.' });
+    await recordAudit(req, 'organization.delete', { targetType: 'organization', targetId: req.params.id, before: data[0] });
+    res.status(200).json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: 'Erro ao excluir organização' });
   }
 });
 
-app.get('/url-performance/:urlId', async (req, res) => {
-  const { urlId } = req.params;
-  const { start_date, end_date } = req.query;
+// Lista de membros (e-mails liberados fora dos domínios da organização)
+app.get('/organizations/:id/members', requireOwner, async (req, res) => {
+  const { data, error } = await supabase
+    .from('organization_members')
+    .select('*')
+    .eq('organization_id', req.params.id)
+    .order('email', { ascending: true });
 
-  console.log(`Iniciando consulta para URL ID: ${urlId}`);
+  if (error) {
+    return res.status(500).json({ error: 'Erro ao listar membros' });
+  }
 
-  try {
-    // 1. Verificar se a URL existe
-    const { data: url, error: urlError } = await supabase
-      .from('urls_snapbox')
-      .select('id')
-      .eq('id', urlId)
-      .single();
+  res.status(200).json(data);
+});
 
-    if (urlError || !url) {
-      console.log('URL não encontrada:', urlError);
-      return res.status(404).json({ error: "URL não encontrada" });
-    }
+// Liberar um e-mail na organização
+app.post('/organizations/:id/members', requireOwner, async (req, res) => {
+  const email = normalizeEmail(req.body.email);
+  if (!isValidEmail(email)) {
+    return res.status(400).json({ error: 'E-mail inválido' });
+  }
 
-    // 2. Consultar cliques
-    let clicksQuery = supabase
-      .from('url_clicks')
-      .select('*', { count: 'exact' })
-      .eq('url_id', urlId);
-
-    // 3. Consultar visitantes únicos
-    let uniqueQuery = supabase
-      .from('url_clicks')
-      .select('session_id', { count: 'exact', distinct: true })
-      .eq('url_id', urlId);
-
-    // Aplicar filtros de data
-    if (start_date) {
-      clicksQuery = clicksQuery.gte('click_time', start_date);
-      uniqueQuery = uniqueQuery.gte('click_time', start_date);
-    }
-    if (end_date) {
-      clicksQuery = clicksQuery.lte('click_time', end_date);
-      uniqueQuery = uniqueQuery.lte('click_time', end_date);
-    }
-
-    // Executar consultas em paralelo
-    const [
-      { count: totalClicks, error: clicksError },
-      { count: uniqueVisitors, error: uniqueError },
-      { data: devicesData, error: devicesError }
-    ] = await Promise.all([
-      clicksQuery,
-      uniqueQuery,
-      supabase
-        .from('url_clicks')
-        .select('device_type')
-        .eq('url_id', urlId)
+  const { data, error } = await supabase
+    .from('organization_members')
+    .insert([{ organization_id: req.params.id, email, created_by: req.user.email }])
+    .select()
+    .single();
+
+  if (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'E-mail já é membro da organização' });
+    }
+    if (error.code === '23503' || error.code === '22P02') {
+      return res.status(404).json({ error: 'Organização não encontrada' });
+    }
+    return res.status(500).json({ error: 'Erro ao adicionar membro' });
+  }
+
+  await recordAudit(req, 'organization.member_add', { targetType: 'organization', targetId: req.params.id, after: data });
+  res.status(201).json(data);
+});
+
+// Remover um e-mail da lista de membros (o acesso é revogado na próxima renovação do token)
+app.delete('/organizations/:id/members/:email', requireOwner, async (req, res) => {
+  const { data, error } = await supabase
+    .from('organization_members')
+    .delete()
+    .eq('organization_id', req.params.id)
+    .eq('email', normalizeEmail(req.params.email))
+    .select();
+
+  if (error) {
+    return res.status(500).json({ error: 'Erro ao remover membro' });
+  }
+  if (!data.length) {
+    return res.status(404).json({ error: 'Membro não encontrado' });
+  }
+
+  await recordAudit(req, 'organization.member_remove', { targetType: 'organization', targetId: req.params.id, before: data[0] });
+  res.status(200).json({ success: true });
+});
+
+app.post('/logout', async (req, res) => {
+  const { most_viewed_path } = req.body;
+
+  try {
+    // Encerra exatamente a sessão do token usado na requisição
+    const closed = await closeSession(req.user.sid, {
+      most_viewed_path: most_viewed_path || '/', // Garante um valor padrão
+    });
+
+    if (!closed) return res.status(404).json({ error: 'Sessão não encontrada.' });
+
+    await recordAudit(req, 'auth.logout', { targetType: 'session', targetId: req.user.sid });
+    return res.json({ success: true });
+  } catch (err) {
+    console.error('Erro ao encerrar sessão:', err.message);
+    return res.status(500).json({ error: 'Erro ao atualizar sessão.' });
+  }
+});
+
+// Sinal de presença do frontend (a cada minuto e a cada navegação):
+// atualiza o último acesso e registra a página atual
+app.post('/heartbeat', async (req, res) => {
+  const { path, error: pathError } = parsePagePath(req.body.path);
+  if (pathError) {
+    return res.status(400).json({ error: pathError });
+  }
+
+  try {
+    const result = await recordHeartbeat(req.user.sid, path);
+    if (result.status === 'closed') {
+      return res.status(401).json({ error: 'Sessão encerrada.' });
+    }
+
+    return res.json({
+      success: true,
+      last_seen_at: result.last_seen_at,
+      idle_timeout_minutes: getIdleTimeoutMinutes()
+    });
+  } catch (err) {
+    console.error('Erro ao registrar heartbeat:', err.message);
+    return res.status(500).json({ error: 'Erro ao registrar heartbeat.' });
+  }
+});
+
+// Renova o token de acesso trocando o refresh token (rotação)
+app.post('/refresh-token', async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken) {
+    return res.status(400).json({ success: false, error: 'Refresh token é obrigatório.' });
+  }
+
+  if (!getJwtSecret()) {
+    return res.status(500).json({ success: false, error: 'Autenticação não configurada no servidor.' });
+  }
+
+  try {
+    const { session, refreshToken: nextRefreshToken, error } = await rotateRefreshToken(refreshToken);
+
+    if (error) {
+      const messages = {
+        invalid: 'Refresh token inválido.',
+        expired: 'Refresh token expirado.',
+        reused: 'Refresh token já utilizado. Sessão encerrada por segurança.',
+        closed: 'Sessão encerrada.'
+      };
+      return res.status(401).json({ success: false, error: messages[error] });
+    }
+
+    // Acesso à organização e status de admin são reavaliados a cada renovação
+    const admin = session.organization_id && await findAdmin(session.email, session.organization_id);
+    if (!session.organization_id || (!admin && !(await isAllowedInOrganization(session.email, session.organization_id)))) {
+      await closeSession(session.id, {}, 'forced');
+      return res.status(401).json({ success: false, error: 'Acesso à organização revogado.' });
+    }
+
+    const isAdmin = Boolean(admin);
+    const token = signAccessToken({
+      email: session.email,
+      isAdmin,
+      role: admin?.role || null,
+      org: session.organization_id,
+      sid: session.id
+    });
+
+    return res.json({ success: true, token, refreshToken: nextRefreshToken, isAdmin });
+  } catch (err) {
+    console.error('Erro no endpoint /refresh-token:', err);
+    return res.status(500).json({ success: false, error: 'Erro interno do servidor.' });
+  }
+});
+
+// Sessões abertas de um usuário
+app.get('/admin/users/:email/sessions', requireAdmin, async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(normalizeEmail(req.params.email), req.user.org);
+    return res.json(sessions);
+  } catch (err) {
+    console.error('Erro ao listar sessões:', err.message);
+    return res.status(500).json({ error: 'Erro ao listar sessões.' });
+  }
+});
+
+// Encerra à força todas as sessões abertas de um usuário
+app.delete('/admin/users/:email/sessions', requireAdmin, async (req, res) => {
+  try {
+    const email = normalizeEmail(req.params.email);
+    const sessions = await listActiveSessions(email, req.user.org);
+    for (const session of sessions) {
+      await closeSession(session.id, {}, 'forced');
+    }
+    await recordAudit(req, 'session.close_all', {
+      targetType: 'user',
+      targetId: email,
+      after: { closed_sessions: sessions.map(session => session.id) }
+    });
+    return res.json({ success: true, closed_sessions: sessions.length });
+  } catch (err) {
+    console.error('Erro ao encerrar sessões:', err.message);
+    return res.status(500).json({ error: 'Erro ao encerrar sessões.' });
+  }
+});
+
+// Encerra à força uma sessão específica
+app.delete('/admin/sessions/:id', requireAdmin, async (req, res) => {
+  try {
+    const { data: session, error } = await supabase
+      .from('user_activity')
+      .select('id')
+      .eq('id', req.params.id)
+      .eq('organization_id', req.user.org)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!session) return res.status(404).json({ error: 'Sessão não encontrada.' });
+
+    const closed = await closeSession(req.params.id, {}, 'forced');
+    if (!closed) return res.status(404).json({ error: 'Sessão não encontrada.' });
+    await recordAudit(req, 'session.close', { targetType: 'session', targetId: req.params.id });
+    return res.json({ success: true });
+  } catch (err) {
+    console.error('Erro ao encerrar sessão:', err.message);
+    return res.status(500).json({ error: 'Erro ao encerrar sessão.' });
+  }
+});
+
+// Páginas vistas por um usuário no período (start_date, end_date, timezone)
+app.get('/admin/users/:email/page-views', requireAdmin, async (req, res) => {
+  const period = parsePeriod(req.query);
+  if (period.error) {
+    return res.status(400).json({ error: period.error });
+  }
+
+  try {
+    const views = await getPageViewHistogram({
+      organizationId: req.user.org,
+      email: req.params.email,
+      start: period.start,
+      end: period.end
+    });
+
+    res.json({
+      email: req.params.email.toLowerCase(),
+      total_views: views.reduce((sum, view) => sum + view.views, 0),
+      paths: views.map(({ path, views: count, last_viewed_at }) => ({ path, views: count, last_viewed_at }))
+    });
+  } catch (err) {
+    console.error('Erro ao buscar páginas vistas:', err.message);
+    res.status(500).json({ error: 'Erro ao buscar páginas vistas.' });
+  }
+});
+
+// Métricas de acesso da organização. Filtros: start_date, end_date e
+// timezone (pelo horário de login); user_logs é paginado (limit, cursor)
+app.get('/admin-stats', requireAdmin, async (req, res) => {
+  const period = parsePeriod(req.query);
+  if (period.error) {
+    return res.status(400).json({ error: period.error });
+  }
+
+  const limit = parseLimit(req.query.limit);
+
+  let cursor = null;
+  if (req.query.cursor) {
+    cursor = decodeCursor(req.query.cursor);
+    if (!cursor) {
+      return res.status(400).json({ error: 'Cursor inválido' });
+    }
+  }
+
+  try {
+    let logsQuery = supabase
+      .from('user_activity')
+      .select('*')
+      .eq('organization_id', req.user.org);
+
+    if (period.start) logsQuery = logsQuery.gte('login_time', period.start);
+    if (period.end) logsQuery = logsQuery.lte('login_time', period.end);
+
+    const [stats, logs] = await Promise.all([
+      getActivityStats(req.user.org, period),
+      paginate(logsQuery, { cursor, limit, column: 'login_time' })
+    ]);
+
+    if (logs.error) throw logs.error;
+
+    const page = toPage(logs.data, limit, 'login_time');
+    // Online é quem mandou heartbeat recentemente, não quem só deixou de fazer logout
+    const onlineSince = Date.now() - ONLINE_WINDOW_SECONDS * 1000;
+
+    res.json({
+      period: { start: period.start, end: period.end, timezone: period.timezone },
+      total_users: stats.total_users,
+      total_sessions: stats.total_sessions,
+      online_users: stats.online_users,
+      most_active_user: {
+        email: stats.most_active_user?.email || '',
+        session_duration_minutes: Math.floor((stats.most_active_user?.session_seconds || 0) / 60),
+      },
+      user_logs: page.data.map(log => ({
+        ...log,
+        session_duration_minutes: Math.floor((log.session_duration || 0) / 60),
+        // Garante que most_viewed_path seja incluído mesmo se for null
+        most_viewed_path: log.most_viewed_path || null,
+        online: !log.logout_time && new Date(log.last_seen_at || log.login_time).getTime() >= onlineSince
+      })),
+      next_cursor: page.next_cursor
+    });
+  } catch (err) {
+    console.error('Erro ao buscar atividades:', err.message);
+    res.status(500).json({ error: 'Erro ao buscar atividades' });
+  }
+});
+
+// Log de auditoria (mais recentes primeiro). Filtros: actor, action
+// (exata ou prefixo, ex.: "url.*"), target_type, target_id, from e to
+app.get('/audit-log', requireAdmin, async (req, res) => {
+  const { filters, error: filterError } = parseAuditFilters(req.query);
+  if (filterError) {
+    return res.status(400).json({ error: filterError });
+  }
+
+  const limit = parseLimit(req.query.limit);
+
+  let cursor = null;
+  if (req.query.cursor) {
+    cursor = decodeCursor(req.query.cursor);
+    if (!cursor) {
+      return res.status(400).json({ error: 'Cursor inválido' });
+    }
+  }
+
+  try {
+    const query = applyAuditFilters(
+      supabase.from('audit_log').select('*').eq('organization_id', req.user.org),
+      filters
+    );
+    const { data, error } = await paginate(query, { cursor, limit });
+    if (error) throw error;
+
+    res.status(200).json(toPage(data, limit));
+  } catch (error) {
+    res.status(500).json({ error: 'Erro ao buscar log de auditoria' });
+  }
+});
+
+// Simula a retenção de dados: quantas linhas seriam agregadas e apagadas
+// hoje em cada tabela, sem alterar nada
+app.get('/retention/dry-run', requireOwner, async (req, res) => {
+  try {
+    const policies = await applyRetention({ dryRun: true });
+    res.status(200).json({ policies });
+  } catch (error) {
+    console.error('Erro ao simular retenção:', error.message);
+    res.status(500).json({ error: 'Erro ao simular retenção de dados' });
+  }
+});
+
+// Rota para verificar código
+app.post('/verify-code', async (req, res) => {
+  try {
+    const email = normalizeEmail(req.body.email);
+    const { code } = req.body;
+
+    if (!email || !code) {
+      return res.status(400).json({
+        success: false,
+        error: 'E-mail e código são obrigatórios.'
+      });
+    }
+
+    // Sem um segredo seguro não há como emitir tokens; preserva o código
+    if (!getJwtSecret()) {
+      return res.status(500).json({
+        success: false,
+        error: 'Autenticação não configurada no servidor.'
+      });
+    }
+
+    // Verifica o código (consumido automaticamente se estiver correto)
+    const { valid, reason } = await verificationCodes.verify(email, code);
+
+    if (!valid) {
+      if (reason === 'locked') {
+        return res.status(429).json({
+          success: false,
+          error: 'Muitas tentativas incorretas. Solicite um novo código.'
+        });
+      }
+
+      return res.status(400).json({
+        success: false,
+        error: reason === 'invalid' ? 'Código incorreto.' : 'Código expirado ou não encontrado.'
+      });
+    }
+
+    // Organização do usuário (o acesso pode ter sido revogado após o envio do código)
+    const organization = await resolveOrganization(email);
+    if (!organization) {
+      return res.status(403).json({
+        success: false,
+        error: 'E-mail não autorizado.'
+      });
+    }
+
+    // Verificar se o e-mail pertence a um admin da organização
+    const admin = await findAdmin(email, organization.id);
+    const isAdmin = Boolean(admin);
+
+    // Registrar a atividade de login (a linha de user_activity é a sessão)
+    let session;
+    let refreshToken;
+    try {
+      session = await createSession(email, organization.id);
+      ({ token: refreshToken } = await issueRefreshToken(session.id));
+    } catch (dbError) {
+      console.error('Erro ao registrar login no Supabase:', dbError.message);
+      return res.status(500).json({
+        success: false,
+        error: 'Erro ao registrar atividade de login.'
+      });
+    }
+
+    // Gerar token JWT, incluindo o status de admin, a organização e o ID da sessão
+    const token = signAccessToken({ email, isAdmin, role: admin?.role || null, org: organization.id, sid: session.id });
+    await recordAudit(req, 'auth.login', {
+      actor: email,
+      organizationId: organization.id,
+      targetType: 'session',
+      targetId: session.id
+    });
+
+    // Resposta de sucesso com os tokens, o status de admin e a organização
+    return res.status(200).json({
+      success: true,
+      email,
+      token,
+      refreshToken,
+      isAdmin,
+      organization: { id: organization.id, name: organization.name }
+    });
+
+  } catch (err) {
+    console.error('Erro no endpoint /verify-code:', err);
+    return res.status(500).json({
+      success: false,
+      error: 'Erro interno do servidor.'
+    });
+  }
+});
+
+app.post('/send-verification-code', async (req, res) => {
+  const email = normalizeEmail(req.body.email);
+
+  // Apenas e-mails de domínios permitidos ou da lista de membros de uma organização
+  let organization = null;
+  try {
+    organization = isValidEmail(email) ? await resolveOrganization(email) : null;
+  } catch (error) {
+    console.error('Erro ao verificar organização:', error.message);
+    return res.status(500).json({ success: false, error: 'Erro ao verificar e-mail' });
+  }
+
+  if (!organization) {
+    return res.status(400).json({ success: false, error: 'E-mail inválido ou não autorizado' });
+  }
+
+  let code;
+  try {
+    // Gera e armazena um código de 6 dígitos (respeitando o intervalo de reenvio)
+    const issued = await verificationCodes.issue(email);
+
+    if (issued.retryAfter) {
+      res.set('Retry-After', String(issued.retryAfter));
+      return res.status(429).json({
+        success: false,
+        error: `Aguarde ${issued.retryAfter} segundos para solicitar um novo código.`
+      });
+    }
+
+    code = issued.code;
+  } catch (error) {
+    console.error('Erro ao gerar código de verificação:', error.message);
+    return res.status(500).json({ success: false, error: 'Erro ao gerar código de verificação' });
+  }
+
+  try {
+    const template = await getTemplate('verification-code');
+    const message = renderTemplate(template, {
+      code,
+      expires_minutes: Math.round(verificationCodes.ttlSeconds / 60),
+      year: new Date().getFullYear()
+    });
+
+    if (message.error) throw new Error(message.error);
+
+    // Envio direto: o código não fica salvo em texto na fila nem é
+    // reenviado depois de expirar
+    await sendEmailNow({ to: email, ...message });
+
+    res.status(200).json({ success: true });
+  } catch (error) {
+    console.error('Erro ao enviar código de verificação:', error.message);
+    // Sem e-mail enviado, libera o usuário para pedir outro código imediatamente
+    await verificationCodes.discard(email).catch(() => {});
+    res.status(500).json({ success: false, error: 'Erro ao enviar e-mail' });
+  }
+});
+
+// Listar presets de parâmetros (UTM) da organização
+app.get('/url-presets', async (req, res) => {
+  const { data, error } = await supabase
+    .from('url_param_presets')
+    .select('*')
+    .eq('organization_id', req.user.org)
+    .order('name', { ascending: true });
+
+  if (error) {
+    return res.status(500).json({ error: 'Erro ao buscar presets' });
+  }
+
+  res.status(200).json(data);
+});
+
+// Criar preset de parâmetros
+app.post('/url-presets', async (req, res) => {
+  const { preset, error: validationError } = parsePresetInput(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  const { data, error } = await supabase
+    .from('url_param_presets')
+    .insert([{ ...preset, created_by: req.user.email, organization_id: req.user.org }])
+    .select();
+
+  if (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'Já existe um preset com esse nome' });
+    }
+    return res.status(500).json({ error: 'Erro ao criar preset' });
+  }
+
+  await recordAudit(req, 'url_preset.create', { targetType: 'url_preset', targetId: data[0].id, after: data[0] });
+  res.status(201).json(data[0]);
+});
+
+// Editar preset de parâmetros
+app.put('/url-presets/:id', async (req, res) => {
+  const { id } = req.params;
+
+  const { data: current, error: fetchError } = await supabase
+    .from('url_param_presets')
+    .select('*')
+    .eq('id', id)
+    .eq('organization_id', req.user.org)
+    .maybeSingle();
+
+  if (fetchError) {
+    return res.status(500).json({ error: 'Erro ao buscar preset' });
+  }
+  if (!current) {
+    return res.status(404).json({ error: 'Preset não encontrado' });
+  }
+
+  // Validação parcial considerando os valores atuais do preset
+  const { preset, error: validationError } = parsePresetInput({ ...current, ...req.body }, true);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  const { data, error } = await supabase
+    .from('url_param_presets')
+    .update({ ...preset, updated_at: new Date().toISOString() })
+    .eq('id', id)
+    .eq('organization_id', req.user.org)
+    .select();
+
+  if (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'Já existe um preset com esse nome' });
+    }
+    return res.status(500).json({ error: 'Erro ao atualizar preset' });
+  }
+
+  await recordAudit(req, 'url_preset.update', { targetType: 'url_preset', targetId: id, before: current, after: data[0] });
+  res.status(200).json(data[0]);
+});
+
+// Excluir preset de parâmetros (links salvos mantêm a URL gerada)
+app.delete('/url-presets/:id', async (req, res) => {
+  const { data, error } = await supabase
+    .from('url_param_presets')
+    .delete()
+    .eq('id', req.params.id)
+    .eq('organization_id', req.user.org)
+    .select();
+
+  if (error) {
+    return res.status(500).json({ error: 'Erro ao excluir preset' });
+  }
+
+  if (data.length) {
+    await recordAudit(req, 'url_preset.delete', { targetType: 'url_preset', targetId: req.params.id, before: data[0] });
+  }
+  res.status(200).json({ success: true });
+});
+
+// Parametrizar URL, opcionalmente com um preset e salvando em urls_snapbox
+app.post('/parametrize-url', upload.none(), async (req, res) => {
+  const { baseUrl, presetId, name } = req.body;
+  const save = req.body.save === true || req.body.save === 'true';
+
+  if (!baseUrl) {
+    return res.status(400).json({ error: 'URL base é obrigatória' });
+  }
+
+  // params pode chegar como objeto (JSON) ou string JSON (multipart)
+  let params = req.body.params || {};
+  if (typeof params === 'string') {
+    try {
+      params = JSON.parse(params);
+    } catch (error) {
+      return res.status(400).json({ error: 'Parâmetros devem ser um JSON válido' });
+    }
+  }
+
+  if (typeof params !== 'object' || Array.isArray(params)) {
+    return res.status(400).json({ error: 'Parâmetros devem ser um objeto' });
+  }
+
+  if (save && !name) {
+    return res.status(400).json({ error: 'Nome é obrigatório para salvar a URL' });
+  }
+
+  try {
+    let preset = null;
+    if (presetId) {
+      const { data, error } = await supabase
+        .from('url_param_presets')
+        .select('*')
+        .eq('id', presetId)
+        .eq('organization_id', req.user.org)
+        .maybeSingle();
+
+      if (error) throw error;
+      if (!data) {
+        return res.status(404).json({ error: 'Preset não encontrado' });
+      }
+      preset = data;
+    }
+
+    const { url: parametrizedUrl, error: buildError } = buildParametrizedUrl(baseUrl, params, preset);
+    if (buildError) {
+      return res.status(400).json({ error: buildError });
+    }
+
+    if (!save) {
+      return res.json({ parametrizedUrl });
+    }
+
+    const slug = await generateUniqueSlug();
+    const { data, error } = await supabase
+      .from('urls_snapbox')
+      .insert([{
+        id: uuidv4(),
+        name,
+        url: parametrizedUrl,
+        image: null,
+        slug,
+        preset_id: preset?.id || null,
+        created_by: req.user.email,
+        organization_id: req.user.org,
+      }])
+      .select();
+
+    if (error) throw error;
+
+    await recordAudit(req, 'url.create', { targetType: 'url', targetId: data[0].id, after: data[0] });
+    res.status(201).json({
+      parametrizedUrl,
+      saved: { ...data[0], short_url: buildShortUrl(req, slug) }
+    });
+  } catch (error) {
+    console.error('Erro ao parametrizar URL:', error.message);
+    res.status(500).json({ error: 'Erro ao parametrizar a URL' });
+  }
+});
+
+// Rota para salvar URL na tabela urls_snapbox
+app.post('/save-url', upload.single('image'), async (req, res) => {
+  try {
+    const { name, url, slug: customSlug, campaign_id } = req.body;
+
+    let tags = [];
+    if (req.body.tags !== undefined) {
+      const parsed = parseTags(req.body.tags);
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+      }
+      tags = parsed.tags;
+    }
+
+    // Verifica se os campos obrigatórios estão presentes
+    if (!name || !url) {
+      return res.status(400).json({ error: 'Nome e URL são obrigatórios' });
+    }
+
+    if (!isValidDestination(url)) {
+      return res.status(400).json({ error: 'URL de destino inválida.' });
+    }
+
+    // Valida o slug customizado antes de qualquer upload
+    if (customSlug) {
+      if (!isValidSlug(customSlug)) {
+        return res.status(400).json({ error: 'Slug inválido. Use de 3 a 64 letras, números, "-" ou "_".' });
+      }
+      if (await isSlugTaken(customSlug)) {
+        return res.status(409).json({ error: 'Slug já está em uso' });
+      }
+    }
+
+    if (campaign_id && !(await belongsToOrganization('campaigns', campaign_id, req.user.org))) {
+      return res.status(400).json({ error: 'Campanha não encontrada' });
+    }
+
+    // Gerando o UUID manualmente no backend
+    const id = uuidv4();
+    const slug = customSlug || await generateUniqueSlug();
+
+    // Upload por último, depois de toda a validação, para não deixar arquivos órfãos
+    let imageUrl = null;
+    if (req.file) {
+      imageUrl = await uploadLinkImage(req.file);
+    }
+
+    // Inserir dados na tabela urls_snapbox com o UUID gerado
+    const { data, error } = await supabase
+      .from('urls_snapbox')
+      .insert([
+        {
+          id: id,  // Passando o UUID gerado para o campo id
+          name: name,
+          url: url,
+          image: imageUrl || null,  // Armazenando a URL da imagem ou null
+          slug,
+          campaign_id: campaign_id || null,
+          tags,
+          created_by: req.user.email,
+          organization_id: req.user.org,
+        }
+      ])
+      .select(); // Isso garante que os dados inseridos (incluindo o UUID) sejam retornados
+
+    if (error) {
+      // Violação de unicidade: outro link ocupou o slug entre a checagem e o insert
+      if (error.code === '23505') {
+        return res.status(409).json({ error: 'Slug já está em uso' });
+      }
+      return res.status(500).json({ error: 'Erro ao salvar URL no banco de dados' });
+    }
+
+    await recordAudit(req, 'url.create', { targetType: 'url', targetId: id, after: data[0] });
+
+    // Retorna os dados inseridos, incluindo o UUID gerado
+    res.status(201).json({
+      ...data[0],  // Inclui todos os dados retornados (incluindo o UUID)
+      id: id,      // Garante que o UUID gerado apareça explicitamente
+      short_url: buildShortUrl(req, slug)
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Erro ao salvar URL' });
+  }
+});
+
+// Atualizar link salvo: nome, destino, imagem, tags e campanha
+app.put('/urls/:id', upload.single('image'), async (req, res) => {
+  const { id } = req.params;
+  const { name, url, campaign_id, image } = req.body;
+  const changes = {};
+
+  if (name !== undefined) {
+    if (!name) {
+      return res.status(400).json({ error: 'Nome é obrigatório.' });
+    }
+    changes.name = name;
+  }
+
+  if (url !== undefined) {
+    if (!isValidDestination(url)) {
+      return res.status(400).json({ error: 'URL de destino inválida.' });
+    }
+    changes.url = url;
+  }
+
+  if (req.body.tags !== undefined) {
+    const { tags, error: tagsError } = parseTags(req.body.tags);
+    if (tagsError) {
+      return res.status(400).json({ error: tagsError });
+    }
+    changes.tags = tags;
+  }
+
+  if (campaign_id !== undefined) {
+    changes.campaign_id = campaign_id || null;
+  }
+
+  // image vazio/null remove a imagem atual; um arquivo enviado a substitui
+  if (image !== undefined && !req.file) {
+    if (image && !isValidDestination(image)) {
+      return res.status(400).json({ error: 'URL da imagem inválida.' });
+    }
+    changes.image = image || null;
+  }
+
+  if (!Object.keys(changes).length && !req.file) {
+    return res.status(400).json({ error: 'Nenhum campo para atualizar.' });
+  }
+
+  try {
+    const { data: current, error: fetchError } = await supabase
+      .from('urls_snapbox')
+      .select('*')
+      .eq('id', id)
+      .eq('organization_id', req.user.org)
+      .maybeSingle();
+
+    if (fetchError) throw fetchError;
+    if (!current) {
+      return res.status(404).json({ error: 'URL não encontrada.' });
+    }
+
+    if (changes.campaign_id && !(await belongsToOrganization('campaigns', changes.campaign_id, req.user.org))) {
+      return res.status(400).json({ error: 'Campanha não encontrada.' });
+    }
+
+    if (req.file) {
+      changes.image = await uploadLinkImage(req.file);
+    }
+
+    const { data, error } = await supabase
+      .from('urls_snapbox')
+      .update({ ...changes, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .eq('organization_id', req.user.org)
+      .select();
+
+    if (error) {
+      return res.status(500).json({ error: 'Erro ao atualizar URL.' });
+    }
+
+    // Histórico de destinos: registra a troca de URL
+    if (changes.url && changes.url !== current.url) {
+      const { error: historyError } = await supabase
+        .from('url_destination_history')
+        .insert([{
+          url_id: id,
+          previous_url: current.url,
+          new_url: changes.url,
+          changed_by: req.user.email
+        }]);
+
+      if (historyError) {
+        console.error('Erro ao registrar histórico de destino:', historyError.message);
+      }
+    }
+
+    await recordAudit(req, 'url.update', { targetType: 'url', targetId: id, before: current, after: data[0] });
+    res.status(200).json(data[0]);
+  } catch (err) {
+    res.status(500).json({ error: 'Erro interno do servidor.' });
+  }
+});
+
+// Baixa um arquivo do bucket (o de imagens, por padrão) a partir do path ou da URL pública
+const downloadFromBucket = async (pathOrUrl, bucket = BUCKET_NAME) => {
+  const marker = `/object/public/${BUCKET_NAME}/`;
+  const path = pathOrUrl.includes(marker) ? pathOrUrl.split(marker)[1] : pathOrUrl;
+
+  const { data, error } = await supabase.storage
+    .from(bucket)
+    .download(decodeURIComponent(path));
+
+  if (error) throw error;
+  return Buffer.from(await data.arrayBuffer());
+};
+
+// QR code do link curto (PNG ou SVG), com logo opcional no centro
+app.get('/urls/:id/qr', async (req, res) => {
+  const { logo, logo_upload_id, download } = req.query;
+
+  const { options, error: optionsError } = parseQrOptions(req.query);
+  if (optionsError) {
+    return res.status(400).json({ error: optionsError });
+  }
+
+  try {
+    const { data: link, error } = await supabase
+      .from('urls_snapbox')
+      .select('id, slug, image')
+      .eq('id', req.params.id)
+      .eq('organization_id', req.user.org)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!link) {
+      return res.status(404).json({ error: 'URL não encontrada' });
+    }
+
+    // Logo: imagem do próprio link (logo=image) ou um arquivo de uploads
+    let logoBuffer = null;
+    if (logo === 'image') {
+      if (!link.image) {
+        return res.status(400).json({ error: 'O link não possui imagem' });
+      }
+      if (!link.image.includes(`/object/public/${BUCKET_NAME}/`)) {
+        return res.status(400).json({ error: 'A imagem do link não está no bucket de imagens' });
+      }
+      logoBuffer = await downloadFromBucket(link.image);
+    } else if (logo_upload_id) {
+      const { data: file, error: fileError } = await supabase
+        .from('uploads')
+        .select('bucket, path, mimetype')
+        .eq('id', logo_upload_id)
+        .eq('organization_id', req.user.org)
+        .is('deleted_at', null)
+        .maybeSingle();
+
+      if (fileError) throw fileError;
+      if (!file || !file.mimetype.startsWith('image/')) {
+        return res.status(404).json({ error: 'Imagem do logo não encontrada' });
+      }
+      logoBuffer = await downloadFromBucket(file.path, file.bucket);
+    }
+
+    const target = `${buildShortUrl(req, link.slug)}?src=${QR_SOURCE}`;
+    const { contentType, body } = await renderQr(target, options, logoBuffer);
+
+    res.set('Content-Type', contentType);
+    if (download) {
+      res.attachment(`${link.slug}-qr.${options.format}`);
+    }
+    res.send(body);
+  } catch (err) {
+    console.error('Erro ao gerar QR code:', err.message);
+    res.status(500).json({ error: 'Erro ao gerar QR code' });
+  }
+});
+
+// Histórico de destinos de um link
+app.get('/urls/:id/history', async (req, res) => {
+  try {
+    if (!(await belongsToOrganization('urls_snapbox', req.params.id, req.user.org))) {
+      return res.status(404).json({ error: 'URL não encontrada' });
+    }
+  } catch (error) {
+    return res.status(500).json({ error: 'Erro ao buscar histórico' });
+  }
+
+  const { data, error } = await supabase
+    .from('url_destination_history')
+    .select('*')
+    .eq('url_id', req.params.id)
+    .order('changed_at', { ascending: false });
+
+  if (error) {
+    return res.status(500).json({ error: 'Erro ao buscar histórico' });
+  }
+
+  res.status(200).json(data);
+});
+
+// Métricas de uma URL: totais, série temporal e distribuições no período
+app.get('/url-performance/:urlId', async (req, res) => {
+  const { urlId } = req.params;
+
+  const period = parsePeriod(req.query);
+  if (period.error) {
+    return res.status(400).json({ error: period.error });
+  }
+
+  try {
+    // Verificar se a URL existe
+    const { data: url, error: urlError } = await supabase
+      .from('urls_snapbox')
+      .select('id')
+      .eq('id', urlId)
+      .eq('organization_id', req.user.org)
+      .maybeSingle();
+
+    if (urlError || !url) {
+      return res.status(404).json({ error: "URL não encontrada" });
+    }
+
+    const includeBots = req.query.include_bots === 'true';
+    const performance = await getUrlPerformance(urlId, period, includeBots);
+
+    return res.json({
+      success: true,
+      ...performance,
+      filters: {
+        start_date: period.start,
+        end_date: period.end,
+        interval: period.interval,
+        timezone: period.timezone,
+        include_bots: includeBots
+      }
+    });
+  } catch (error) {
+    console.error('Erro ao buscar desempenho da URL:', error);
+    return res.status(500).json({ error: 'Erro ao buscar desempenho da URL.' });
+  }
+});
+
+// Rota para buscar URLs salvas (paginada por cursor, com busca e filtros)
+app.get('/urls', async (req, res) => {
+  const { q, campaign_id, tag, created_by } = req.query;
+  const limit = parseLimit(req.query.limit);
+
+  let cursor = null;
+  if (req.query.cursor) {
+    cursor = decodeCursor(req.query.cursor);
+    if (!cursor) {
+      return res.status(400).json({ error: 'Cursor inválido' });
+    }
+  }
+
+  try {
+    let query = supabase
+      .from('urls_snapbox')
+      .select('*')
+      .eq('organization_id', req.user.org);
+
+    if (q) {
+      const term = sanitizeSearchTerm(q);
+      if (term) query = query.or(`name.ilike.%${term}%,url.ilike.%${term}%,slug.ilike.%${term}%`);
+    }
+    if (campaign_id) query = query.eq('campaign_id', campaign_id);
+    if (tag) query = query.contains('tags', [tag]);
+    if (created_by) query = query.eq('created_by', created_by);
+
+    const { data, error } = await paginate(query, { cursor, limit });
+
+    if (error) {
+      return res.status(500).json({ error: 'Erro ao buscar URLs' });
+    }
+
+    res.status(200).json(toPage(data, limit));
+  } catch (err) {
+    res.status(500).json({ error: 'Erro ao buscar URLs' });
+  }
+});
+
+// Listar campanhas
+app.get('/campaigns', async (req, res) => {
+  const { client, brand, tag } = req.query;
+
+  let query = supabase
+    .from('campaigns')
+    .select('*')
+    .eq('organization_id', req.user.org)
+    .order('start_date', { ascending: false, nullsFirst: false });
+
+  if (client) query = query.eq('client', client);
+  if (brand) query = query.eq('brand', brand);
+  if (tag) query = query.contains('tags', [tag]);
+
+  const { data, error } = await query;
+
+  if (error) {
+    return res.status(500).json({ error: 'Erro ao buscar campanhas' });
+  }
+
+  res.status(200).json(data);
+});
+
+// Criar campanha
+app.post('/campaigns', async (req, res) => {
+  const { campaign, error: validationError } = parseCampaignInput(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  const { data, error } = await supabase
+    .from('campaigns')
+    .insert([{ ...campaign, created_by: req.user.email, organization_id: req.user.org }])
+    .select();
+
+  if (error) {
+    return res.status(500).json({ error: 'Erro ao criar campanha' });
+  }
+
+  await recordAudit(req, 'campaign.create', { targetType: 'campaign', targetId: data[0].id, after: data[0] });
+  res.status(201).json(data[0]);
+});
+
+// Editar campanha
+app.put('/campaigns/:id', async (req, res) => {
+  const { campaign, error: validationError } = parseCampaignInput(req.body, true);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  const { data: current, error: fetchError } = await supabase
+    .from('campaigns')
+    .select('*')
+    .eq('id', req.params.id)
+    .eq('organization_id', req.user.org)
+    .maybeSingle();
+
+  if (fetchError) {
+    return res.status(500).json({ error: 'Erro ao atualizar campanha' });
+  }
+  if (!current) {
+    return res.status(404).json({ error: 'Campanha não encontrada' });
+  }
+
+  const { data, error } = await supabase
+    .from('campaigns')
+    .update({ ...campaign, updated_at: new Date().toISOString() })
+    .eq('id', req.params.id)
+    .eq('organization_id', req.user.org)
+    .select();
+
+  if (error) {
+    // Violação do check start_date <= end_date ao combinar com valores atuais
+    if (error.code === '23514') {
+      return res.status(400).json({ error: 'start_date deve ser anterior a end_date' });
+    }
+    return res.status(500).json({ error: 'Erro ao atualizar campanha' });
+  }
+
+  if (!data.length) {
+    return res.status(404).json({ error: 'Campanha não encontrada' });
+  }
+
+  await recordAudit(req, 'campaign.update', { targetType: 'campaign', targetId: req.params.id, before: current, after: data[0] });
+  res.status(200).json(data[0]);
+});
+
+// Excluir campanha (os links ficam sem campanha)
+app.delete('/campaigns/:id', async (req, res) => {
+  const { data, error } = await supabase
+    .from('campaigns')
+    .delete()
+    .eq('id', req.params.id)
+    .eq('organization_id', req.user.org)
+    .select();
+
+  if (error) {
+    return res.status(500).json({ error: 'Erro ao excluir campanha' });
+  }
+
+  if (data.length) {
+    await recordAudit(req, 'campaign.delete', { targetType: 'campaign', targetId: req.params.id, before: data[0] });
+  }
+  res.status(200).json({ success: true });
+});
+
+// Rota para deletar uma URL salva
+app.delete('/urls/:id', async (req, res) => {
+  const { id } = req.params;
+
+  const { data, error } = await supabase
+    .from('urls_snapbox')
+    .delete()
+    .eq('id', id)
+    .eq('organization_id', req.user.org)
+    .select();
+
+  if (error) {
+    return res.status(500).json({ error: 'Erro ao excluir a URL' });
+  }
+
+  if (data.length) {
+    await recordAudit(req, 'url.delete', { targetType: 'url', targetId: id, before: data[0] });
+  }
+  res.status(200).json({ success: true });
+});
+
+// Listar arquivos (paginado; filtros por pasta, tag, tipo e busca por nome/tag)
+app.get('/files', async (req, res) => {
+  const { q, folder_id, tag, mimetype } = req.query;
+  const limit = parseLimit(req.query.limit);
+
+  let cursor = null;
+  if (req.query.cursor) {
+    cursor = decodeCursor(req.query.cursor);
+    if (!cursor) {
+      return res.status(400).json({ error: 'Cursor inválido' });
+    }
+  }
+
+  try {
+    let query = supabase
+      .from('uploads')
+      .select('*')
+      .eq('organization_id', req.user.org)
+      .is('deleted_at', null);
+
+    if (q) {
+      const search = buildSearchQuery(q);
+      if (search) query = query.textSearch('search', search, { config: 'simple' });
+    }
+    // folder_id=root lista os arquivos fora de pastas
+    if (folder_id === 'root') query = query.is('folder_id', null);
+    else if (folder_id) query = query.eq('folder_id', folder_id);
+    if (tag) query = query.contains('tags', [tag]);
+    // "image" ou "image/*" filtram pelo tipo; "image/png" pelo formato exato
+    if (mimetype) {
+      const type = mimetype.replace(/\/\*$/, '');
+      query = type.includes('/')
+        ? query.eq('mimetype', type)
+        : query.like('mimetype', `${sanitizeSearchTerm(type)}/%`);
+    }
+
+    const { data, error } = await paginate(query, { cursor, limit });
+    if (error) throw error;
+
+    const page = toPage(data, limit);
+    res.json({ ...page, data: page.data.map(toAsset) });
+  } catch (error) {
+    res.status(500).json({ error: 'Erro ao listar arquivos' });
+  }
+});
+
+// Renomear, mover para outra pasta, alterar as tags ou a visibilidade de um
+// arquivo. Mudar a visibilidade move o arquivo no bucket.
+app.put('/files/:id', async (req, res) => {
+  const { asset, error: validationError } = parseAssetUpdate(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  try {
+    const { data: file, error: fetchError } = await supabase
+      .from('uploads')
+      .select('*')
+      .eq('id', req.params.id)
+      .eq('organization_id', req.user.org)
+      .is('deleted_at', null)
+      .maybeSingle();
+
+    if (fetchError) throw fetchError;
+    if (!file) {
+      return res.status(404).json({ error: 'Arquivo não encontrado' });
+    }
+
+    if (asset.folder_id && !(await belongsToOrganization('asset_folders', asset.folder_id, req.user.org))) {
+      return res.status(400).json({ error: 'Pasta não encontrada' });
+    }
+
+    let moved = null;
+    if (asset.visibility && asset.visibility !== file.visibility) {
+      moved = await moveAssetFiles(file, asset.visibility);
+    }
+
+    const { data, error } = await supabase
+      .from('uploads')
+      .update({ ...asset, ...moved, updated_at: new Date().toISOString() })
+      .eq('id', req.params.id)
+      .select();
+
+    if (error) {
+      // Desfaz a movimentação para manter banco e bucket consistentes
+      if (moved) await moveAssetFiles({ ...file, ...moved }, file.visibility, file.bucket);
+
+      // folder_id inexistente
+      if (error.code === '23503') {
+        return res.status(400).json({ error: 'Pasta não encontrada' });
+      }
+      // Já existe um arquivo com o mesmo conteúdo na nova visibilidade
+      if (error.code === '23505') {
+        return res.status(409).json({ error: 'Já existe um arquivo com o mesmo conteúdo e essa visibilidade na biblioteca' });
+      }
+      throw error;
+    }
+
+    await recordAudit(req, 'file.update', { targetType: 'file', targetId: file.id, before: file, after: data[0] });
+    res.status(200).json(toAsset(data[0]));
+  } catch (error) {
+    console.error('Erro ao atualizar arquivo:', error.message);
+    res.status(500).json({ error: 'Erro ao atualizar arquivo' });
+  }
+});
+
+// URL de acesso a um arquivo: assinada e temporária para arquivos privados
+app.get('/files/:id/url', async (req, res) => {
+  const { expiresIn, error: expiresError } = parseExpiresIn(req.query.expires_in);
+  if (expiresError) {
+    return res.status(400).json({ error: expiresError });
+  }
+
+  try {
+    const { data: file, error } = await supabase
+      .from('uploads')
+      .select('id, bucket, path, url, visibility, thumbnails, poster_path, poster_url')
+      .eq('id', req.params.id)
+      .eq('organization_id', req.user.org)
+      .is('deleted_at', null)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!file) {
+      return res.status(404).json({ error: 'Arquivo não encontrado' });
+    }
+
+    res.set('Cache-Control', 'no-store');
+    res.status(200).json({ id: file.id, ...(await getAssetUrls(file, expiresIn)) });
+  } catch (error) {
+    console.error('Erro ao gerar URL do arquivo:', error.message);
+    res.status(500).json({ error: 'Erro ao gerar URL do arquivo' });
+  }
+});
+
+// Listar pastas (parent_id=root para as pastas da raiz)
+app.get('/folders', async (req, res) => {
+  const { parent_id } = req.query;
+
+  let query = supabase
+    .from('asset_folders')
+    .select('*')
+    .eq('organization_id', req.user.org)
+    .order('name', { ascending: true });
+
+  if (parent_id === 'root') query = query.is('parent_id', null);
+  else if (parent_id) query = query.eq('parent_id', parent_id);
+
+  const { data, error } = await query;
+
+  if (error) {
+    return res.status(500).json({ error: 'Erro ao buscar pastas' });
+  }
+
+  res.status(200).json(data);
+});
+
+// Criar pasta
+app.post('/folders', async (req, res) => {
+  const { folder, error: validationError } = parseFolderInput(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  try {
+    if (folder.parent_id && !(await belongsToOrganization('asset_folders', folder.parent_id, req.user.org))) {
+      return res.status(400).json({ error: 'Pasta pai não encontrada' });
+    }
+  } catch (error) {
+    return res.status(500).json({ error: 'Erro ao criar pasta' });
+  }
+
+  const { data, error } = await supabase
+    .from('asset_folders')
+    .insert([{ ...folder, created_by: req.user.email, organization_id: req.user.org }])
+    .select();
+
+  if (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'Já existe uma pasta com esse nome neste local' });
+    }
+    if (error.code === '23503') {
+      return res.status(400).json({ error: 'Pasta pai não encontrada' });
+    }
+    return res.status(500).json({ error: 'Erro ao criar pasta' });
+  }
+
+  await recordAudit(req, 'folder.create', { targetType: 'folder', targetId: data[0].id, after: data[0] });
+  res.status(201).json(data[0]);
+});
+
+// Renomear ou mover pasta
+app.put('/folders/:id', async (req, res) => {
+  const { folder, error: validationError } = parseFolderInput(req.body, true);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  try {
+    if (folder.parent_id && !(await belongsToOrganization('asset_folders', folder.parent_id, req.user.org))) {
+      return res.status(400).json({ error: 'Pasta pai não encontrada' });
+    }
+    if (folder.parent_id && await createsFolderCycle(req.params.id, folder.parent_id)) {
+      return res.status(400).json({ error: 'Uma pasta não pode ser movida para dentro dela mesma' });
+    }
+
+    const { data: current, error: fetchError } = await supabase
+      .from('asset_folders')
+      .select('*')
+      .eq('id', req.params.id)
+      .eq('organization_id', req.user.org)
+      .maybeSingle();
+
+    if (fetchError) throw fetchError;
+    if (!current) {
+      return res.status(404).json({ error: 'Pasta não encontrada' });
+    }
+
+    const { data, error } = await supabase
+      .from('asset_folders')
+      .update({ ...folder, updated_at: new Date().toISOString() })
+      .eq('id', req.params.id)
+      .select();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ error: 'Já existe uma pasta com esse nome neste local' });
+      }
+      if (error.code === '23503') {
+        return res.status(400).json({ error: 'Pasta pai não encontrada' });
+      }
+      throw error;
+    }
+
+    if (!data.length) {
+      return res.status(404).json({ error: 'Pasta não encontrada' });
+    }
+
+    await recordAudit(req, 'folder.update', { targetType: 'folder', targetId: req.params.id, before: current, after: data[0] });
+    res.status(200).json(data[0]);
+  } catch (error) {
+    res.status(500).json({ error: 'Erro ao atualizar pasta' });
+  }
+});
+
+// Excluir pasta (apenas vazia)
+app.delete('/folders/:id', async (req, res) => {
+  try {
+    if (!(await belongsToOrganization('asset_folders', req.params.id, req.user.org))) {
+      return res.status(404).json({ error: 'Pasta não encontrada' });
+    }
+
+    const [subfolders, files] = await Promise.all([
+      supabase.from('asset_folders').select('id').eq('parent_id', req.params.id).limit(1),
+      // Arquivos na lixeira não impedem a exclusão (voltam para a raiz)
+      supabase.from('uploads').select('id').eq('folder_id', req.params.id).is('deleted_at', null).limit(1)
     ]);
 
-    // Verificar erros
-    const errors = [clicksError, uniqueError, devicesError].filter(Boolean);
-    if (errors.length > 0) {
-      console.error('Erros nas consultas:', errors);
-      throw new Error("Erro ao buscar dados de cliques");
-    }
+    if (subfolders.error) throw subfolders.error;
+    if (files.error) throw files.error;
+
+    if (subfolders.data.length || files.data.length) {
+      return res.status(409).json({ error: 'A pasta não está vazia' });
+    }
+
+    const { data, error } = await supabase
+      .from('asset_folders')
+      .delete()
+      .eq('id', req.params.id)
+      .select();
+
+    if (error) throw error;
+    if (!data.length) {
+      return res.status(404).json({ error: 'Pasta não encontrada' });
+    }
+
+    await recordAudit(req, 'folder.delete', { targetType: 'folder', targetId: req.params.id, before: data[0] });
+    res.status(200).json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: 'Erro ao excluir pasta' });
+  }
+});
+
+// Envia um arquivo derivado (miniatura/capa) para o bucket da visibilidade e
+// retorna a URL pública (null para arquivos privados)
+const storeDerivedFile = async (path, buffer, contentType, visibility) => {
+  const { error } = await supabase.storage
+    .from(bucketFor(visibility))
+    .upload(path, buffer, { contentType, upsert: false });
+
+  if (error) throw error;
+  if (visibility === 'private') return null;
+
+  const { data: { publicUrl } } = supabase.storage
+    .from(BUCKET_NAME)
+    .getPublicUrl(path);
+
+  return publicUrl;
+};
+
+// Grava miniaturas e capa de vídeo geradas por processMedia
+const storeMediaDerivatives = async (baseName, media, visibility) => {
+  const prefix = visibilityPrefix(visibility);
+  const thumbnails = {};
+  for (const [size, thumbnail] of Object.entries(media.thumbnails)) {
+    const path = `${prefix}/thumbnails/${baseName}_${size}.webp`;
+    thumbnails[size] = {
+      path,
+      url: await storeDerivedFile(path, thumbnail.buffer, 'image/webp', visibility),
+      width: thumbnail.width,
+      height: thumbnail.height
+    };
+  }
+
+  let poster = { poster_path: null, poster_url: null };
+  if (media.poster) {
+    const path = `${prefix}/posters/${baseName}.jpg`;
+    poster = { poster_path: path, poster_url: await storeDerivedFile(path, media.poster, 'image/jpeg', visibility) };
+  }
+
+  return { thumbnails, ...poster };
+};
+
+// Upload de arquivo
+app.post('/upload', upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) throw new Error('Nenhum arquivo enviado');
+
+    const { originalname, mimetype } = req.file;
+    const fileExt = originalname.split('.').pop();
+    const baseName = uuidv4();
+
+    // visibility=private guarda o arquivo no bucket privado (acesso por URL assinada)
+    const { visibility, error: visibilityError } = parseVisibility(req.body.visibility || 'public');
+    if (visibilityError) {
+      return res.status(400).json({ error: visibilityError });
+    }
+    const bucket = bucketFor(visibility);
+    const filePath = `${visibilityPrefix(visibility)}/${baseName}.${fileExt}`;
+
+    // Pasta e tags opcionais no formulário
+    let placement = {};
+    if (req.body.folder_id !== undefined || req.body.tags !== undefined) {
+      const { asset, error } = parseAssetUpdate({ folder_id: req.body.folder_id, tags: req.body.tags });
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      placement = asset;
+    }
+
+    if (placement.folder_id && !(await belongsToOrganization('asset_folders', placement.folder_id, req.user.org))) {
+      return res.status(400).json({ error: 'Pasta não encontrada' });
+    }
+
+    // Mesmo conteúdo já enviado com a mesma visibilidade: devolve o arquivo
+    // existente em vez de duplicar
+    const sha256 = hashBuffer(req.file.buffer);
+    const existing = await findAssetByHash(sha256, req.user.org, visibility);
+    if (existing) {
+      return res.status(200).json({ ...toAsset(existing), duplicate: true });
+    }
+
+    // strip_gps=true|false no formulário; padrão em UPLOAD_STRIP_GPS (ativo)
+    const stripGps = req.body.strip_gps !== undefined
+      ? req.body.strip_gps === 'true'
+      : process.env.UPLOAD_STRIP_GPS !== 'false';
+
+    // Falhas na extração de metadados não impedem o upload do arquivo
+    let media = null;
+    try {
+      media = await processMedia(req.file, { stripGps });
+    } catch (error) {
+      console.error(`Erro ao processar mídia ${originalname}:`, error.message);
+    }
+
+    const buffer = media?.buffer || req.file.buffer;
+
+    // Fazendo upload para o Supabase
+    const { error: uploadError } = await supabase.storage
+      .from(bucket)
+      .upload(filePath, buffer, {
+        contentType: mimetype,
+        upsert: false
+      });
+
+    if (uploadError) throw uploadError;
+
+    // Obtendo URL pública do arquivo (privados não têm URL permanente)
+    const { data: { publicUrl } } = supabase.storage
+      .from(bucket)
+      .getPublicUrl(filePath);
+
+    const derivatives = media ? await storeMediaDerivatives(baseName, media, visibility) : {};
+
+    // Inserindo no banco de dados
+    const { data, error: dbError } = await supabase
+      .from('uploads')
+      .insert([{
+        name: originalname,
+        bucket,
+        path: filePath,
+        url: visibility === 'public' ? publicUrl : null,
+        visibility,
+        mimetype,
+        size: buffer.length,
+        sha256,
+        organization_id: req.user.org,
+        ...placement,
+        ...media?.metadata,
+        ...derivatives
+      }])
+      .select();
+
+    // Envio simultâneo do mesmo conteúdo: descarta a cópia e devolve o existente
+    if (dbError?.code === '23505') {
+      await supabase.storage
+        .from(bucket)
+        .remove([filePath, ...derivedPaths(derivatives)]);
+      return res.status(200).json({ ...toAsset(await findAssetByHash(sha256, req.user.org, visibility)), duplicate: true });
+    }
+
+    if (dbError) throw dbError;
+
+    await recordAudit(req, 'file.upload', { targetType: 'file', targetId: data[0].id, after: data[0] });
+    res.status(201).json(toAsset(data[0]));
+  } catch (error) {
+    res.status(500).json({ error: error.message || 'Erro ao fazer upload' });
+  }
+});
+
+// Upload resumível: inicia o envio em blocos (arquivos grandes, ex.: vídeos)
+app.post('/uploads/resumable', async (req, res) => {
+  const parsed = parseResumableInput(req.body);
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
+
+  const { visibility, error: visibilityError } = parseVisibility(req.body.visibility || 'public');
+  if (visibilityError) {
+    return res.status(400).json({ error: visibilityError });
+  }
+
+  try {
+    // Conteúdo já existente na biblioteca: não é preciso enviar de novo
+    const existing = await findAssetByHash(parsed.upload.sha256, req.user.org, visibility);
+    if (existing) {
+      return res.status(200).json({ duplicate: true, file: toAsset(existing) });
+    }
+
+    const fileExt = parsed.upload.name.split('.').pop();
+    const upload = await createResumableUpload(parsed.upload, {
+      bucket: bucketFor(visibility),
+      path: `${visibilityPrefix(visibility)}/${uuidv4()}.${fileExt}`,
+      visibility,
+      organizationId: req.user.org,
+      createdBy: req.user.email
+    });
+
+    await recordAudit(req, 'resumable_upload.create', { targetType: 'resumable_upload', targetId: upload.id, after: toProgress(upload) });
+    res.status(201).json(toProgress(upload));
+  } catch (error) {
+    console.error('Erro ao iniciar upload resumível:', error.message);
+    res.status(500).json({ error: 'Erro ao iniciar upload' });
+  }
+});
+
+// Progresso do upload (offset confirmado pelo Storage)
+app.get('/uploads/resumable/:id', async (req, res) => {
+  try {
+    const upload = await getResumableUpload(req.params.id, req.user.email);
+    if (!upload) {
+      return res.status(404).json({ error: 'Upload não encontrado' });
+    }
+
+    if (upload.status === 'uploading') {
+      upload.upload_offset = await syncOffset(upload);
+    }
+
+    res.status(200).json(toProgress(upload));
+  } catch (error) {
+    res.status(500).json({ error: 'Erro ao consultar upload' });
+  }
+});
+
+// Envia um bloco: corpo binário, cabeçalho Upload-Offset e, opcionalmente,
+// Upload-Checksum ("sha256 <base64>") para conferir o bloco
+app.patch(
+  '/uploads/resumable/:id',
+  express.raw({ type: 'application/offset+octet-stream', limit: CHUNK_SIZE }),
+  async (req, res) => {
+    const offset = Number(req.get('Upload-Offset'));
+    if (!Number.isInteger(offset) || offset < 0) {
+      return res.status(400).json({ error: 'Cabeçalho Upload-Offset é obrigatório' });
+    }
+
+    if (!Buffer.isBuffer(req.body)) {
+      return res.status(415).json({ error: 'Envie o bloco com Content-Type application/offset+octet-stream' });
+    }
+
+    try {
+      const upload = await getResumableUpload(req.params.id, req.user.email);
+      if (!upload) {
+        return res.status(404).json({ error: 'Upload não encontrado' });
+      }
+      if (upload.status !== 'uploading') {
+        return res.status(409).json({ error: 'Upload não está em andamento', status: upload.status });
+      }
+
+      const result = await writeChunk(upload, offset, req.body, req.get('Upload-Checksum'));
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error, offset: result.offset });
+      }
+
+      res.status(200).json(toProgress({ ...upload, upload_offset: result.offset }));
+    } catch (error) {
+      console.error('Erro ao enviar bloco:', error.message);
+      res.status(500).json({ error: 'Erro ao enviar bloco' });
+    }
+  }
+);
+
+// Conclui o upload: confere o SHA-256, extrai metadados e registra em uploads
+app.post('/uploads/resumable/:id/complete', async (req, res) => {
+  try {
+    const upload = await getResumableUpload(req.params.id, req.user.email);
+    if (!upload) {
+      return res.status(404).json({ error: 'Upload não encontrado' });
+    }
+
+    if (upload.status === 'completed') {
+      const { data, error } = await supabase.from('uploads').select('*').eq('id', upload.upload_id).maybeSingle();
+      if (error) throw error;
+      return res.status(200).json(data && toAsset(data));
+    }
+
+    if (upload.status !== 'uploading') {
+      return res.status(409).json({ error: 'Upload não está em andamento', status: upload.status });
+    }
+
+    const offset = await syncOffset(upload);
+    if (offset !== upload.size) {
+      return res.status(409).json({ error: 'Upload incompleto', offset, size: upload.size });
+    }
+
+    const claimed = await claimForCompletion(upload.id);
+    if (!claimed) {
+      return res.status(409).json({ error: 'Upload já está sendo concluído' });
+    }
+
+    try {
+      const baseName = upload.path.split('/').pop().replace(/\.[^.]+$/, '');
+
+      const verification = await verifyUploadedFile(claimed, async (file) => {
+        // Falhas na extração de metadados não impedem o registro do arquivo
+        try {
+          const media = await processMediaFile({ path: file, mimetype: upload.mimetype });
+          return { metadata: media.metadata, ...(await storeMediaDerivatives(baseName, media, upload.visibility)) };
+        } catch (error) {
+          console.error(`Erro ao processar mídia ${upload.name}:`, error.message);
+          return {};
+        }
+      });
+
+      if (!verification.valid) {
+        await abortResumableUpload(claimed, 'failed', 'Hash SHA-256 não confere');
+        return res.status(422).json({ error: 'O hash SHA-256 do arquivo não confere com o informado' });
+      }
+
+      const { metadata, ...derivatives } = verification.result;
+      const { data: { publicUrl } } = supabase.storage
+        .from(upload.bucket)
+        .getPublicUrl(upload.path);
+
+      const { data, error: dbError } = await supabase
+        .from('uploads')
+        .insert([{
+          name: upload.name,
+          bucket: upload.bucket,
+          path: upload.path,
+          url: upload.visibility === 'public' ? publicUrl : null,
+          visibility: upload.visibility,
+          mimetype: upload.mimetype,
+          size: upload.size,
+          sha256: upload.sha256,
+          organization_id: upload.organization_id,
+          ...metadata,
+          ...derivatives
+        }])
+        .select()
+        .single();
+
+      // O mesmo conteúdo foi registrado enquanto este upload acontecia
+      if (dbError?.code === '23505') {
+        const existing = await findAssetByHash(upload.sha256, upload.organization_id, upload.visibility);
+        await supabase.storage.from(upload.bucket).remove([upload.path, ...derivedPaths(derivatives)]);
+        await finishResumableUpload(upload.id, { status: 'completed', upload_id: existing.id, last_error: null });
+        return res.status(200).json({ ...toAsset(existing), duplicate: true });
+      }
+
+      if (dbError) throw dbError;
+
+      await finishResumableUpload(upload.id, { status: 'completed', upload_id: data.id, last_error: null });
+      await recordAudit(req, 'file.upload', { targetType: 'file', targetId: data.id, after: data });
+      res.status(201).json(toAsset(data));
+    } catch (error) {
+      // Volta para "uploading" para que a conclusão possa ser repetida
+      await finishResumableUpload(upload.id, { status: 'uploading', last_error: error.message });
+      throw error;
+    }
+  } catch (error) {
+    console.error('Erro ao concluir upload:', error.message);
+    res.status(500).json({ error: 'Erro ao concluir upload' });
+  }
+});
+
+// Cancela um upload em andamento
+app.delete('/uploads/resumable/:id', async (req, res) => {
+  try {
+    const upload = await getResumableUpload(req.params.id, req.user.email);
+    if (!upload) {
+      return res.status(404).json({ error: 'Upload não encontrado' });
+    }
+    if (upload.status !== 'uploading') {
+      return res.status(409).json({ error: 'Upload não está em andamento', status: upload.status });
+    }
+
+    await abortResumableUpload(upload, 'aborted');
+    await recordAudit(req, 'resumable_upload.abort', { targetType: 'resumable_upload', targetId: upload.id, before: toProgress(upload) });
+    res.status(200).json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: 'Erro ao cancelar upload' });
+  }
+});
+
+// Enviar arquivo para a lixeira. O caminho no Storage vem do banco; o arquivo
+// só é excluído de fato após o prazo de retenção (ver purgeTrashedFiles).
+// Arquivos usados como imagem de links exigem ?force=true.
+app.delete('/files/:id', async (req, res) => {
+  try {
+    const { data: file, error: fetchError } = await supabase
+      .from('uploads')
+      .select('*')
+      .eq('id', req.params.id)
+      .eq('organization_id', req.user.org)
+      .is('deleted_at', null)
+      .maybeSingle();
+
+    if (fetchError) throw fetchError;
+    if (!file) {
+      return res.status(404).json({ error: 'Arquivo não encontrado' });
+    }
+
+    const links = await findLinksUsingAsset(file);
+    if (links.length && req.query.force !== 'true') {
+      return res.status(409).json({
+        error: 'O arquivo é usado como imagem de links. Use force=true para excluir mesmo assim.',
+        links
+      });
+    }
+
+    const { data, error } = await supabase
+      .from('uploads')
+      .update({ deleted_at: new Date().toISOString(), deleted_by: req.user.email })
+      .eq('id', file.id)
+      .is('deleted_at', null)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) {
+      return res.status(404).json({ error: 'Arquivo não encontrado' });
+    }
+
+    await recordAudit(req, 'file.delete', { targetType: 'file', targetId: file.id, before: file, after: data });
+    res.status(200).json({
+      success: true,
+      file: toAsset(data),
+      purge_at: purgeDate(data.deleted_at),
+      ...(links.length && { warning: 'O arquivo ainda é usado como imagem de links', links })
+    });
+  } catch (error) {
+    console.error('Erro ao excluir arquivo:', error.message);
+    res.status(500).json({ error: 'Erro ao excluir arquivo' });
+  }
+});
+
+// Listar arquivos na lixeira (mais recentes primeiro)
+app.get('/trash', async (req, res) => {
+  const limit = parseLimit(req.query.limit);
 
-    // 4. Consultar conversões (se aplicável)
-    let conversionsData = [];
-    try {
-      const { data, error } = await supabase
-        .from('url_conversions')
-        .select('*')
-        .eq('url_id', urlId);
-      
-      if (!error) conversionsData = data;
-    } catch (e) {
-      console.log('Ignorando erros de conversão:', e.message);
+  let cursor = null;
+  if (req.query.cursor) {
+    cursor = decodeCursor(req.query.cursor);
+    if (!cursor) {
+      return res.status(400).json({ error: 'Cursor inválido' });
     }
+  }
 
-    // 5. Formatar resposta
-    const response = {
-      success: true,
-      total_clicks: totalClicks || 0,
-      unique_visitors: uniqueVisitors || 0,
-      conversion_rate: totalClicks > 0 
-        ? parseFloat(((conversionsData.length / totalClicks) * 100).toFixed(1))
-        : 0,
-      devices: {
-        desktop: devicesData.filter(d => d.device_type === 'desktop').length,
-        mobile: devicesData.filter(d => d.device_type === 'mobile').length,
-        tablet: devicesData.filter(d => d.device_type === 'tablet').length,
-        other: devicesData.filter(d => !d.device_type || d.device_type === 'other').length
-      }
-    };
+  try {
+    const query = supabase
+      .from('uploads')
+      .select('*')
+      .eq('organization_id', req.user.org)
+      .not('deleted_at', 'is', null);
 
-    console.log('Consulta concluída com sucesso');
-    return res.json(response);
+    const { data, error } = await paginate(query, { cursor, limit, column: 'deleted_at' });
+    if (error) throw error;
 
-  } catch (error) {
-    console.error('Erro no endpoint:', error);
-    return res.status(500).json({ 
-      error: error.message,
-      details: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    const page = toPage(data, limit, 'deleted_at');
+    res.json({
+      ...page,
+      data: page.data.map(file => ({ ...toAsset(file), purge_at: purgeDate(file.deleted_at) }))
     });
+  } catch (error) {
+    console.error('Erro ao listar a lixeira:', error.message);
+    res.status(500).json({ error: 'Erro ao listar a lixeira' });
   }
 });
 
-// Rota para buscar URLs salvas
-app.get('/urls', async (req, res) => {
+// Restaurar arquivo da lixeira (dentro do prazo de retenção)
+app.post('/files/:id/restore', async (req, res) => {
   try {
     const { data, error } = await supabase
-      .from('urls_snapbox')
-      .select('*')
-      .order('created_at', { ascending: false });
+      .from('uploads')
+      .update({ deleted_at: null, deleted_by: null, updated_at: new Date().toISOString() })
+      .eq('id', req.params.id)
+      .eq('organization_id', req.user.org)
+      .gte('deleted_at', trashCutoff())
+      .select()
+      .maybeSingle();
 
     if (error) {
-      return res.status(500).json({ error: 'Erro ao buscar URLs' });
+      // Outro arquivo ativo com o mesmo conteúdo foi enviado depois da exclusão
+      if (error.code === '23505') {
+        return res.status(409).json({ error: 'Já existe um arquivo com o mesmo conteúdo na biblioteca' });
+      }
+      throw error;
+    }
+    if (!data) {
+      return res.status(404).json({ error: 'Arquivo não encontrado na lixeira' });
     }
 
-    res.status(200).json(data);
-  } catch (err) {
-    res.status(500).json({ error: 'Erro ao buscar URLs' });
+    await recordAudit(req, 'file.restore', { targetType: 'file', targetId: data.id, after: data });
+    res.status(200).json(toAsset(data));
+  } catch (error) {
+    console.error('Erro ao restaurar arquivo:', error.message);
+    res.status(500).json({ error: 'Erro ao restaurar arquivo' });
   }
 });
 
-// Rota para deletar uma URL salva
-app.delete('/urls/:id', async (req, res) => {
-  const { id } = req.params;
+// Listar templates de e-mail (versão mais recente de cada chave)
+app.get('/email-templates', async (req, res) => {
+  const { data, error } = await supabase
+    .from('email_templates')
+    .select('*')
+    .order('key', { ascending: true })
+    .order('version', { ascending: false });
 
-  const { error } = await supabase
-    .from('urls_snapbox')
-    .delete()
-    .eq('id', id);
+  if (error) {
+    return res.status(500).json({ error: 'Erro ao buscar templates' });
+  }
+
+  const latest = data.filter((template, index) => index === 0 || data[index - 1].key !== template.key);
+  res.status(200).json(latest.map(template => ({
+    ...template,
+    variables: extractVariables(`${template.subject} ${template.html}`)
+  })));
+});
+
+// Histórico de versões de um template
+app.get('/email-templates/:key/versions', async (req, res) => {
+  const { data, error } = await supabase
+    .from('email_templates')
+    .select('*')
+    .eq('key', req.params.key)
+    .order('version', { ascending: false });
 
   if (error) {
-    return res.status(500).json({ error: 'Erro ao excluir a URL' });
+    return res.status(500).json({ error: 'Erro ao buscar versões do template' });
   }
 
-  res.status(200).json({ success: true });
+  res.status(200).json(data);
 });
 
-// Listar arquivos
-app.get('/files', async (req, res) => {
+// Criar template ou nova versão de um template existente. Templates valem
+// para todas as organizações (inclusive os do login e do resumo)
+app.post('/email-templates', requireOwner, async (req, res) => {
+  const { key, subject, html, text, description } = req.body;
+
+  if (!key || !TEMPLATE_KEY_PATTERN.test(key)) {
+    return res.status(400).json({ error: 'Chave inválida. Use letras minúsculas, números, "-" ou "_".' });
+  }
+  if (!subject || !html) {
+    return res.status(400).json({ error: 'Campos "subject" e "html" são obrigatórios.' });
+  }
+
+  // Templates usados pelo sistema (ex.: verification-code) precisam das suas variáveis
+  const variablesError = validateTemplateVariables(key, { subject, html, text });
+  if (variablesError) {
+    return res.status(400).json({ error: variablesError });
+  }
+
   try {
+    const { data: latest, error: latestError } = await supabase
+      .from('email_templates')
+      .select('version')
+      .eq('key', key)
+      .order('version', { ascending: false })
+      .limit(1);
+
+    if (latestError) throw latestError;
+
     const { data, error } = await supabase
-      .from('uploads')
-      .select('*')
-      .order('created_at', { ascending: false });
+      .from('email_templates')
+      .insert([{
+        key,
+        version: (latest[0]?.version || 0) + 1,
+        subject,
+        html,
+        text: text || null,
+        description: description || null,
+        created_by: req.user.email
+      }])
+      .select();
+
+    if (error) {
+      // Outra versão foi criada ao mesmo tempo
+      if (error.code === '23505') {
+        return res.status(409).json({ error: 'Versão criada simultaneamente. Tente novamente.' });
+      }
+      throw error;
+    }
+
+    await recordAudit(req, 'email_template.create', {
+      targetType: 'email_template',
+      targetId: `${data[0].key}@${data[0].version}`,
+      after: data[0]
+    });
+    res.status(201).json(data[0]);
+  } catch (err) {
+    console.error('Erro ao salvar template:', err.message);
+    res.status(500).json({ error: 'Erro ao salvar template' });
+  }
+});
+
+// Pré-visualizar um template renderizado
+app.post('/email-templates/:key/preview', async (req, res) => {
+  const { version, variables } = req.body;
+
+  try {
+    const template = await getTemplate(req.params.key, version);
+    if (!template) {
+      return res.status(404).json({ error: 'Template não encontrado' });
+    }
+
+    const message = renderTemplate(template, variables);
+    if (message.error) {
+      return res.status(400).json({ error: message.error });
+    }
+
+    res.status(200).json(message);
+  } catch (err) {
+    res.status(500).json({ error: 'Erro ao renderizar template' });
+  }
+});
+
+const MAX_ATTACHMENTS_SIZE = 20 * 1024 * 1024;
+
+// Busca os arquivos da tabela uploads usados como anexos (opcionalmente
+// restritos a uma organização)
+const findAttachmentFiles = async (uploadIds, organizationId) => {
+  let query = supabase
+    .from('uploads')
+    .select('id, name, bucket, path, mimetype, size')
+    .in('id', uploadIds)
+    .is('deleted_at', null);
+
+  if (organizationId) query = query.eq('organization_id', organizationId);
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return data;
+};
+
+// Confere se os anexos existem e respeitam o limite de tamanho
+const validateAttachments = async (uploadIds, organizationId) => {
+  const files = await findAttachmentFiles(uploadIds, organizationId);
+
+  const missing = uploadIds.filter(id => !files.some(file => String(file.id) === String(id)));
+  if (missing.length) {
+    return `Anexos não encontrados: ${missing.join(', ')}`;
+  }
+
+  const totalSize = files.reduce((sum, file) => sum + (file.size || 0), 0);
+  if (totalSize > MAX_ATTACHMENTS_SIZE) {
+    return 'Anexos excedem o limite de 20MB';
+  }
+
+  return null;
+};
+
+// Baixa os anexos no formato do nodemailer (usado pelo worker de e-mails),
+// apenas entre os arquivos da organização do envio
+const loadAttachments = async (uploadIds, organizationId) => {
+  const files = await findAttachmentFiles(uploadIds, organizationId);
+
+  const attachments = [];
+  for (const file of files) {
+    attachments.push({
+      filename: file.name,
+      content: await downloadFromBucket(file.path, file.bucket),
+      contentType: file.mimetype
+    });
+  }
+
+  return attachments;
+};
+
+// Enviar email a partir de um template (ou HTML avulso), com anexos opcionais
+app.post('/send-email', async (req, res) => {
+  const {
+    to, html, subject, templateKey, version, variables, attachments: attachmentIds,
+    scheduledAt, cron: cronExpression, timezone
+  } = req.body;
+
+  if (!to || (!html && !templateKey)) {
+    return res.status(400).json({ error: 'Campos "to" e "templateKey" (ou "html") são obrigatórios.' });
+  }
+
+  if (attachmentIds !== undefined && !Array.isArray(attachmentIds)) {
+    return res.status(400).json({ error: 'Campo "attachments" deve ser uma lista de IDs.' });
+  }
+
+  let schedule = null;
+  if (scheduledAt || cronExpression) {
+    const parsed = parseScheduleInput({ scheduledAt, cron: cronExpression, timezone });
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+    schedule = parsed.schedule;
+  }
+
+  try {
+    let message;
+    let template = null;
+    if (templateKey) {
+      template = await getTemplate(templateKey, version);
+      if (!template) {
+        return res.status(404).json({ error: 'Template não encontrado' });
+      }
+
+      message = renderTemplate(template, variables);
+      if (message.error) {
+        return res.status(400).json({ error: message.error });
+      }
+    } else {
+      message = {
+        subject: subject || 'Software desenvolvido pela FCB Health',
+        html,
+        text: htmlToText(html)
+      };
+    }
+
+    if (attachmentIds?.length) {
+      const attachmentError = await validateAttachments(attachmentIds, req.user.org);
+      if (attachmentError) {
+        return res.status(400).json({ error: attachmentError });
+      }
+    }
+
+    // Envio agendado: templates são renderizados de novo a cada execução
+    if (schedule) {
+      const { data, error } = await supabase
+        .from('email_schedules')
+        .insert([{
+          to_addresses: Array.isArray(to) ? to : [to],
+          subject: templateKey ? null : message.subject,
+          html: templateKey ? null : message.html,
+          text: templateKey ? null : message.text,
+          template_key: templateKey || null,
+          template_version: version ? template.version : null,
+          variables: variables || {},
+          attachment_ids: (attachmentIds || []).map(String),
+          ...schedule,
+          status: 'scheduled',
+          created_by: req.user.email,
+          organization_id: req.user.org,
+        }])
+        .select()
+        .single();
+
+      if (error) throw error;
+      await recordAudit(req, 'email.schedule', { targetType: 'email_schedule', targetId: data.id, after: data });
+      return res.status(201).json({ success: true, schedule: data });
+    }
+
+    // O envio é feito pelo worker; o status fica disponível em /emails/:id
+    const queued = await enqueueEmail({
+      to,
+      ...message,
+      attachmentIds: attachmentIds || [],
+      templateKey,
+      templateVersion: template?.version,
+      createdBy: req.user.email,
+      organizationId: req.user.org,
+    });
+
+    await recordAudit(req, 'email.send', {
+      targetType: 'email',
+      targetId: queued.id,
+      after: {
+        to: Array.isArray(to) ? to : [to],
+        subject: message.subject,
+        template_key: templateKey || null,
+        template_version: template?.version || null,
+        attachment_ids: attachmentIds || []
+      }
+    });
+    res.status(202).json({ success: true, id: queued.id, status: queued.status });
+  } catch (error) {
+    res.status(500).json({ error: 'Erro ao enviar e-mail' });
+  }
+});
+
+// Lista os envios agendados (filtro opcional por status)
+app.get('/email-schedules', async (req, res) => {
+  const { status } = req.query;
+  const limit = parseLimit(req.query.limit);
+
+  let cursor = null;
+  if (req.query.cursor) {
+    cursor = decodeCursor(req.query.cursor);
+    if (!cursor) {
+      return res.status(400).json({ error: 'Cursor inválido' });
+    }
+  }
+
+  if (status && !['scheduled', 'completed', 'cancelled', 'failed'].includes(status)) {
+    return res.status(400).json({ error: 'Status deve ser "scheduled", "completed", "cancelled" ou "failed"' });
+  }
 
+  try {
+    let query = supabase
+      .from('email_schedules')
+      .select('id, to_addresses, subject, template_key, template_version, cron_expression, timezone, next_run_at, status, last_run_at, last_email_id, last_error, failure_count, run_count, created_by, created_at, updated_at')
+      .eq('organization_id', req.user.org);
+
+    if (status) query = query.eq('status', status);
+
+    const { data, error } = await paginate(query, { cursor, limit });
     if (error) throw error;
-    res.json(data);
+
+    res.status(200).json(toPage(data, limit));
   } catch (error) {
-    res.status(500).json({ error: 'Erro ao listar arquivos' });
+    res.status(500).json({ error: 'Erro ao listar agendamentos' });
   }
 });
 
-// Upload de arquivo
-app.post('/upload', upload.single('file'), async (req, res) => {
+// Reagenda um envio: nova data (scheduledAt) ou nova recorrência (cron)
+app.put('/email-schedules/:id', async (req, res) => {
+  const { scheduledAt, cron: cronExpression, timezone } = req.body;
+
+  if (!scheduledAt && !cronExpression && !timezone) {
+    return res.status(400).json({ error: 'Informe scheduledAt, cron ou timezone' });
+  }
+
   try {
-    if (!req.file) throw new Error('Nenhum arquivo enviado');
+    const { data: current, error: fetchError } = await supabase
+      .from('email_schedules')
+      .select('id, status, cron_expression, timezone')
+      .eq('id', req.params.id)
+      .eq('organization_id', req.user.org)
+      .maybeSingle();
+
+    if (fetchError) throw fetchError;
+    if (!current) {
+      return res.status(404).json({ error: 'Agendamento não encontrado' });
+    }
+    if (current.status !== 'scheduled') {
+      return res.status(409).json({ error: 'Apenas agendamentos pendentes podem ser alterados' });
+    }
 
-    const { originalname, mimetype, buffer } = req.file;
-    const fileExt = originalname.split('.').pop();
-    const fileName = `${uuidv4()}.${fileExt}`;
+    // Só o fuso mudou: recalcula a recorrência atual no novo fuso
+    if (!scheduledAt && !cronExpression && !current.cron_expression) {
+      return res.status(400).json({ error: 'Informe scheduledAt para agendamentos de envio único' });
+    }
 
-    // Fazendo upload para o Supabase
-    const { error: uploadError } = await supabase.storage
-      .from(BUCKET_NAME)
-      .upload(`public/${fileName}`, buffer, {
-        contentType: mimetype,
-        upsert: false
-      });
+    const parsed = parseScheduleInput({
+      scheduledAt,
+      cron: scheduledAt ? undefined : cronExpression || current.cron_expression,
+      timezone: timezone || current.timezone
+    });
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
 
-    if (uploadError) throw uploadError;
+    const { data, error } = await supabase
+      .from('email_schedules')
+      .update({ ...parsed.schedule, last_error: null, failure_count: 0, updated_at: new Date().toISOString() })
+      .eq('id', req.params.id)
+      .eq('organization_id', req.user.org)
+      .eq('status', 'scheduled')
+      .select()
+      .maybeSingle();
 
-    // Obtendo URL pública do arquivo
-    const { data: { publicUrl } } = supabase.storage
-      .from(BUCKET_NAME)
-      .getPublicUrl(`public/${fileName}`);
+    if (error) throw error;
+    if (!data) {
+      return res.status(409).json({ error: 'Apenas agendamentos pendentes podem ser alterados' });
+    }
 
-    // Inserindo no banco de dados
-    const { data, error: dbError } = await supabase
-      .from('uploads')
-      .insert([{
-        name: originalname,
-        path: `public/${fileName}`,
-        url: publicUrl,  // Certificando-se de que a URL está sendo salva
-        mimetype,
-        size: req.file.size
-      }])
-      .select();
+    await recordAudit(req, 'email_schedule.update', { targetType: 'email_schedule', targetId: data.id, before: current, after: data });
+    res.status(200).json({ success: true, schedule: data });
+  } catch (error) {
+    res.status(500).json({ error: 'Erro ao reagendar envio' });
+  }
+});
 
-    if (dbError) throw dbError;
+// Cancela um envio agendado
+app.delete('/email-schedules/:id', async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('email_schedules')
+      .update({ status: 'cancelled', updated_at: new Date().toISOString() })
+      .eq('id', req.params.id)
+      .eq('organization_id', req.user.org)
+      .eq('status', 'scheduled')
+      .select('id, status')
+      .maybeSingle();
 
-    res.status(201).json(data[0]);
+    if (error) throw error;
+    if (!data) {
+      return res.status(404).json({ error: 'Agendamento pendente não encontrado' });
+    }
+
+    await recordAudit(req, 'email_schedule.cancel', { targetType: 'email_schedule', targetId: data.id, after: data });
+    res.status(200).json({ success: true, schedule: data });
   } catch (error) {
-    res.status(500).json({ error: error.message || 'Erro ao fazer upload' });
+    res.status(500).json({ error: 'Erro ao cancelar agendamento' });
   }
 });
 
-// Deletar arquivo
-app.delete('/files/:id', async (req, res) => {
+// Configuração do resumo periódico de desempenho
+app.get('/digest/settings', requireOwner, async (req, res) => {
   try {
-    const { id } = req.params;
-    const { path } = req.body;
+    const settings = await getDigestSettings();
+    const recipients = await getDigestRecipients(settings);
+    res.status(200).json({ ...settings, recipients });
+  } catch (error) {
+    res.status(500).json({ error: 'Erro ao buscar configuração do resumo' });
+  }
+});
 
-    const { error: storageError } = await supabase.storage
-      .from(BUCKET_NAME)
-      .remove([path]);
+app.put('/digest/settings', requireOwner, async (req, res) => {
+  const parsed = parseDigestSettings(req.body);
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
 
-    if (storageError) throw storageError;
+  try {
+    const current = await getDigestSettings();
+    const { data, error } = await supabase
+      .from('digest_settings')
+      .update({ ...parsed.settings, updated_by: req.user.email, updated_at: new Date().toISOString() })
+      .eq('id', true)
+      .select()
+      .single();
 
-    const { error: dbError } = await supabase
-      .from('uploads')
-      .delete()
-      .eq('id', id);
+    if (error) throw error;
+    await recordAudit(req, 'digest_settings.update', { targetType: 'digest_settings', before: current, after: data });
+    res.status(200).json({ success: true, settings: data });
+  } catch (error) {
+    res.status(500).json({ error: 'Erro ao atualizar configuração do resumo' });
+  }
+});
 
-    if (dbError) throw dbError;
+// Prévia do resumo do último período completo (?format=html para o e-mail)
+app.get('/digest/preview', requireOwner, async (req, res) => {
+  try {
+    const settings = await getDigestSettings();
+    const digest = await buildDigest(getLastPeriod(settings.frequency, settings.timezone), settings.top_links_limit);
 
-    res.status(200).json({ success: true });
+    if (req.query.format === 'html') {
+      return res.type('html').send(renderDigestEmail(digest, settings, req.user.email).html);
+    }
+
+    res.status(200).json(digest);
   } catch (error) {
-    res.status(500).json({ error: error.message || 'Erro ao excluir arquivo' });
+    console.error('Erro ao gerar prévia do resumo:', error.message);
+    res.status(500).json({ error: 'Erro ao gerar prévia do resumo' });
   }
 });
 
-// Enviar email com HTML
-app.post('/send-email', async (req, res) => {
-  const { to, html } = req.body;
+// Inscrição do usuário logado no resumo
+app.put('/digest/subscription', async (req, res) => {
+  const { subscribed } = req.body;
+  if (typeof subscribed !== 'boolean') {
+    return res.status(400).json({ error: 'Campo "subscribed" deve ser booleano' });
+  }
+
+  const email = req.user.email.toLowerCase();
 
-  if (!to || !html) {
-    return res.status(400).json({ error: 'Campos "to" e "html" são obrigatórios.' });
+  try {
+    const { error } = subscribed
+      ? await supabase.from('digest_unsubscribes').delete().eq('email', email)
+      : await supabase.from('digest_unsubscribes').upsert({ email }, { onConflict: 'email' });
+
+    if (error) throw error;
+    await recordAudit(req, subscribed ? 'digest.subscribe' : 'digest.unsubscribe', { targetType: 'user', targetId: email });
+    res.status(200).json({ success: true, subscribed });
+  } catch (error) {
+    res.status(500).json({ error: 'Erro ao atualizar inscrição' });
   }
+});
+
+// Link de descadastro enviado no rodapé do resumo (público, validado por token)
+app.get('/digest/unsubscribe', async (req, res) => {
+  const { email, token } = req.query;
 
   try {
-    const transporter = nodemailer.createTransport({
-      host: process.env.EMAIL_HOST,
-      port: Number(process.env.EMAIL_PORT),
-      secure: false,
-      auth: {
-        user: process.env.EMAIL_USER,
-        pass: process.env.EMAIL_PASS,
-      },
-    });
+    if (!isValidUnsubscribeToken(email, token)) {
+      return res.status(400).type('html').send('<p>Link de descadastro inválido.</p>');
+    }
 
-    const info = await transporter.sendMail({
-      from: `"SnapBox" <${process.env.EMAIL_USER}>`,
-      to: Array.isArray(to) ? to.join(',') : to,
-      subject: 'Software desenvolvido pela FCB Health',
-      html,
-    });
+    const { error } = await supabase
+      .from('digest_unsubscribes')
+      .upsert({ email: email.toLowerCase() }, { onConflict: 'email' });
+
+    if (error) throw error;
+    await recordAudit(req, 'digest.unsubscribe', { actor: email, targetType: 'user', targetId: email.toLowerCase() });
+    res.status(200).type('html').send('<p>Pronto! Você não receberá mais o resumo de desempenho do SnapBox.</p>');
+  } catch (error) {
+    res.status(500).type('html').send('<p>Erro ao cancelar inscrição. Tente novamente mais tarde.</p>');
+  }
+});
 
-    res.status(200).json({ success: true, messageId: info.messageId });
+// Status de um e-mail da fila de envio
+app.get('/emails/:id', async (req, res) => {
+  try {
+    const email = await getEmailStatus(req.params.id, req.user.org);
+    if (!email) {
+      return res.status(404).json({ error: 'E-mail não encontrado' });
+    }
+    res.status(200).json(email);
   } catch (error) {
-    res.status(500).json({ error: 'Erro ao enviar e-mail' });
+    res.status(500).json({ error: 'Erro ao buscar e-mail' });
+  }
+});
+
+// Resolve os IDs de URL de uma exportação (url_id ou campaign_id), apenas
+// entre os links da organização
+const resolveExportUrlIds = async ({ url_id, campaign_id }, organizationId) => {
+  let query = supabase
+    .from('urls_snapbox')
+    .select('id')
+    .eq('organization_id', organizationId);
+
+  query = url_id ? query.eq('id', url_id) : query.eq('campaign_id', campaign_id);
+
+  const { data, error } = await query;
+  // ID em formato inválido
+  if (error?.code === '22P02') return [];
+  if (error) throw error;
+  return data.map(row => row.id);
+};
+
+// Exportação de dados brutos de uma tabela, transmitida em lotes
+const exportTable = ({ table, timeColumn, columns, filename, scoped, organizationScoped = false }) => async (req, res) => {
+  const { format = 'csv', url_id, campaign_id } = req.query;
+
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ error: 'Formato deve ser "csv" ou "xlsx"' });
+  }
+
+  if (scoped && !url_id && !campaign_id) {
+    return res.status(400).json({ error: 'Informe url_id ou campaign_id' });
+  }
+
+  const period = parsePeriod(req.query);
+  if (period.error) {
+    return res.status(400).json({ error: period.error });
+  }
+
+  let urlIds = null;
+  try {
+    if (scoped) urlIds = await resolveExportUrlIds({ url_id, campaign_id }, req.user.org);
+  } catch (error) {
+    console.error('Erro ao preparar exportação:', error.message);
+    return res.status(500).json({ error: 'Erro ao exportar dados' });
+  }
+
+  const batches = fetchInBatches((lastId) => {
+    let query = supabase
+      .from(table)
+      .select(columns.map(c => c.key).join(', '))
+      .order('id', { ascending: true });
+
+    if (urlIds) query = query.in('url_id', urlIds);
+    if (organizationScoped) query = query.eq('organization_id', req.user.org);
+    if (period.start) query = query.gte(timeColumn, period.start);
+    if (period.end) query = query.lte(timeColumn, period.end);
+    if (lastId !== null) query = query.gt('id', lastId);
+
+    return query;
+  });
+
+  const suffix = moment().tz(DEFAULT_TIMEZONE).format('YYYYMMDD-HHmm');
+  const writer = createExportWriter(res, format, columns, `${filename}-${suffix}`);
+
+  try {
+    await streamExport(res, batches, writer);
+  } catch (error) {
+    // Com a resposta já iniciada, resta interromper a transferência
+    console.error('Erro durante exportação:', error.message);
+    res.destroy(error);
   }
+};
+
+// Exportar cliques de uma URL ou campanha
+app.get('/exports/clicks', exportTable({
+  table: 'url_clicks',
+  timeColumn: 'click_time',
+  columns: EXPORT_COLUMNS.clicks,
+  filename: 'cliques',
+  scoped: true
+}));
+
+// Exportar conversões de uma URL ou campanha
+app.get('/exports/conversions', exportTable({
+  table: 'url_conversions',
+  timeColumn: 'created_at',
+  columns: EXPORT_COLUMNS.conversions,
+  filename: 'conversoes',
+  scoped: true
+}));
+
+// Exportar os logs de acesso exibidos em /admin-stats
+app.get('/exports/user-logs', requireAdmin, exportTable({
+  table: 'user_activity',
+  timeColumn: 'login_time',
+  columns: EXPORT_COLUMNS.userLogs,
+  filename: 'acessos',
+  scoped: false,
+  organizationScoped: true
+}));
+
+
+// Ticket para abrir os streams SSE (EventSource não envia o cabeçalho
+// Authorization): GET /stream/...?ticket=
+app.post('/stream/ticket', (req, res) => {
+  try {
+    res.status(200).json({ ticket: signStreamTicket(req.user), expires_in: STREAM_TICKET_TTL_SECONDS });
+  } catch (error) {
+    res.status(500).json({ error: 'Erro ao gerar ticket de stream' });
+  }
+});
+
+// Cliques ao vivo (SSE), opcionalmente de uma URL ou campanha. Reconexões
+// com Last-Event-ID (ou ?last_event_id=) recebem os cliques perdidos.
+app.get('/stream/clicks', async (req, res) => {
+  const { url_id, campaign_id } = req.query;
+  const includeBots = req.query.include_bots === 'true';
+
+  try {
+    if (url_id && !(await belongsToOrganization('urls_snapbox', url_id, req.user.org))) {
+      return res.status(404).json({ error: 'URL não encontrada' });
+    }
+    if (campaign_id && !(await belongsToOrganization('campaigns', campaign_id, req.user.org))) {
+      return res.status(404).json({ error: 'Campanha não encontrada' });
+    }
+  } catch (error) {
+    return res.status(500).json({ error: 'Erro ao abrir stream de cliques' });
+  }
+
+  await serveEventStream(req, res, {
+    feed: clickFeed,
+    event: 'click',
+    filters: { organizationId: req.user.org, urlId: url_id, campaignId: campaign_id, includeBots },
+    matches: (click) => click.organization_id === req.user.org
+      && (!url_id || click.url_id === url_id)
+      && (!campaign_id || click.campaign_id === campaign_id)
+      && (includeBots || !click.is_bot),
+    toData: ({ organization_id, ...click }) => click,
+    isSessionActive
+  });
 });
 
+// Logins e logouts da organização ao vivo (SSE), para administradores
+app.get('/stream/activity', requireAdmin, async (req, res) => {
+  await serveEventStream(req, res, {
+    feed: activityFeed,
+    event: 'activity',
+    filters: { organizationId: req.user.org },
+    matches: (activity) => activity.organization_id === req.user.org,
+    toData: ({ organization_id, ...activity }) => activity,
+    isSessionActive
+  });
+});
 
 app.listen(PORT, () => {
   console.log(`Servidor rodando na porta ${PORT}`);
+  moveLegacyPrivateFiles();
 });
+
+// Workers de e-mail: fila, agendamentos e resumo periódico (desative com EMAIL_WORKER_ENABLED=false)
+if (process.env.EMAIL_WORKER_ENABLED !== 'false') {
+  startEmailWorker({ loadAttachments });
+  startEmailScheduler();
+  startDigestScheduler();
+}
@@ -0,0 +1,288 @@
+import supabase from './supabase.js';
+
+const POLL_INTERVAL_MS = 2 * 1000;
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+const SESSION_CHECK_INTERVAL_MS = 60 * 1000;
+const RECONNECT_DELAY_MS = 5 * 1000;
+const BATCH_SIZE = 500;
+const MAX_REPLAY_EVENTS = 2000;
+// IDs são atribuídos na inserção, mas o commit pode acontecer fora de ordem:
+// cada leitura repete os IDs lidos nos últimos segundos para pegar os atrasados
+const TRAILING_WINDOW_MS = 10 * 1000;
+
+/**
+ * Cria um feed compartilhado pela instância: uma única leitura periódica do
+ * banco (IDs maiores que o último lido) alimenta todos os clientes
+ * conectados. Como a fonte é o banco, eventos gravados por qualquer
+ * instância chegam a todos os clientes.
+ * @param {object} source
+ * @param {(afterId: number, filters: object|null, limit: number) => Promise<object[]>} source.fetchAfter
+ *   linhas com ID maior que afterId, em ordem crescente
+ * @param {() => Promise<number>} source.fetchLatestId
+ * @returns {{subscribe: (receive: (row: object) => void, afterId: number) => () => void, fetchAfter: Function, fetchLatestId: Function}}
+ */
+export const createFeed = ({ fetchAfter, fetchLatestId, intervalMs = POLL_INTERVAL_MS }) => {
+  const subscribers = new Set();
+  let cursor = null;
+  let polling = null;
+  let pollTimer = null;
+  // [momento, cursor] de cada leitura dentro da janela e IDs já entregues acima dela
+  const marks = [];
+  const delivered = new Set();
+  // Muda quando o feed para, descartando leituras que ainda estavam em andamento
+  let generation = 0;
+
+  const poll = () => {
+    if (!polling) {
+      polling = (async () => {
+        const current = generation;
+        try {
+          const now = Date.now();
+          marks.push([now, cursor]);
+          while (now - marks[0][0] > TRAILING_WINDOW_MS) marks.shift();
+
+          let after = marks[0][1];
+          delivered.forEach(id => id <= after && delivered.delete(id));
+
+          while (true) {
+            const rows = await fetchAfter(after, null, BATCH_SIZE);
+            if (current !== generation) return;
+            for (const row of rows) {
+              if (delivered.has(row.id)) continue;
+              delivered.add(row.id);
+              subscribers.forEach(receive => receive(row));
+            }
+            if (rows.length) {
+              after = rows[rows.length - 1].id;
+              cursor = Math.max(cursor, after);
+            }
+            if (rows.length < BATCH_SIZE) return;
+          }
+        } finally {
+          polling = null;
+        }
+      })();
+    }
+    return polling;
+  };
+
+  const subscribe = (receive, afterId) => {
+    subscribers.add(receive);
+
+    // O feed começa de onde os clientes estão (o menor ID entre os que chegaram
+    // antes da primeira leitura), nunca do fim da tabela: assim nenhum evento
+    // entre o replay do cliente e a primeira leitura se perde
+    if (cursor === null || (!marks.length && afterId < cursor)) cursor = afterId;
+
+    if (!pollTimer) {
+      pollTimer = setInterval(() => {
+        poll().catch(err => console.error('Erro ao ler feed ao vivo:', err.message));
+      }, intervalMs);
+      pollTimer.unref();
+    }
+
+    return () => {
+      subscribers.delete(receive);
+      // Sem clientes, o feed para de consultar o banco e recomeça do ponto
+      // do próximo cliente
+      if (!subscribers.size && pollTimer) {
+        clearInterval(pollTimer);
+        pollTimer = null;
+        cursor = null;
+        marks.length = 0;
+        delivered.clear();
+        generation++;
+      }
+    };
+  };
+
+  return { subscribe, fetchAfter, fetchLatestId };
+};
+
+/**
+ * Lê o Last-Event-ID enviado pelo navegador ao reconectar (ou o parâmetro
+ * last_event_id, para quem abre um novo EventSource)
+ * @param {import('express').Request} req
+ * @returns {number|null}
+ */
+const parseLastEventId = (req) => {
+  const value = req.get('last-event-id') ?? req.query.last_event_id;
+  if (value === undefined || !/^\d+$/.test(String(value))) return null;
+  return Number(value);
+};
+
+/**
+ * Atende uma conexão SSE: replay a partir do Last-Event-ID, eventos ao vivo
+ * do feed, heartbeats e encerramento quando a sessão do usuário termina.
+ * Eventos recebidos durante o replay ficam em espera e são enviados depois,
+ * sem duplicar nem pular IDs. Eventos que chegam atrasados (commit fora de
+ * ordem) são enviados mesmo com ID menor; o id do SSE continua sendo o maior
+ * já enviado.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {object} options
+ * @param {object} options.feed criado por createFeed
+ * @param {string} options.event nome dos eventos (ex.: "click")
+ * @param {object} options.filters filtros do replay, repassados ao fetchAfter
+ * @param {(row: object) => boolean} options.matches filtro dos eventos ao vivo
+ * @param {(row: object) => object} options.toData conteúdo enviado ao cliente
+ * @param {(sessionId: string) => Promise<boolean>} options.isSessionActive
+ */
+export const serveEventStream = async (req, res, { feed, event, filters, matches, toData, isSessionActive }) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Desativa o buffer de proxies como o nginx
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+
+  let closed = false;
+  let ready = false;
+  let lastId = 0;
+  // Eventos até este ID ficam de fora (anteriores à conexão ou ao replay truncado)
+  let floorId = 0;
+  let unsubscribe = () => {};
+  const pending = [];
+  // IDs enviados recentemente (o replay e o feed podem trazer a mesma linha)
+  const sent = new Map();
+
+  const write = (chunk) => {
+    if (!closed) res.write(chunk);
+  };
+
+  const send = (row) => {
+    if (row.id <= floorId || sent.has(row.id)) return;
+
+    const now = Date.now();
+    sent.forEach((sentAt, id) => now - sentAt > 2 * TRAILING_WINDOW_MS && sent.delete(id));
+    sent.set(row.id, now);
+
+    lastId = Math.max(lastId, row.id);
+    write(`id: ${lastId}\nevent: ${event}\ndata: ${JSON.stringify(toData(row))}\n\n`);
+  };
+
+  const heartbeat = setInterval(() => write(`: heartbeat ${new Date().toISOString()}\n\n`), HEARTBEAT_INTERVAL_MS);
+
+  // Logout, encerramento forçado ou por inatividade fecham o stream
+  const sessionCheck = setInterval(async () => {
+    try {
+      if (!(await isSessionActive(req.user.sid))) {
+        write('event: session_closed\ndata: {}\n\n');
+        res.end();
+      }
+    } catch (err) {
+      console.error('Erro ao verificar sessão do stream:', err.message);
+    }
+  }, SESSION_CHECK_INTERVAL_MS);
+
+  res.on('close', () => {
+    closed = true;
+    clearInterval(heartbeat);
+    clearInterval(sessionCheck);
+    unsubscribe();
+  });
+
+  try {
+    const lastEventId = parseLastEventId(req);
+    const latestId = await feed.fetchLatestId();
+    if (closed) return;
+
+    // Inscreve antes do replay: o que o feed ler durante o replay fica em espera.
+    // O replay vai até depois de latestId, então o feed pode começar dali.
+    unsubscribe = feed.subscribe((row) => {
+      if (!matches(row)) return;
+      if (ready) send(row);
+      else pending.push(row);
+    }, latestId);
+
+    // Sem Last-Event-ID o replay só cobre o que foi gravado desde a consulta acima
+    lastId = floorId = lastEventId ?? latestId;
+    let after = lastId;
+    let replayed = 0;
+
+    while (!closed) {
+      const rows = await feed.fetchAfter(after, filters, BATCH_SIZE);
+      rows.forEach(send);
+      replayed += rows.length;
+      if (rows.length) after = rows[rows.length - 1].id;
+      if (rows.length < BATCH_SIZE) break;
+
+      // Desconectado por tempo demais: avisa e continua a partir de agora
+      if (lastEventId !== null && replayed >= MAX_REPLAY_EVENTS) {
+        write(`event: replay_truncated\ndata: ${JSON.stringify({ replayed })}\n\n`);
+        lastId = floorId = await feed.fetchLatestId();
+        break;
+      }
+    }
+
+    ready = true;
+    pending.sort((a, b) => a.id - b.id).forEach(send);
+    pending.length = 0;
+  } catch (err) {
+    console.error(`Erro ao iniciar stream de ${event}:`, err.message);
+    write(`event: error\ndata: ${JSON.stringify({ error: 'Erro ao carregar eventos' })}\n\n`);
+    res.end();
+  }
+};
+
+/**
+ * Feed de cliques (url_clicks) com a organização e a campanha de cada link
+ */
+export const clickFeed = createFeed({
+  fetchAfter: async (afterId, filters, limit) => {
+    const { data, error } = await supabase.rpc('click_events_after', {
+      p_after: afterId,
+      p_limit: limit,
+      p_organization_id: filters?.organizationId || null,
+      p_url_id: filters?.urlId || null,
+      p_campaign_id: filters?.campaignId || null,
+      p_include_bots: filters ? filters.includeBots : true
+    });
+
+    if (error) throw error;
+    return data;
+  },
+  fetchLatestId: async () => {
+    const { data, error } = await supabase
+      .from('url_clicks')
+      .select('id')
+      .order('id', { ascending: false })
+      .limit(1);
+
+    if (error) throw error;
+    return data[0]?.id ?? 0;
+  }
+});
+
+/**
+ * Feed de logins e logouts (activity_events, gravados por trigger em user_activity)
+ */
+export const activityFeed = createFeed({
+  fetchAfter: async (afterId, filters, limit) => {
+    let query = supabase
+      .from('activity_events')
+      .select('*')
+      .gt('id', afterId)
+      .order('id', { ascending: true })
+      .limit(limit);
+
+    if (filters?.organizationId) query = query.eq('organization_id', filters.organizationId);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data;
+  },
+  fetchLatestId: async () => {
+    const { data, error } = await supabase
+      .from('activity_events')
+      .select('id')
+      .order('id', { ascending: false })
+      .limit(1);
+
+    if (error) throw error;
+    return data[0]?.id ?? 0;
+  }
+});
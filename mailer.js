@@ -0,0 +1,261 @@
+import nodemailer from 'nodemailer';
+import supabase from './supabase.js';
+
+const OUTBOX_TABLE = 'email_outbox';
+const DEFAULT_MAX_ATTEMPTS = 5;
+const BATCH_SIZE = 10;
+const BACKOFF_BASE_SECONDS = 60;
+const BACKOFF_MAX_SECONDS = 60 * 60;
+const DEFAULT_POLL_INTERVAL_MS = 15 * 1000;
+
+let transport = null;
+let processing = null;
+let pollTimer = null;
+let loadAttachments = null;
+
+/**
+ * Transporte SMTP compartilhado (pool de conexões), criado sob demanda
+ * a partir das variáveis de ambiente. Sem EMAIL_USER, conecta sem
+ * autenticação (ex.: servidor SMTP local de testes).
+ * @returns {import('nodemailer').Transporter}
+ */
+export const getTransport = () => {
+  if (!transport) {
+    transport = nodemailer.createTransport({
+      pool: true,
+      maxConnections: 3,
+      host: process.env.EMAIL_HOST,
+      port: Number(process.env.EMAIL_PORT),
+      secure: process.env.EMAIL_SECURE === 'true',
+      auth: process.env.EMAIL_USER
+        ? { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASS }
+        : undefined,
+    });
+  }
+  return transport;
+};
+
+/**
+ * Remetente padrão do SnapBox
+ * @returns {string}
+ */
+export const getSender = () => process.env.EMAIL_FROM || `"SnapBox" <${process.env.EMAIL_USER}>`;
+
+/**
+ * Envia um e-mail na hora, sem passar pela fila e sem novas tentativas.
+ * Usado em mensagens que não podem ser armazenadas nem chegar atrasadas
+ * (ex.: código de verificação).
+ * @param {{to: string|string[], subject: string, html: string, text?: string}} message
+ * @returns {Promise<object>} retorno do nodemailer
+ */
+export const sendEmailNow = async ({ to, subject, html, text }) => {
+  const info = await getTransport().sendMail({
+    from: getSender(),
+    to: Array.isArray(to) ? to.join(',') : to,
+    subject,
+    html,
+    text: text || undefined,
+  });
+
+  if (info.rejected?.length && !info.accepted?.length) {
+    throw new Error(`Destinatários recusados: ${info.rejected.join(', ')}`);
+  }
+
+  return info;
+};
+
+/**
+ * Coloca um e-mail na fila de envio (email_outbox)
+ * @param {object} message
+ * @param {string|string[]} message.to
+ * @param {string} message.subject
+ * @param {string} message.html
+ * @param {string} [message.text]
+ * @param {Array<string|number>} [message.attachmentIds] IDs da tabela uploads
+ * @param {string} [message.templateKey]
+ * @param {number} [message.templateVersion]
+ * @param {string} [message.createdBy]
+ * @param {string} [message.organizationId] organização do envio (vazio em e-mails do sistema)
+ * @param {string} [message.scheduleId] agendamento de origem (email_schedules)
+ * @param {string} [message.scheduledFor] execução do agendamento; com scheduleId,
+ *   identifica o envio (uma execução já enfileirada não é duplicada)
+ * @returns {Promise<object>} linha criada (ou a já existente para a execução)
+ */
+export const enqueueEmail = async ({ to, subject, html, text, attachmentIds = [], templateKey, templateVersion, createdBy, organizationId, scheduleId, scheduledFor }) => {
+  const { data, error } = await supabase
+    .from(OUTBOX_TABLE)
+    .insert([{
+      to_addresses: Array.isArray(to) ? to : [to],
+      subject,
+      html,
+      text: text || null,
+      attachment_ids: attachmentIds.map(String),
+      template_key: templateKey || null,
+      template_version: templateVersion ?? null,
+      status: 'queued',
+      max_attempts: DEFAULT_MAX_ATTEMPTS,
+      next_attempt_at: new Date().toISOString(),
+      created_by: createdBy || null,
+      organization_id: organizationId || null,
+      schedule_id: scheduleId || null,
+      scheduled_for: scheduledFor || null,
+    }])
+    .select()
+    .single();
+
+  if (error?.code === '23505' && scheduleId) {
+    const { data: existing, error: fetchError } = await supabase
+      .from(OUTBOX_TABLE)
+      .select()
+      .eq('schedule_id', scheduleId)
+      .eq('scheduled_for', scheduledFor)
+      .single();
+
+    if (fetchError) throw fetchError;
+    return existing;
+  }
+
+  if (error) throw error;
+
+  // Processa logo em seguida, sem esperar o próximo ciclo do worker
+  // (somente se o worker estiver ativo nesta instância)
+  if (pollTimer) setImmediate(() => processOutbox().catch(err => console.error('Erro no envio de e-mails:', err.message)));
+
+  return data;
+};
+
+/**
+ * Status de um e-mail da fila, apenas entre os envios da organização
+ * @param {string} id
+ * @param {string} organizationId
+ * @returns {Promise<object|null>}
+ */
+export const getEmailStatus = async (id, organizationId) => {
+  const { data, error } = await supabase
+    .from(OUTBOX_TABLE)
+    .select('id, to_addresses, subject, template_key, template_version, status, attempts, max_attempts, next_attempt_at, last_error, message_id, created_by, created_at, sent_at')
+    .eq('id', id)
+    .eq('organization_id', organizationId)
+    .maybeSingle();
+
+  // ID em formato inválido
+  if (error?.code === '22P02') return null;
+
+  if (error) throw error;
+  return data;
+};
+
+const backoffSeconds = (attempts) => Math.min(BACKOFF_BASE_SECONDS * 2 ** (attempts - 1), BACKOFF_MAX_SECONDS);
+
+// Respostas SMTP 5xx são recusas permanentes: não adianta tentar de novo
+const isPermanentFailure = (error) => Number(error.responseCode) >= 500;
+
+const updateOutbox = async (id, fields) => {
+  const { error } = await supabase
+    .from(OUTBOX_TABLE)
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq('id', id);
+
+  if (error) console.error('Erro ao atualizar e-mail da fila:', error.message);
+};
+
+const deliver = async (email) => {
+  try {
+    // Sem o carregador, o e-mail sairia sem os anexos pedidos
+    if (email.attachment_ids?.length && !loadAttachments) {
+      throw new Error('Carregador de anexos não configurado (startEmailWorker)');
+    }
+
+    const attachments = email.attachment_ids?.length
+      ? await loadAttachments(email.attachment_ids, email.organization_id)
+      : [];
+
+    const info = await getTransport().sendMail({
+      from: getSender(),
+      to: email.to_addresses.join(','),
+      subject: email.subject,
+      html: email.html,
+      text: email.text || undefined,
+      attachments,
+    });
+
+    if (info.rejected?.length && !info.accepted?.length) {
+      await updateOutbox(email.id, {
+        status: 'bounced',
+        last_error: `Destinatários recusados: ${info.rejected.join(', ')}`,
+      });
+      return;
+    }
+
+    await updateOutbox(email.id, {
+      status: 'sent',
+      message_id: info.messageId,
+      sent_at: new Date().toISOString(),
+      last_error: null,
+    });
+  } catch (error) {
+    console.error(`Falha ao enviar e-mail ${email.id} (tentativa ${email.attempts}):`, error.message);
+
+    if (isPermanentFailure(error)) {
+      await updateOutbox(email.id, { status: 'bounced', last_error: error.message });
+      return;
+    }
+
+    const exhausted = email.attempts >= email.max_attempts;
+    await updateOutbox(email.id, {
+      status: exhausted ? 'failed' : 'queued',
+      last_error: error.message,
+      next_attempt_at: exhausted
+        ? email.next_attempt_at
+        : new Date(Date.now() + backoffSeconds(email.attempts) * 1000).toISOString(),
+    });
+  }
+};
+
+/**
+ * Envia os e-mails pendentes. A reserva é feita no banco (skip locked),
+ * então várias instâncias podem processar a fila sem envio duplicado.
+ * Chamadas simultâneas na mesma instância reaproveitam a execução em andamento.
+ * @returns {Promise<void>}
+ */
+export const processOutbox = () => {
+  if (!processing) {
+    processing = (async () => {
+      try {
+        while (true) {
+          const { data: batch, error } = await supabase
+            .rpc('claim_email_outbox', { p_limit: BATCH_SIZE });
+
+          if (error) throw error;
+          if (!batch.length) return;
+
+          for (const email of batch) {
+            await deliver(email);
+          }
+
+          if (batch.length < BATCH_SIZE) return;
+        }
+      } finally {
+        processing = null;
+      }
+    })();
+  }
+  return processing;
+};
+
+/**
+ * Inicia o worker que processa a fila periodicamente
+ * @param {object} options
+ * @param {(ids: string[], organizationId: string|null) => Promise<object[]>} options.loadAttachments
+ *   carrega os anexos (formato do nodemailer) a partir dos IDs de uploads da organização
+ * @param {number} [options.intervalMs]
+ */
+export const startEmailWorker = ({ loadAttachments: attachmentLoader, intervalMs = DEFAULT_POLL_INTERVAL_MS }) => {
+  loadAttachments = attachmentLoader;
+  if (pollTimer) return;
+
+  pollTimer = setInterval(() => {
+    processOutbox().catch(err => console.error('Erro no worker de e-mails:', err.message));
+  }, intervalMs);
+  pollTimer.unref();
+};
@@ -0,0 +1,229 @@
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+import exifReader from 'exif-reader';
+import ffmpegInstaller from '@ffmpeg-installer/ffmpeg';
+import ffprobeInstaller from '@ffprobe-installer/ffprobe';
+
+const run = promisify(execFile);
+
+// Lado maior de cada miniatura, em pixels
+export const THUMBNAIL_SIZES = { small: 320, medium: 800 };
+
+const PROCESS_TIMEOUT_MS = 60 * 1000;
+const MAX_POSTER_BYTES = 20 * 1024 * 1024;
+const POSTER_OFFSET_SECONDS = 1;
+
+// Opções ao regravar cada formato: PNG continua sem perdas (quality ativaria
+// a quantização em paleta)
+const REENCODE_OPTIONS = {
+  jpeg: { quality: 90 },
+  webp: { quality: 90 },
+  png: { compressionLevel: 9 }
+};
+
+// FFMPEG_PATH/FFPROBE_PATH permitem usar os binários do sistema
+const ffmpegPath = () => process.env.FFMPEG_PATH || ffmpegInstaller.path;
+const ffprobePath = () => process.env.FFPROBE_PATH || ffprobeInstaller.path;
+
+const makeThumbnails = async (image) => {
+  const entries = await Promise.all(Object.entries(THUMBNAIL_SIZES).map(async ([name, size]) => {
+    const { data, info } = await sharp(image)
+      .rotate()
+      .resize({ width: size, height: size, fit: 'inside', withoutEnlargement: true })
+      .webp({ quality: 80 })
+      .toBuffer({ resolveWithObject: true });
+
+    return [name, { buffer: data, width: info.width, height: info.height }];
+  }));
+
+  return Object.fromEntries(entries);
+};
+
+const hasGpsExif = (exif) => {
+  if (!exif) return false;
+  try {
+    const tags = exifReader(exif);
+    return Boolean(tags.GPSInfo && Object.keys(tags.GPSInfo).length);
+  } catch (error) {
+    return false;
+  }
+};
+
+// input: Buffer ou caminho do arquivo
+const processImage = async (input, { stripGps }) => {
+  const meta = await sharp(input).metadata();
+  const orientation = meta.orientation || 1;
+
+  // Orientações 5 a 8 giram a imagem em 90°: largura e altura exibidas se invertem
+  const rotated = orientation >= 5;
+  let output = input;
+  let gpsStripped = false;
+
+  // Regrava a imagem já rotacionada e sem EXIF, preservando o perfil de cor
+  if (stripGps && hasGpsExif(meta.exif)) {
+    output = await sharp(input)
+      .rotate()
+      .keepIccProfile()
+      .toFormat(meta.format, REENCODE_OPTIONS[meta.format] || {})
+      .toBuffer();
+    gpsStripped = true;
+  }
+
+  return {
+    buffer: output,
+    metadata: {
+      width: rotated ? meta.height : meta.width,
+      height: rotated ? meta.width : meta.height,
+      duration_seconds: null,
+      // A imagem regravada já está rotacionada e sem EXIF
+      orientation: gpsStripped ? 1 : orientation,
+      gps_stripped: gpsStripped
+    },
+    poster: null,
+    thumbnails: await makeThumbnails(input)
+  };
+};
+
+const probeVideo = async (file) => {
+  const { stdout } = await run(ffprobePath(), [
+    '-v', 'error',
+    '-print_format', 'json',
+    '-show_format',
+    '-show_streams',
+    file
+  ], { timeout: PROCESS_TIMEOUT_MS });
+
+  return JSON.parse(stdout);
+};
+
+const videoRotation = (stream) => {
+  const fromSideData = stream.side_data_list?.find(side => side.rotation !== undefined)?.rotation;
+  const rotation = Number(fromSideData ?? stream.tags?.rotate ?? 0);
+  return ((rotation % 360) + 360) % 360;
+};
+
+// Localização gravada por celulares (QuickTime/MP4)
+const hasLocationTag = (tags = {}) => Object.keys(tags).some(key => /location/i.test(key));
+
+const extractPoster = async (file, seconds) => {
+  // O ffmpeg já aplica a rotação do vídeo ao quadro extraído
+  const { stdout } = await run(ffmpegPath(), [
+    '-v', 'error',
+    '-ss', String(seconds),
+    '-i', file,
+    '-frames:v', '1',
+    '-f', 'image2',
+    '-c:v', 'mjpeg',
+    'pipe:1'
+  ], { encoding: 'buffer', maxBuffer: MAX_POSTER_BYTES, timeout: PROCESS_TIMEOUT_MS });
+
+  if (!stdout.length) throw new Error('Não foi possível extrair o quadro do vídeo');
+  return sharp(stdout).jpeg({ quality: 85 }).toBuffer();
+};
+
+// Remove os metadados globais (incluindo localização) sem recodificar
+const stripVideoMetadata = async (file, ext) => {
+  const output = `${file}.clean${ext}`;
+  try {
+    await run(ffmpegPath(), [
+      '-v', 'error',
+      '-i', file,
+      '-map', '0',
+      '-map_metadata', '-1',
+      '-c', 'copy',
+      '-movflags', '+faststart',
+      output
+    ], { timeout: PROCESS_TIMEOUT_MS });
+
+    return await fs.readFile(output);
+  } finally {
+    await fs.rm(output, { force: true });
+  }
+};
+
+const analyzeVideo = async (file, ext, buffer, { stripGps }) => {
+  const probe = await probeVideo(file);
+  const stream = probe.streams?.find(s => s.codec_type === 'video');
+  if (!stream) throw new Error('Vídeo sem faixa de imagem');
+
+  const duration = Number(probe.format?.duration ?? stream.duration);
+  const rotation = videoRotation(stream);
+  const rotated = rotation === 90 || rotation === 270;
+  const seek = Number.isFinite(duration) ? Math.min(POSTER_OFFSET_SECONDS, duration / 2) : 0;
+
+  const poster = await extractPoster(file, seek);
+
+  let output = buffer;
+  let gpsStripped = false;
+  if (stripGps && buffer && hasLocationTag(probe.format?.tags)) {
+    output = await stripVideoMetadata(file, ext);
+    gpsStripped = true;
+  }
+
+  return {
+    buffer: output,
+    metadata: {
+      width: rotated ? stream.height : stream.width,
+      height: rotated ? stream.width : stream.height,
+      duration_seconds: Number.isFinite(duration) ? Math.round(duration * 1000) / 1000 : null,
+      orientation: rotation,
+      gps_stripped: gpsStripped
+    },
+    poster,
+    thumbnails: await makeThumbnails(poster)
+  };
+};
+
+const processVideo = async (buffer, originalname, { stripGps }) => {
+  const ext = path.extname(originalname).toLowerCase() || '.mp4';
+  const file = path.join(os.tmpdir(), `snapbox-${crypto.randomUUID()}${ext}`);
+  await fs.writeFile(file, buffer);
+
+  try {
+    return await analyzeVideo(file, ext, buffer, { stripGps });
+  } finally {
+    await fs.rm(file, { force: true });
+  }
+};
+
+/**
+ * Extrai metadados e gera miniaturas de uma imagem ou vídeo enviado.
+ * Vídeos também ganham um quadro de capa (poster) em JPEG.
+ * @param {{buffer: Buffer, mimetype: string, originalname: string}} file arquivo do multer
+ * @param {{stripGps?: boolean}} [options] remove a localização (EXIF GPS /
+ *   metadados de localização do vídeo) do arquivo original
+ * @returns {Promise<{
+ *   buffer: Buffer,
+ *   metadata: {width: number, height: number, duration_seconds: number|null, orientation: number, gps_stripped: boolean},
+ *   poster: Buffer|null,
+ *   thumbnails: Object<string, {buffer: Buffer, width: number, height: number}>
+ * }>}
+ */
+export const processMedia = async ({ buffer, mimetype, originalname }, { stripGps = false } = {}) => {
+  if (mimetype.startsWith('image/')) return processImage(buffer, { stripGps });
+  if (mimetype.startsWith('video/')) return processVideo(buffer, originalname, { stripGps });
+  throw new Error(`Tipo de mídia não suportado: ${mimetype}`);
+};
+
+/**
+ * Extrai metadados e gera miniaturas de um arquivo já gravado em disco
+ * (uploads grandes), sem carregá-lo inteiro em memória. O arquivo não é
+ * alterado: a remoção de GPS só se aplica a processMedia.
+ * @param {{path: string, mimetype: string}} file
+ * @returns {Promise<object>} mesmo formato de processMedia, com buffer null
+ */
+export const processMediaFile = async ({ path: file, mimetype }) => {
+  if (mimetype.startsWith('image/')) {
+    const result = await processImage(file, { stripGps: false });
+    return { ...result, buffer: null };
+  }
+  if (mimetype.startsWith('video/')) {
+    return analyzeVideo(file, path.extname(file).toLowerCase(), null, { stripGps: false });
+  }
+  throw new Error(`Tipo de mídia não suportado: ${mimetype}`);
+};
@@ -0,0 +1,214 @@
+import supabase from './supabase.js';
+
+export const ADMIN_ROLES = ['owner', 'admin'];
+
+const MAX_DOMAINS = 20;
+const MAX_NAME_LENGTH = 100;
+const DOMAIN_PATTERN = /^(?=.{1,253}$)([a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Normaliza um e-mail para comparação (minúsculas, sem espaços)
+ * @param {string} email
+ * @returns {string}
+ */
+export const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+/**
+ * Valida um e-mail
+ * @param {string} email
+ * @returns {boolean}
+ */
+export const isValidEmail = (email) => EMAIL_PATTERN.test(email);
+
+const emailDomain = (email) => normalizeEmail(email).split('@').pop();
+
+const parseDomains = (value) => {
+  if (!Array.isArray(value)) {
+    return { error: 'allowed_domains deve ser uma lista de domínios' };
+  }
+
+  const domains = [...new Set(value.map(domain => String(domain).trim().toLowerCase().replace(/^@/, '')))]
+    .filter(Boolean);
+
+  if (domains.length > MAX_DOMAINS) {
+    return { error: `Máximo de ${MAX_DOMAINS} domínios por organização` };
+  }
+  const invalid = domains.find(domain => !DOMAIN_PATTERN.test(domain));
+  if (invalid) {
+    return { error: `Domínio inválido: ${invalid}` };
+  }
+
+  return { domains };
+};
+
+/**
+ * Valida o corpo de criação/edição de uma organização
+ * @param {object} body name, allowed_domains
+ * @param {boolean} partial true em edições (campos ausentes são mantidos)
+ * @returns {{organization?: object, error?: string}}
+ */
+export const parseOrganizationInput = (body, partial = false) => {
+  const organization = {};
+
+  if (!partial || body.name !== undefined) {
+    if (typeof body.name !== 'string' || !body.name.trim()) {
+      return { error: 'Nome da organização é obrigatório' };
+    }
+    if (body.name.trim().length > MAX_NAME_LENGTH) {
+      return { error: `Nome deve ter até ${MAX_NAME_LENGTH} caracteres` };
+    }
+    organization.name = body.name.trim();
+  }
+
+  if (!partial || body.allowed_domains !== undefined) {
+    const { domains, error } = parseDomains(body.allowed_domains ?? []);
+    if (error) return { error };
+    organization.allowed_domains = domains;
+  }
+
+  if (!Object.keys(organization).length) {
+    return { error: 'Nenhum campo para atualizar' };
+  }
+
+  return { organization };
+};
+
+/**
+ * Organização que já usa algum dos domínios (um domínio pertence a uma só organização)
+ * @param {string[]} domains
+ * @param {string} [excludeId] organização em edição
+ * @returns {Promise<object|null>}
+ */
+export const findDomainConflict = async (domains, excludeId) => {
+  if (!domains.length) return null;
+
+  let query = supabase
+    .from('organizations')
+    .select('id, name, allowed_domains')
+    .overlaps('allowed_domains', domains)
+    .limit(1);
+
+  if (excludeId) query = query.neq('id', excludeId);
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return data[0] || null;
+};
+
+/**
+ * Organização de um e-mail: primeiro a lista de membros (allowlist),
+ * depois o domínio do e-mail
+ * @param {string} email
+ * @returns {Promise<object|null>} null se o e-mail não pertence a nenhuma organização
+ */
+export const resolveOrganization = async (email) => {
+  const normalized = normalizeEmail(email);
+
+  const { data: members, error: memberError } = await supabase
+    .from('organization_members')
+    .select('organization_id, created_at')
+    .eq('email', normalized)
+    .order('created_at', { ascending: true })
+    .limit(1);
+
+  if (memberError) throw memberError;
+
+  let query = supabase.from('organizations').select('*');
+  query = members.length
+    ? query.eq('id', members[0].organization_id)
+    : query.contains('allowed_domains', [emailDomain(normalized)]);
+
+  const { data, error } = await query.limit(1);
+  if (error) throw error;
+  return data[0] || null;
+};
+
+/**
+ * Indica se o e-mail pode acessar a organização (domínio ou allowlist)
+ * @param {string} email
+ * @param {string} organizationId
+ * @returns {Promise<boolean>}
+ */
+export const isAllowedInOrganization = async (email, organizationId) => {
+  const normalized = normalizeEmail(email);
+
+  const [organization, member] = await Promise.all([
+    supabase.from('organizations').select('allowed_domains').eq('id', organizationId).maybeSingle(),
+    supabase.from('organization_members').select('email').eq('organization_id', organizationId).eq('email', normalized).limit(1)
+  ]);
+
+  if (organization.error) throw organization.error;
+  if (member.error) throw member.error;
+  if (!organization.data) return false;
+
+  return member.data.length > 0 || organization.data.allowed_domains.includes(emailDomain(normalized));
+};
+
+/**
+ * Registro de admin do e-mail válido na organização informada. Admins sem
+ * organização (organization_id nulo) valem para todas.
+ * @param {string} email
+ * @param {string} organizationId
+ * @returns {Promise<object|null>}
+ */
+export const findAdmin = async (email, organizationId) => {
+  const { data, error } = await supabase
+    .from('admins')
+    .select('*')
+    .eq('email', normalizeEmail(email))
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data || (data.organization_id && data.organization_id !== organizationId)) return null;
+  return data;
+};
+
+/**
+ * Valida o corpo de criação de um admin
+ * @param {object} body email, role, organization_id
+ * @returns {{admin?: object, error?: string}}
+ */
+export const parseAdminInput = ({ email, role = 'admin', organization_id = null }) => {
+  const normalized = normalizeEmail(email);
+  if (!isValidEmail(normalized)) {
+    return { error: 'E-mail inválido' };
+  }
+
+  if (!ADMIN_ROLES.includes(role)) {
+    return { error: `Papel deve ser ${ADMIN_ROLES.map(r => `"${r}"`).join(' ou ')}` };
+  }
+
+  if (organization_id !== null && (typeof organization_id !== 'string' || !UUID_PATTERN.test(organization_id))) {
+    return { error: 'organization_id inválido' };
+  }
+
+  // Proprietários administram todas as organizações
+  if (role === 'owner' && organization_id) {
+    return { error: 'Proprietários não podem ser vinculados a uma organização' };
+  }
+
+  return { admin: { email: normalized, role, organization_id } };
+};
+
+/**
+ * Confere se um registro (ex.: campanha, pasta) pertence à organização
+ * @param {string} table
+ * @param {string} id
+ * @param {string} organizationId
+ * @returns {Promise<boolean>}
+ */
+export const belongsToOrganization = async (table, id, organizationId) => {
+  const { data, error } = await supabase
+    .from(table)
+    .select('id')
+    .eq('id', id)
+    .eq('organization_id', organizationId)
+    .limit(1);
+
+  // ID em formato inválido
+  if (error?.code === '22P02') return false;
+  if (error) throw error;
+  return data.length > 0;
+};
@@ -0,0 +1,81 @@
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+/**
+ * Codifica a posição do último item retornado como cursor opaco
+ * @param {object} row
+ * @param {string} column coluna de ordenação
+ * @returns {string}
+ */
+export const encodeCursor = (row, column = 'created_at') => (
+  Buffer.from(JSON.stringify({ v: row[column], id: row.id })).toString('base64url')
+);
+
+/**
+ * Decodifica um cursor gerado por encodeCursor
+ * @param {string} cursor
+ * @returns {{v: string, id: string}|null} null se o cursor for inválido
+ */
+export const decodeCursor = (cursor) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    // Apenas timestamps/números e IDs simples, pois vão direto para o filtro
+    if (!/^[0-9T:.+\- Z]+$/.test(String(decoded.v)) || !/^[\w-]+$/.test(String(decoded.id))) return null;
+    return decoded;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Lê o limite de itens por página da query string
+ * @param {string} value
+ * @returns {number}
+ */
+export const parseLimit = (value) => {
+  const limit = parseInt(value, 10);
+  if (!limit || limit < 1) return DEFAULT_LIMIT;
+  return Math.min(limit, MAX_LIMIT);
+};
+
+/**
+ * Aplica paginação por cursor (ordem decrescente de column, desempate por id)
+ * a uma query do Supabase. Busca um item a mais para saber se há próxima página.
+ * @param {object} query query do supabase-js
+ * @param {{cursor: object|null, limit: number, column?: string}} options
+ */
+export const paginate = (query, { cursor, limit, column = 'created_at' }) => {
+  let paged = query
+    .order(column, { ascending: false })
+    .order('id', { ascending: false })
+    .limit(limit + 1);
+
+  if (cursor) {
+    paged = paged.or(`${column}.lt."${cursor.v}",and(${column}.eq."${cursor.v}",id.lt."${cursor.id}")`);
+  }
+
+  return paged;
+};
+
+/**
+ * Monta a resposta paginada a partir das linhas retornadas por paginate()
+ * @param {object[]} rows
+ * @param {number} limit
+ * @param {string} column
+ * @returns {{data: object[], next_cursor: string|null}}
+ */
+export const toPage = (rows, limit, column = 'created_at') => {
+  const hasMore = rows.length > limit;
+  const data = hasMore ? rows.slice(0, limit) : rows;
+  return {
+    data,
+    next_cursor: hasMore ? encodeCursor(data[data.length - 1], column) : null
+  };
+};
+
+/**
+ * Remove caracteres com significado especial nos filtros do PostgREST
+ * @param {string} term
+ * @returns {string}
+ */
+export const sanitizeSearchTerm = (term) => String(term).replace(/[,()*%\\"]/g, ' ').trim();
@@ -0,0 +1,110 @@
+import supabase from './supabase.js';
+
+const DEFAULT_IDLE_TIMEOUT_MINUTES = 30;
+const MAX_PATH_LENGTH = 512;
+
+// Sessões com heartbeat nos últimos 2 minutos contam como online
+// (o frontend envia um heartbeat por minuto)
+export const ONLINE_WINDOW_SECONDS = 120;
+
+/**
+ * Minutos sem heartbeat até a sessão ser encerrada por inatividade
+ * (SESSION_IDLE_TIMEOUT_MINUTES)
+ * @returns {number}
+ */
+export const getIdleTimeoutMinutes = () => {
+  const minutes = Number(process.env.SESSION_IDLE_TIMEOUT_MINUTES);
+  return Number.isInteger(minutes) && minutes > 0 ? minutes : DEFAULT_IDLE_TIMEOUT_MINUTES;
+};
+
+/**
+ * Valida o caminho informado no heartbeat. Query string e fragmento são
+ * descartados (podem conter tokens ou dados pessoais).
+ * @param {*} path
+ * @returns {{path?: string, error?: string}}
+ */
+export const parsePagePath = (path) => {
+  if (typeof path !== 'string' || !path.startsWith('/')) {
+    return { error: 'Campo "path" deve ser um caminho iniciado por "/"' };
+  }
+
+  const pathname = path.split(/[?#]/)[0];
+  if (pathname.length > MAX_PATH_LENGTH) {
+    return { error: `Caminho deve ter até ${MAX_PATH_LENGTH} caracteres` };
+  }
+
+  return { path: pathname };
+};
+
+/**
+ * Registra o heartbeat da sessão: último sinal, página atual e uma página
+ * vista quando o caminho muda
+ * @param {string} sessionId
+ * @param {string} path
+ * @returns {Promise<{status: 'ok'|'closed', last_seen_at?: string, page_view?: boolean}>}
+ */
+export const recordHeartbeat = async (sessionId, path) => {
+  const { data, error } = await supabase.rpc('record_heartbeat', { p_session_id: sessionId, p_path: path });
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Encerra as sessões sem heartbeat dentro do prazo de inatividade
+ * @returns {Promise<number>} quantidade de sessões encerradas
+ */
+export const closeIdleSessions = async () => {
+  const { data, error } = await supabase.rpc('close_idle_sessions', {
+    p_idle_seconds: getIdleTimeoutMinutes() * 60
+  });
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Páginas vistas agrupadas por usuário e caminho (mais vistas primeiro)
+ * @param {{organizationId?: string, email?: string, sessionId?: string, start?: string|null, end?: string|null}} filters
+ * @returns {Promise<Array<{email: string, path: string, views: number, last_viewed_at: string}>>}
+ */
+export const getPageViewHistogram = async ({ organizationId, email, sessionId, start, end }) => {
+  const { data, error } = await supabase.rpc('page_view_histogram', {
+    p_organization_id: organizationId || null,
+    p_email: email || null,
+    p_session_id: sessionId || null,
+    p_start: start || null,
+    p_end: end || null
+  });
+
+  if (error) throw error;
+  return data.map(row => ({ ...row, views: Number(row.views) }));
+};
+
+/**
+ * Página mais vista de uma sessão, a partir dos heartbeats
+ * @param {string} sessionId
+ * @returns {Promise<string|null>}
+ */
+export const getMostViewedPath = async (sessionId) => {
+  const [top] = await getPageViewHistogram({ sessionId });
+  return top?.path || null;
+};
+
+/**
+ * Totais de /admin-stats calculados no banco
+ * @param {string} organizationId
+ * @param {{start: string|null, end: string|null, timezone: string}} period
+ * @returns {Promise<{total_users: number, total_sessions: number, online_users: number, most_active_user: object|null}>}
+ */
+export const getActivityStats = async (organizationId, { start, end, timezone }) => {
+  const { data, error } = await supabase.rpc('admin_activity_stats', {
+    p_organization_id: organizationId,
+    p_start: start,
+    p_end: end,
+    p_online_seconds: ONLINE_WINDOW_SECONDS,
+    p_timezone: timezone
+  });
+
+  if (error) throw error;
+  return data;
+};
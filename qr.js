@@ -0,0 +1,109 @@
+import QRCode from 'qrcode';
+import sharp from 'sharp';
+
+// Valor de src que /r/:slug registra como referrer dos acessos via QR code
+export const QR_SOURCE = 'qr';
+
+const FORMATS = ['png', 'svg'];
+const ECC_LEVELS = ['L', 'M', 'Q', 'H'];
+const COLOR_PATTERN = /^#?([0-9a-fA-F]{6}|[0-9a-fA-F]{8})$/;
+const LOGO_RATIO = 0.22; // proporção do logo em relação ao QR code
+
+const toColor = (value) => `#${value.replace(/^#/, '')}`;
+
+/**
+ * Valida as opções do QR code vindas da query string
+ * @param {object} query format, size, margin, ecc, fg, bg
+ * @returns {{options?: object, error?: string}}
+ */
+export const parseQrOptions = ({ format = 'png', size = '512', margin = '4', ecc = 'M', fg = '000000', bg = 'ffffff' }) => {
+  if (!FORMATS.includes(format)) {
+    return { error: 'Formato deve ser "png" ou "svg"' };
+  }
+
+  const width = Number(size);
+  if (!Number.isInteger(width) || width < 64 || width > 2048) {
+    return { error: 'Tamanho deve ser um inteiro entre 64 e 2048' };
+  }
+
+  const quietZone = Number(margin);
+  if (!Number.isInteger(quietZone) || quietZone < 0 || quietZone > 16) {
+    return { error: 'Margem deve ser um inteiro entre 0 e 16' };
+  }
+
+  const errorCorrectionLevel = String(ecc).toUpperCase();
+  if (!ECC_LEVELS.includes(errorCorrectionLevel)) {
+    return { error: 'ecc deve ser L, M, Q ou H' };
+  }
+
+  if (!COLOR_PATTERN.test(fg) || !COLOR_PATTERN.test(bg)) {
+    return { error: 'Cores devem estar no formato hexadecimal (ex.: 1a1a1a)' };
+  }
+
+  return {
+    options: {
+      format,
+      width,
+      margin: quietZone,
+      errorCorrectionLevel,
+      color: { dark: toColor(fg), light: toColor(bg) }
+    }
+  };
+};
+
+/**
+ * Redimensiona o logo em PNG, centralizado sobre um quadrado na cor de fundo
+ * @param {Buffer} logo
+ * @param {number} logoSize
+ * @param {string} background
+ * @returns {Promise<Buffer>}
+ */
+const prepareLogo = (logo, logoSize, background) => sharp(logo)
+  .resize(logoSize, logoSize, { fit: 'contain', background })
+  .flatten({ background })
+  .png()
+  .toBuffer();
+
+/**
+ * Gera o QR code em PNG ou SVG, com logo opcional no centro. Com logo, a
+ * correção de erros é elevada para H para o código continuar legível.
+ * @param {string} text conteúdo do QR code
+ * @param {object} options resultado de parseQrOptions
+ * @param {Buffer|null} logo imagem do logo
+ * @returns {Promise<{contentType: string, body: Buffer|string}>}
+ */
+export const renderQr = async (text, options, logo = null) => {
+  const { format, ...qrOptions } = options;
+  if (logo) qrOptions.errorCorrectionLevel = 'H';
+
+  const logoSize = Math.round(qrOptions.width * LOGO_RATIO);
+  const logoOffset = Math.round((qrOptions.width - logoSize) / 2);
+
+  if (format === 'svg') {
+    let svg = await QRCode.toString(text, { ...qrOptions, type: 'svg' });
+
+    if (logo) {
+      // O SVG do qrcode usa viewBox em módulos; o logo é posicionado em pixels
+      // num SVG externo com o mesmo tamanho final
+      const logoPng = await prepareLogo(logo, logoSize, qrOptions.color.light);
+      svg = `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${qrOptions.width}" height="${qrOptions.width}" viewBox="0 0 ${qrOptions.width} ${qrOptions.width}">`
+        + svg
+        + `<image x="${logoOffset}" y="${logoOffset}" width="${logoSize}" height="${logoSize}" xlink:href="data:image/png;base64,${logoPng.toString('base64')}"/>`
+        + '</svg>';
+    }
+
+    return { contentType: 'image/svg+xml', body: svg };
+  }
+
+  let png = await QRCode.toBuffer(text, { ...qrOptions, type: 'png' });
+
+  if (logo) {
+    const logoPng = await prepareLogo(logo, logoSize, qrOptions.color.light);
+    png = await sharp(png)
+      .composite([{ input: logoPng, top: logoOffset, left: logoOffset }])
+      .png()
+      .toBuffer();
+  }
+
+  return { contentType: 'image/png', body: png };
+};
@@ -0,0 +1,365 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import supabase from './supabase.js';
+
+const TABLE = 'resumable_uploads';
+const TUS_VERSION = '1.0.0';
+
+// O endpoint TUS do Supabase Storage exige blocos de exatamente 6MB
+// (exceto o último)
+export const CHUNK_SIZE = 6 * 1024 * 1024;
+export const RESUMABLE_MIMETYPES = ['image/jpeg', 'image/png', 'image/webp', 'video/mp4', 'video/quicktime'];
+
+const DEFAULT_MAX_BYTES = 2 * 1024 * 1024 * 1024; // 2GB
+const UPLOAD_TTL_HOURS = 24; // validade das URLs TUS no Supabase
+const VERIFYING_TIMEOUT_HOURS = 6; // conclusão interrompida (ex.: queda do servidor durante a verificação)
+const SHA256_PATTERN = /^[a-f0-9]{64}$/;
+
+const storageUrl = () => `${(process.env.REACT_APP_SUPABASE_URL || process.env.SUPABASE_URL).replace(/\/+$/, '')}/storage/v1`;
+
+const storageHeaders = () => {
+  const key = process.env.REACT_APP_SUPABASE_KEY || process.env.SUPABASE_KEY;
+  return { Authorization: `Bearer ${key}`, apikey: key };
+};
+
+const getMaxBytes = () => Number(process.env.RESUMABLE_UPLOAD_MAX_BYTES) || DEFAULT_MAX_BYTES;
+
+const encodeMetadata = (metadata) => Object.entries(metadata)
+  .map(([key, value]) => `${key} ${Buffer.from(value).toString('base64')}`)
+  .join(',');
+
+const tusRequest = async (url, options) => {
+  const response = await fetch(url, {
+    ...options,
+    headers: { 'Tus-Resumable': TUS_VERSION, ...storageHeaders(), ...options.headers }
+  });
+
+  if (!response.ok) {
+    const detail = await response.text().catch(() => '');
+    const error = new Error(`Storage respondeu ${response.status}${detail ? `: ${detail}` : ''}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  return response;
+};
+
+/**
+ * Valida os dados de início de um upload resumível
+ * @param {object} body name, mimetype, size, sha256
+ * @returns {{upload?: object, error?: string}}
+ */
+export const parseResumableInput = ({ name, mimetype, size, sha256 }) => {
+  if (!name || typeof name !== 'string') {
+    return { error: 'Campo "name" é obrigatório' };
+  }
+
+  if (!RESUMABLE_MIMETYPES.includes(mimetype)) {
+    return { error: `Tipo de arquivo não permitido (use ${RESUMABLE_MIMETYPES.join(', ')})` };
+  }
+
+  const maxBytes = getMaxBytes();
+  if (!Number.isInteger(size) || size < 1 || size > maxBytes) {
+    return { error: `Campo "size" deve ser um inteiro entre 1 e ${maxBytes} bytes` };
+  }
+
+  if (typeof sha256 !== 'string' || !SHA256_PATTERN.test(sha256.toLowerCase())) {
+    return { error: 'Campo "sha256" deve ser o hash SHA-256 do arquivo em hexadecimal' };
+  }
+
+  return { upload: { name, mimetype, size, sha256: sha256.toLowerCase() } };
+};
+
+/**
+ * Cria o upload no endpoint TUS do Supabase Storage e registra em resumable_uploads
+ * @param {{name: string, mimetype: string, size: number, sha256: string}} upload
+ * @param {{bucket: string, path: string, visibility?: string, organizationId: string, createdBy: string}} target
+ * @returns {Promise<object>} linha criada
+ */
+export const createResumableUpload = async ({ name, mimetype, size, sha256 }, { bucket, path: objectPath, visibility = 'public', organizationId, createdBy }) => {
+  const response = await tusRequest(`${storageUrl()}/upload/resumable`, {
+    method: 'POST',
+    headers: {
+      'Upload-Length': String(size),
+      'Upload-Metadata': encodeMetadata({
+        bucketName: bucket,
+        objectName: objectPath,
+        contentType: mimetype,
+        cacheControl: '3600'
+      }),
+      'x-upsert': 'false'
+    }
+  });
+
+  const location = response.headers.get('location');
+  if (!location) throw new Error('Storage não retornou a URL do upload');
+
+  const { data, error } = await supabase
+    .from(TABLE)
+    .insert([{
+      name,
+      mimetype,
+      size,
+      sha256,
+      bucket,
+      path: objectPath,
+      visibility,
+      organization_id: organizationId,
+      tus_url: new URL(location, storageUrl()).toString(),
+      upload_offset: 0,
+      status: 'uploading',
+      created_by: createdBy,
+      expires_at: new Date(Date.now() + UPLOAD_TTL_HOURS * 60 * 60 * 1000).toISOString()
+    }])
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Busca um upload resumível do usuário
+ * @param {string} id
+ * @param {string} createdBy
+ * @returns {Promise<object|null>}
+ */
+export const getResumableUpload = async (id, createdBy) => {
+  const { data, error } = await supabase
+    .from(TABLE)
+    .select('*')
+    .eq('id', id)
+    .eq('created_by', createdBy)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Progresso público de um upload (sem a URL interna do TUS)
+ * @param {object} upload
+ * @returns {object}
+ */
+export const toProgress = (upload) => ({
+  id: upload.id,
+  name: upload.name,
+  mimetype: upload.mimetype,
+  size: upload.size,
+  offset: upload.upload_offset,
+  progress: Math.floor((upload.upload_offset / upload.size) * 1000) / 10,
+  chunk_size: CHUNK_SIZE,
+  status: upload.status,
+  upload_id: upload.upload_id,
+  last_error: upload.last_error,
+  expires_at: upload.expires_at,
+  created_at: upload.created_at,
+  updated_at: upload.updated_at
+});
+
+const updateUpload = async (id, fields, expectedStatus) => {
+  let query = supabase
+    .from(TABLE)
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq('id', id);
+
+  if (expectedStatus) query = query.eq('status', expectedStatus);
+
+  const { data, error } = await query.select().maybeSingle();
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Offset confirmado pelo Storage (fonte da verdade quando o banco ficou
+ * desatualizado, ex.: queda entre o envio do bloco e o registro)
+ * @param {object} upload
+ * @returns {Promise<number>}
+ */
+export const syncOffset = async (upload) => {
+  const response = await tusRequest(upload.tus_url, { method: 'HEAD' });
+  const offset = Number(response.headers.get('upload-offset'));
+
+  if (offset !== upload.upload_offset) {
+    await updateUpload(upload.id, { upload_offset: offset }, 'uploading');
+  }
+  return offset;
+};
+
+/**
+ * Envia um bloco ao Storage. O offset informado pelo cliente precisa
+ * coincidir com o offset atual e o bloco precisa ter CHUNK_SIZE bytes
+ * (exceto o último).
+ * @param {object} upload
+ * @param {number} offset
+ * @param {Buffer} chunk
+ * @param {string} [checksum] cabeçalho Upload-Checksum ("sha256 <base64>")
+ * @returns {Promise<{offset?: number, error?: string, status?: number}>}
+ */
+export const writeChunk = async (upload, offset, chunk, checksum) => {
+  if (offset !== upload.upload_offset) {
+    return { status: 409, error: 'Offset não corresponde ao progresso atual', offset: upload.upload_offset };
+  }
+
+  const remaining = upload.size - offset;
+  const expectedLength = Math.min(CHUNK_SIZE, remaining);
+  if (chunk.length !== expectedLength) {
+    return { status: 400, error: `O bloco deve ter ${expectedLength} bytes` };
+  }
+
+  if (checksum) {
+    const [algorithm, digest] = checksum.split(' ');
+    if (algorithm !== 'sha256' || !digest) {
+      return { status: 400, error: 'Upload-Checksum deve estar no formato "sha256 <base64>"' };
+    }
+    if (crypto.createHash('sha256').update(chunk).digest('base64') !== digest) {
+      return { status: 460, error: 'Checksum do bloco não confere' };
+    }
+  }
+
+  try {
+    const response = await tusRequest(upload.tus_url, {
+      method: 'PATCH',
+      headers: {
+        'Upload-Offset': String(offset),
+        'Content-Type': 'application/offset+octet-stream'
+      },
+      body: chunk
+    });
+
+    const newOffset = Number(response.headers.get('upload-offset'));
+    await updateUpload(upload.id, { upload_offset: newOffset }, 'uploading');
+    return { offset: newOffset };
+  } catch (error) {
+    // Conflito de offset no Storage: devolve o valor real para o cliente retomar
+    if (error.status === 409) {
+      return { status: 409, error: 'Offset não corresponde ao progresso atual', offset: await syncOffset(upload) };
+    }
+    throw error;
+  }
+};
+
+// Baixa o objeto enviado para um arquivo temporário, calculando o SHA-256
+// durante a transferência (sem carregar o arquivo em memória)
+const downloadWithHash = async (upload) => {
+  const response = await fetch(
+    `${storageUrl()}/object/${upload.bucket}/${upload.path}`,
+    { headers: storageHeaders() }
+  );
+
+  if (!response.ok || !response.body) {
+    throw new Error(`Não foi possível ler o arquivo enviado (${response.status})`);
+  }
+
+  const file = path.join(os.tmpdir(), `snapbox-${upload.id}${path.extname(upload.path)}`);
+  const hash = crypto.createHash('sha256');
+
+  await pipeline(
+    Readable.fromWeb(response.body),
+    async function* (source) {
+      for await (const chunk of source) {
+        hash.update(chunk);
+        yield chunk;
+      }
+    },
+    fs.createWriteStream(file)
+  );
+
+  return { file, sha256: hash.digest('hex') };
+};
+
+/**
+ * Confere o SHA-256 do arquivo enviado com o informado no início e, se
+ * conferir, repassa o arquivo temporário para processFile
+ * @param {object} upload
+ * @param {(file: string) => Promise<any>} processFile
+ * @returns {Promise<{valid: boolean, result?: any}>}
+ */
+export const verifyUploadedFile = async (upload, processFile) => {
+  const { file, sha256 } = await downloadWithHash(upload);
+
+  try {
+    if (sha256 !== upload.sha256) return { valid: false };
+    return { valid: true, result: await processFile(file) };
+  } finally {
+    await fs.promises.rm(file, { force: true });
+  }
+};
+
+/**
+ * Marca o upload como concluído ou com falha
+ * @param {string} id
+ * @param {object} fields
+ * @returns {Promise<object|null>}
+ */
+export const finishResumableUpload = (id, fields) => updateUpload(id, fields);
+
+/**
+ * Reserva o upload para conclusão (evita duas conclusões simultâneas)
+ * @param {string} id
+ * @returns {Promise<object|null>} null se o upload não estava em andamento
+ */
+export const claimForCompletion = (id) => updateUpload(id, { status: 'verifying' }, 'uploading');
+
+/**
+ * Cancela um upload no Storage (incluindo o objeto, se já completo) e marca o status
+ * @param {object} upload
+ * @param {'aborted'|'expired'|'failed'} status
+ * @param {string} [lastError]
+ * @returns {Promise<object|null>} null se o status mudou nesse meio-tempo
+ */
+export const abortResumableUpload = async (upload, status = 'aborted', lastError = null) => {
+  try {
+    await tusRequest(upload.tus_url, { method: 'DELETE' });
+  } catch (error) {
+    // Upload já concluído, expirado ou removido no Storage
+    if (![404, 410].includes(error.status)) throw error;
+  }
+
+  const { error: removeError } = await supabase.storage.from(upload.bucket).remove([upload.path]);
+  if (removeError) throw removeError;
+
+  return updateUpload(upload.id, { status, last_error: lastError }, upload.status);
+};
+
+/**
+ * Cancela os uploads abandonados: em andamento e vencidos, ou presos em
+ * verificação há mais de VERIFYING_TIMEOUT_HOURS (uma conclusão em curso não é afetada).
+ * A atualização condicionada ao status evita trabalho duplicado entre instâncias.
+ * @returns {Promise<number>} quantidade de uploads cancelados
+ */
+export const purgeAbandonedUploads = async () => {
+  const now = Date.now();
+
+  const [expired, stuck] = await Promise.all([
+    supabase
+      .from(TABLE)
+      .select('*')
+      .eq('status', 'uploading')
+      .lt('expires_at', new Date(now).toISOString())
+      .limit(100),
+    supabase
+      .from(TABLE)
+      .select('*')
+      .eq('status', 'verifying')
+      .lt('updated_at', new Date(now - VERIFYING_TIMEOUT_HOURS * 60 * 60 * 1000).toISOString())
+      .limit(100)
+  ]);
+
+  if (expired.error) throw expired.error;
+  if (stuck.error) throw stuck.error;
+
+  let purged = 0;
+  for (const upload of [...expired.data, ...stuck.data]) {
+    try {
+      if (await abortResumableUpload(upload, 'expired')) purged++;
+    } catch (err) {
+      console.error(`Erro ao cancelar upload ${upload.id}:`, err.message);
+    }
+  }
+  return purged;
+};
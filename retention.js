@@ -0,0 +1,55 @@
+import supabase from './supabase.js';
+import { DEFAULT_TIMEZONE } from './analytics.js';
+
+/**
+ * Políticas de retenção por tabela: dias mantidos (variável de ambiente) e
+ * tabela com os totais diários preservados após a exclusão. 0 desativa.
+ */
+export const RETENTION_POLICIES = {
+  user_activity: { env: 'USER_ACTIVITY_RETENTION_DAYS', defaultDays: 90, rollupTable: 'user_activity_daily' },
+  url_clicks: { env: 'URL_CLICKS_RETENTION_DAYS', defaultDays: 0, rollupTable: 'url_clicks_daily' }
+};
+
+/**
+ * Dias de retenção configurados para a tabela (0 = mantém tudo)
+ * @param {string} table
+ * @returns {number}
+ */
+export const getRetentionDays = (table) => {
+  const { env, defaultDays } = RETENTION_POLICIES[table];
+  const days = Number(process.env[env]);
+  return process.env[env] !== undefined && Number.isInteger(days) && days >= 0 ? days : defaultDays;
+};
+
+/**
+ * Aplica as políticas de retenção: agrega por dia e apaga as linhas antigas
+ * de cada tabela (função apply_retention). Seguro com várias instâncias: a
+ * tabela em processamento por outra instância volta com status "locked".
+ * @param {{dryRun?: boolean}} [options] dryRun apenas conta o que seria apagado
+ * @returns {Promise<object[]>} resultado por tabela
+ */
+export const applyRetention = async ({ dryRun = false } = {}) => {
+  const results = [];
+
+  for (const [table, { env, rollupTable }] of Object.entries(RETENTION_POLICIES)) {
+    const retentionDays = getRetentionDays(table);
+    const policy = { table, retention_days: retentionDays, setting: env, rollup_table: rollupTable };
+
+    if (!retentionDays) {
+      results.push({ ...policy, status: 'disabled' });
+      continue;
+    }
+
+    const { data, error } = await supabase.rpc('apply_retention', {
+      p_table: table,
+      p_days: retentionDays,
+      p_timezone: DEFAULT_TIMEZONE,
+      p_dry_run: dryRun
+    });
+
+    if (error) throw error;
+    results.push({ ...policy, ...data });
+  }
+
+  return results;
+};
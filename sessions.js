@@ -0,0 +1,202 @@
+import crypto from 'crypto';
+import moment from 'moment-timezone';
+import supabase from './supabase.js';
+import { getMostViewedPath } from './presence.js';
+
+const REFRESH_TOKEN_TTL_DAYS = 7;
+const TIMEZONE = 'America/Sao_Paulo';
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Abre uma sessão (linha em user_activity) para o e-mail informado
+ * @param {string} email
+ * @param {string} organizationId organização em que o usuário entrou
+ * @returns {Promise<object>} linha criada em user_activity
+ */
+export const createSession = async (email, organizationId) => {
+  const { data, error } = await supabase
+    .from('user_activity')
+    .insert([{ email, organization_id: organizationId, login_time: moment().tz(TIMEZONE).format() }])
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Indica se a sessão existe e ainda não foi encerrada
+ * @param {string} sessionId
+ * @returns {Promise<boolean>}
+ */
+export const isSessionActive = async (sessionId) => {
+  const { data, error } = await supabase
+    .from('user_activity')
+    .select('id')
+    .eq('id', sessionId)
+    .is('logout_time', null)
+    .limit(1);
+
+  if (error) throw error;
+  return data.length > 0;
+};
+
+/**
+ * Emite um refresh token para a sessão. Apenas o hash é armazenado.
+ * @param {string} sessionId
+ * @returns {Promise<{id: string, token: string}>}
+ */
+export const issueRefreshToken = async (sessionId) => {
+  const token = crypto.randomBytes(48).toString('base64url');
+  const id = crypto.randomUUID();
+
+  const { error } = await supabase
+    .from('refresh_tokens')
+    .insert([{
+      id,
+      session_id: sessionId,
+      token_hash: hashToken(token),
+      expires_at: moment().add(REFRESH_TOKEN_TTL_DAYS, 'days').toISOString()
+    }]);
+
+  if (error) throw error;
+  return { id, token };
+};
+
+/**
+ * Revoga todos os refresh tokens ainda válidos de uma sessão
+ * @param {string} sessionId
+ */
+const revokeSessionTokens = async (sessionId) => {
+  const { error } = await supabase
+    .from('refresh_tokens')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('session_id', sessionId)
+    .is('revoked_at', null);
+
+  if (error) throw error;
+};
+
+/**
+ * Encerra uma sessão, calcula sua duração e revoga seus refresh tokens.
+ * A página mais vista vem dos heartbeats; o valor em fields só é usado
+ * quando a sessão não registrou nenhuma.
+ * @param {string} sessionId
+ * @param {object} [fields] campos extras de user_activity (ex.: most_viewed_path)
+ * @param {string} [reason] motivo do encerramento ('logout', 'forced', 'token_reuse')
+ * @returns {Promise<boolean>} false se a sessão não existe ou já estava encerrada
+ */
+export const closeSession = async (sessionId, fields = {}, reason = 'logout') => {
+  const { data: session, error } = await supabase
+    .from('user_activity')
+    .select('id, login_time')
+    .eq('id', sessionId)
+    .is('logout_time', null)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!session) return false;
+
+  const logoutTime = moment().tz(TIMEZONE).format();
+  const sessionDuration = Math.floor((moment(logoutTime) - moment(session.login_time)) / 1000);
+  const mostViewedPath = await getMostViewedPath(sessionId);
+
+  const { error: updateError } = await supabase
+    .from('user_activity')
+    .update({
+      ...fields,
+      ...(mostViewedPath && { most_viewed_path: mostViewedPath }),
+      logout_time: logoutTime,
+      last_seen_at: logoutTime,
+      session_duration: sessionDuration,
+      logout_reason: reason
+    })
+    .eq('id', sessionId);
+
+  if (updateError) throw updateError;
+
+  await revokeSessionTokens(sessionId);
+  return true;
+};
+
+/**
+ * Troca um refresh token por um novo (rotação). Reutilizar um token já
+ * trocado indica vazamento: a sessão inteira é encerrada. Sessões
+ * encerradas por inatividade não podem ser renovadas.
+ * @param {string} token
+ * @returns {Promise<{session?: object, refreshToken?: string, error?: 'invalid'|'expired'|'reused'|'closed'}>}
+ */
+export const rotateRefreshToken = async (token) => {
+  const { data: stored, error } = await supabase
+    .from('refresh_tokens')
+    .select('*')
+    .eq('token_hash', hashToken(token))
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!stored) return { error: 'invalid' };
+
+  if (stored.revoked_at) {
+    await closeSession(stored.session_id, {}, 'token_reuse');
+    return { error: 'reused' };
+  }
+
+  if (new Date(stored.expires_at) <= new Date()) return { error: 'expired' };
+
+  const { data: session, error: sessionError } = await supabase
+    .from('user_activity')
+    .select('*')
+    .eq('id', stored.session_id)
+    .maybeSingle();
+
+  if (sessionError) throw sessionError;
+  if (!session || session.logout_time) return { error: 'closed' };
+
+  const next = await issueRefreshToken(session.id);
+
+  // Revoga o token anterior apenas se ninguém o usou em paralelo
+  const { data: revoked, error: revokeError } = await supabase
+    .from('refresh_tokens')
+    .update({ revoked_at: new Date().toISOString(), replaced_by: next.id })
+    .eq('id', stored.id)
+    .is('revoked_at', null)
+    .select('id');
+
+  if (revokeError) throw revokeError;
+
+  if (!revoked.length) {
+    await closeSession(session.id, {}, 'token_reuse');
+    return { error: 'reused' };
+  }
+
+  // A renovação também conta como atividade (clientes sem heartbeat)
+  const { error: touchError } = await supabase
+    .from('user_activity')
+    .update({ last_seen_at: new Date().toISOString() })
+    .eq('id', session.id)
+    .is('logout_time', null);
+
+  if (touchError) throw touchError;
+
+  return { session, refreshToken: next.token };
+};
+
+/**
+ * Lista as sessões abertas de um usuário na organização
+ * @param {string} email
+ * @param {string} organizationId
+ * @returns {Promise<object[]>}
+ */
+export const listActiveSessions = async (email, organizationId) => {
+  const { data, error } = await supabase
+    .from('user_activity')
+    .select('*')
+    .eq('email', email)
+    .eq('organization_id', organizationId)
+    .is('logout_time', null)
+    .order('login_time', { ascending: false });
+
+  if (error) throw error;
+  return data;
+};
@@ -0,0 +1,71 @@
+import crypto from 'crypto';
+import supabase from './supabase.js';
+
+const SLUG_ALPHABET = 'abcdefghijkmnopqrstuvwxyzABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const SLUG_LENGTH = 7;
+const MAX_SLUG_ATTEMPTS = 5;
+
+// Slugs customizados: letras, números, "-" e "_", entre 3 e 64 caracteres
+const CUSTOM_SLUG_PATTERN = /^[a-zA-Z0-9_-]{3,64}$/;
+
+export const SESSION_COOKIE = 'snapbox_sid';
+export const SESSION_COOKIE_MAX_AGE = 30 * 24 * 60 * 60 * 1000; // 30 dias
+
+/**
+ * Gera um slug aleatório sem caracteres ambíguos (0/O, 1/l/I)
+ * @returns {string}
+ */
+export const generateSlug = () => {
+  const bytes = crypto.randomBytes(SLUG_LENGTH);
+  let slug = '';
+  for (const byte of bytes) {
+    slug += SLUG_ALPHABET[byte % SLUG_ALPHABET.length];
+  }
+  return slug;
+};
+
+/**
+ * Valida o formato de um slug customizado
+ * @param {string} slug
+ * @returns {boolean}
+ */
+export const isValidSlug = (slug) => typeof slug === 'string' && CUSTOM_SLUG_PATTERN.test(slug);
+
+/**
+ * Verifica se o slug já está em uso na tabela urls_snapbox
+ * @param {string} slug
+ * @returns {Promise<boolean>}
+ */
+export const isSlugTaken = async (slug) => {
+  const { data, error } = await supabase
+    .from('urls_snapbox')
+    .select('id')
+    .eq('slug', slug)
+    .limit(1);
+
+  if (error) throw error;
+  return data.length > 0;
+};
+
+/**
+ * Gera um slug único, tentando novamente em caso de colisão
+ * @returns {Promise<string>}
+ */
+export const generateUniqueSlug = async () => {
+  for (let attempt = 0; attempt < MAX_SLUG_ATTEMPTS; attempt++) {
+    const slug = generateSlug();
+    if (!(await isSlugTaken(slug))) return slug;
+  }
+  throw new Error('Não foi possível gerar um slug único');
+};
+
+/**
+ * Monta a URL curta pública de um slug
+ * @param {import('express').Request} req
+ * @param {string} slug
+ * @returns {string}
+ */
+export const buildShortUrl = (req, slug) => {
+  const baseUrl = process.env.SHORT_LINK_BASE_URL || `${req.protocol}://${req.get('host')}`;
+  return `${baseUrl.replace(/\/+$/, '')}/r/${slug}`;
+};
@@ -0,0 +1,17 @@
+-- Links curtos: slug único por URL salva e User-Agent dos cliques
+
+alter table urls_snapbox
+  add column if not exists slug text;
+
+-- Gera slugs para os links já existentes
+update urls_snapbox
+set slug = substr(md5(random()::text || id::text), 1, 8)
+where slug is null;
+
+alter table urls_snapbox
+  alter column slug set not null;
+
+create unique index if not exists urls_snapbox_slug_key on urls_snapbox (slug);
+
+alter table url_clicks
+  add column if not exists user_agent text;
@@ -0,0 +1,22 @@
+-- Códigos de verificação de login (hash bcrypt, expiração absoluta e tentativas)
+
+create table if not exists verification_codes (
+  email text primary key,
+  code_hash text not null,
+  expires_at timestamptz not null,
+  attempts integer not null default 0,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists verification_codes_expires_at_idx on verification_codes (expires_at);
+
+-- Incrementa as tentativas de forma atômica e retorna o novo total
+create or replace function increment_verification_attempts(p_email text)
+returns integer
+language sql
+as $$
+  update verification_codes
+  set attempts = attempts + 1
+  where email = p_email
+  returning attempts;
+$$;
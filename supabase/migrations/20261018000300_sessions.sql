@@ -0,0 +1,17 @@
+-- Sessões: refresh tokens rotativos vinculados a user_activity
+
+alter table user_activity
+  add column if not exists logout_reason text;
+
+create table if not exists refresh_tokens (
+  id uuid primary key,
+  session_id bigint not null references user_activity (id) on delete cascade,
+  token_hash text not null unique,
+  expires_at timestamptz not null,
+  revoked_at timestamptz,
+  replaced_by uuid,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists refresh_tokens_session_id_idx on refresh_tokens (session_id);
+create index if not exists user_activity_open_sessions_idx on user_activity (email) where logout_time is null;
@@ -0,0 +1,99 @@
+-- Agregações de /url-performance calculadas no banco
+
+create index if not exists url_clicks_url_id_click_time_idx on url_clicks (url_id, click_time);
+create index if not exists url_conversions_url_id_created_at_idx on url_conversions (url_id, created_at);
+
+-- Totais do período: cliques, sessões únicas e conversões
+create or replace function url_click_stats(
+  p_url_id uuid,
+  p_start timestamptz default null,
+  p_end timestamptz default null
+)
+returns table (total_clicks bigint, unique_visitors bigint, conversions bigint)
+language sql
+stable
+as $$
+  select
+    count(*),
+    count(distinct c.session_id),
+    (
+      select count(*)
+      from url_conversions v
+      where v.url_id = p_url_id
+        and (p_start is null or v.created_at >= p_start)
+        and (p_end is null or v.created_at <= p_end)
+    )
+  from url_clicks c
+  where c.url_id = p_url_id
+    and (p_start is null or c.click_time >= p_start)
+    and (p_end is null or c.click_time <= p_end);
+$$;
+
+-- Série temporal por dia/hora no fuso informado, incluindo intervalos sem cliques
+create or replace function url_click_timeseries(
+  p_url_id uuid,
+  p_start timestamptz default null,
+  p_end timestamptz default null,
+  p_interval text default 'day',
+  p_timezone text default 'America/Sao_Paulo'
+)
+returns table (bucket timestamp, clicks bigint, unique_visitors bigint)
+language sql
+stable
+as $$
+  with filtered as (
+    select c.click_time, c.session_id
+    from url_clicks c
+    where c.url_id = p_url_id
+      and (p_start is null or c.click_time >= p_start)
+      and (p_end is null or c.click_time <= p_end)
+  ),
+  buckets as (
+    select generate_series(
+      date_trunc(p_interval, coalesce(p_start, (select min(click_time) from filtered)) at time zone p_timezone),
+      date_trunc(p_interval, coalesce(p_end, (select max(click_time) from filtered)) at time zone p_timezone),
+      ('1 ' || p_interval)::interval
+    ) as bucket
+  ),
+  counts as (
+    select
+      date_trunc(p_interval, f.click_time at time zone p_timezone) as bucket,
+      count(*) as clicks,
+      count(distinct f.session_id) as unique_visitors
+    from filtered f
+    group by 1
+  )
+  select b.bucket, coalesce(c.clicks, 0), coalesce(c.unique_visitors, 0)
+  from buckets b
+  left join counts c on c.bucket = b.bucket
+  order by b.bucket;
+$$;
+
+-- Distribuição dos cliques por dispositivo ou por domínio de origem
+create or replace function url_click_breakdown(
+  p_url_id uuid,
+  p_dimension text,
+  p_start timestamptz default null,
+  p_end timestamptz default null
+)
+returns table (key text, clicks bigint)
+language sql
+stable
+as $$
+  select
+    case p_dimension
+      when 'device' then coalesce(nullif(c.device_type, ''), 'other')
+      when 'referrer' then coalesce(
+        substring(c.referrer from '^[a-zA-Z][a-zA-Z0-9+.-]*://([^/:?#]+)'),
+        nullif(c.referrer, ''),
+        'direct'
+      )
+    end as key,
+    count(*) as clicks
+  from url_clicks c
+  where c.url_id = p_url_id
+    and (p_start is null or c.click_time >= p_start)
+    and (p_end is null or c.click_time <= p_end)
+  group by 1
+  order by 2 desc;
+$$;
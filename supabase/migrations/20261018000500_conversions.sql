@@ -0,0 +1,34 @@
+-- Conversões: evento nomeado, valor e atribuição ao clique de origem
+
+alter table url_conversions
+  add column if not exists click_id bigint references url_clicks (id) on delete set null,
+  add column if not exists session_id text,
+  add column if not exists event_type text not null default 'conversion',
+  add column if not exists value numeric(12, 2),
+  add column if not exists currency text,
+  add column if not exists external_id text;
+
+create unique index if not exists url_conversions_external_id_key on url_conversions (external_id);
+create index if not exists url_clicks_session_id_click_time_idx on url_clicks (session_id, click_time);
+
+-- Conversões e receita por tipo de evento no período
+create or replace function url_conversion_breakdown(
+  p_url_id uuid,
+  p_start timestamptz default null,
+  p_end timestamptz default null
+)
+returns table (event_type text, conversions bigint, revenue numeric)
+language sql
+stable
+as $$
+  select
+    v.event_type,
+    count(*) as conversions,
+    coalesce(sum(v.value), 0) as revenue
+  from url_conversions v
+  where v.url_id = p_url_id
+    and (p_start is null or v.created_at >= p_start)
+    and (p_end is null or v.created_at <= p_end)
+  group by v.event_type
+  order by 2 desc;
+$$;
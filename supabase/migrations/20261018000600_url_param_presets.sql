@@ -0,0 +1,17 @@
+-- Presets de parâmetros (UTM) para /parametrize-url
+
+create table if not exists url_param_presets (
+  id uuid primary key default gen_random_uuid(),
+  name text not null unique,
+  description text,
+  required_keys text[] not null default '{}',
+  allowed_keys text[],            -- null: qualquer chave é aceita
+  defaults jsonb not null default '{}',
+  normalization jsonb not null default '{"lowercase": true, "whitespace": "_", "strip_accents": true}',
+  created_by text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+alter table urls_snapbox
+  add column if not exists preset_id uuid references url_param_presets (id) on delete set null;
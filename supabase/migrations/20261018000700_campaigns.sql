@@ -0,0 +1,36 @@
+-- Campanhas, tags e histórico de destinos dos links salvos
+
+create table if not exists campaigns (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  client text,
+  brand text,
+  start_date date,
+  end_date date,
+  tags text[] not null default '{}',
+  created_by text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  constraint campaigns_dates_check check (start_date is null or end_date is null or start_date <= end_date)
+);
+
+alter table urls_snapbox
+  add column if not exists campaign_id uuid references campaigns (id) on delete set null,
+  add column if not exists tags text[] not null default '{}',
+  add column if not exists created_by text,
+  add column if not exists updated_at timestamptz;
+
+create index if not exists urls_snapbox_created_at_id_idx on urls_snapbox (created_at desc, id desc);
+create index if not exists urls_snapbox_campaign_id_idx on urls_snapbox (campaign_id);
+create index if not exists urls_snapbox_tags_idx on urls_snapbox using gin (tags);
+
+create table if not exists url_destination_history (
+  id bigint generated by default as identity primary key,
+  url_id uuid not null references urls_snapbox (id) on delete cascade,
+  previous_url text not null,
+  new_url text not null,
+  changed_by text,
+  changed_at timestamptz not null default now()
+);
+
+create index if not exists url_destination_history_url_id_idx on url_destination_history (url_id, changed_at desc);
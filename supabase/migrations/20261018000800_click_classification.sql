@@ -0,0 +1,113 @@
+-- Classificação de cliques pelo User-Agent e exclusão de bots nas métricas
+
+alter table url_clicks
+  add column if not exists os text,
+  add column if not exists browser text,
+  add column if not exists is_bot boolean not null default false;
+
+-- As funções ganham p_include_bots; as versões antigas são removidas para
+-- não haver sobrecarga ambígua no PostgREST
+drop function if exists url_click_stats(uuid, timestamptz, timestamptz);
+drop function if exists url_click_timeseries(uuid, timestamptz, timestamptz, text, text);
+drop function if exists url_click_breakdown(uuid, text, timestamptz, timestamptz);
+
+create or replace function url_click_stats(
+  p_url_id uuid,
+  p_start timestamptz default null,
+  p_end timestamptz default null,
+  p_include_bots boolean default false
+)
+returns table (total_clicks bigint, unique_visitors bigint, conversions bigint, bot_clicks bigint)
+language sql
+stable
+as $$
+  select
+    count(*) filter (where p_include_bots or not c.is_bot),
+    count(distinct c.session_id) filter (where p_include_bots or not c.is_bot),
+    (
+      select count(*)
+      from url_conversions v
+      where v.url_id = p_url_id
+        and (p_start is null or v.created_at >= p_start)
+        and (p_end is null or v.created_at <= p_end)
+    ),
+    count(*) filter (where c.is_bot)
+  from url_clicks c
+  where c.url_id = p_url_id
+    and (p_start is null or c.click_time >= p_start)
+    and (p_end is null or c.click_time <= p_end);
+$$;
+
+create or replace function url_click_timeseries(
+  p_url_id uuid,
+  p_start timestamptz default null,
+  p_end timestamptz default null,
+  p_interval text default 'day',
+  p_timezone text default 'America/Sao_Paulo',
+  p_include_bots boolean default false
+)
+returns table (bucket timestamp, clicks bigint, unique_visitors bigint)
+language sql
+stable
+as $$
+  with filtered as (
+    select c.click_time, c.session_id
+    from url_clicks c
+    where c.url_id = p_url_id
+      and (p_start is null or c.click_time >= p_start)
+      and (p_end is null or c.click_time <= p_end)
+      and (p_include_bots or not c.is_bot)
+  ),
+  buckets as (
+    select generate_series(
+      date_trunc(p_interval, coalesce(p_start, (select min(click_time) from filtered)) at time zone p_timezone),
+      date_trunc(p_interval, coalesce(p_end, (select max(click_time) from filtered)) at time zone p_timezone),
+      ('1 ' || p_interval)::interval
+    ) as bucket
+  ),
+  counts as (
+    select
+      date_trunc(p_interval, f.click_time at time zone p_timezone) as bucket,
+      count(*) as clicks,
+      count(distinct f.session_id) as unique_visitors
+    from filtered f
+    group by 1
+  )
+  select b.bucket, coalesce(c.clicks, 0), coalesce(c.unique_visitors, 0)
+  from buckets b
+  left join counts c on c.bucket = b.bucket
+  order by b.bucket;
+$$;
+
+-- Dimensões: device, referrer (domínio), browser e os
+create or replace function url_click_breakdown(
+  p_url_id uuid,
+  p_dimension text,
+  p_start timestamptz default null,
+  p_end timestamptz default null,
+  p_include_bots boolean default false
+)
+returns table (key text, clicks bigint)
+language sql
+stable
+as $$
+  select
+    case p_dimension
+      when 'device' then coalesce(nullif(c.device_type, ''), 'other')
+      when 'referrer' then coalesce(
+        substring(c.referrer from '^[a-zA-Z][a-zA-Z0-9+.-]*://([^/:?#]+)'),
+        nullif(c.referrer, ''),
+        'direct'
+      )
+      when 'browser' then coalesce(c.browser, 'unknown')
+      when 'os' then coalesce(c.os, 'unknown')
+    end as key,
+    count(*) as clicks
+  from url_clicks c
+  where c.url_id = p_url_id
+    and (p_start is null or c.click_time >= p_start)
+    and (p_end is null or c.click_time <= p_end)
+    and (p_include_bots or not c.is_bot)
+  group by 1
+  order by 2 desc;
+$$;
@@ -0,0 +1,14 @@
+-- Templates de e-mail versionados (cada edição cria uma nova versão)
+
+create table if not exists email_templates (
+  id uuid primary key default gen_random_uuid(),
+  key text not null,
+  version integer not null,
+  subject text not null,
+  html text not null,
+  text text,
+  description text,
+  created_by text,
+  created_at timestamptz not null default now(),
+  unique (key, version)
+);
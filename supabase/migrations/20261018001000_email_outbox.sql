@@ -0,0 +1,51 @@
+-- Fila de envio de e-mails com novas tentativas e status por mensagem
+
+create table if not exists email_outbox (
+  id uuid primary key default gen_random_uuid(),
+  to_addresses text[] not null,
+  subject text not null,
+  html text not null,
+  text text,
+  attachment_ids text[] not null default '{}',
+  template_key text,
+  template_version integer,
+  status text not null default 'queued'
+    check (status in ('queued', 'sending', 'sent', 'failed', 'bounced')),
+  attempts integer not null default 0,
+  max_attempts integer not null default 5,
+  next_attempt_at timestamptz not null default now(),
+  locked_at timestamptz,
+  last_error text,
+  message_id text,
+  created_by text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  sent_at timestamptz
+);
+
+create index if not exists email_outbox_pending_idx on email_outbox (next_attempt_at)
+  where status in ('queued', 'sending');
+
+-- Reserva um lote de e-mails pendentes para envio. "skip locked" impede que
+-- duas instâncias peguem a mesma mensagem; envios travados em "sending" há
+-- mais de p_stale_seconds voltam a ser elegíveis.
+create or replace function claim_email_outbox(p_limit integer, p_stale_seconds integer default 600)
+returns setof email_outbox
+language sql
+as $$
+  update email_outbox
+  set status = 'sending',
+      locked_at = now(),
+      attempts = attempts + 1,
+      updated_at = now()
+  where id in (
+    select id
+    from email_outbox
+    where (status = 'queued' and next_attempt_at <= now())
+       or (status = 'sending' and locked_at < now() - make_interval(secs => p_stale_seconds))
+    order by next_attempt_at
+    limit p_limit
+    for update skip locked
+  )
+  returning *;
+$$;
@@ -0,0 +1,62 @@
+-- Envios de e-mail agendados (data única ou recorrência cron)
+
+create table if not exists email_schedules (
+  id uuid primary key default gen_random_uuid(),
+  to_addresses text[] not null,
+  subject text,
+  html text,
+  text text,
+  template_key text,
+  template_version integer,
+  variables jsonb not null default '{}',
+  attachment_ids text[] not null default '{}',
+  cron_expression text,
+  timezone text not null default 'America/Sao_Paulo',
+  next_run_at timestamptz not null,
+  status text not null default 'scheduled'
+    check (status in ('scheduled', 'completed', 'cancelled')),
+  locked_until timestamptz,
+  last_run_at timestamptz,
+  last_email_id uuid references email_outbox(id) on delete set null,
+  last_error text,
+  run_count integer not null default 0,
+  created_by text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  check (template_key is not null or html is not null)
+);
+
+create index if not exists email_schedules_due_idx on email_schedules (next_run_at)
+  where status = 'scheduled';
+
+-- Cada execução de um agendamento gera no máximo um e-mail na fila
+alter table email_outbox
+  add column if not exists schedule_id uuid references email_schedules(id) on delete set null,
+  add column if not exists scheduled_for timestamptz;
+
+create unique index if not exists email_outbox_schedule_run_idx
+  on email_outbox (schedule_id, scheduled_for)
+  where schedule_id is not null;
+
+-- Reserva os agendamentos vencidos por p_lock_seconds. "skip locked" e a
+-- reserva impedem que duas instâncias executem o mesmo agendamento; se a
+-- instância cair no meio, a reserva expira e outra instância retoma.
+create or replace function claim_due_email_schedules(p_limit integer, p_lock_seconds integer default 300)
+returns setof email_schedules
+language sql
+as $$
+  update email_schedules
+  set locked_until = now() + make_interval(secs => p_lock_seconds),
+      updated_at = now()
+  where id in (
+    select id
+    from email_schedules
+    where status = 'scheduled'
+      and next_run_at <= now()
+      and (locked_until is null or locked_until < now())
+    order by next_run_at
+    limit p_limit
+    for update skip locked
+  )
+  returning *;
+$$;
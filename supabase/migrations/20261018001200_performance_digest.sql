@@ -0,0 +1,127 @@
+-- Resumo periódico de desempenho enviado por e-mail aos administradores
+
+-- Configuração única (uma linha)
+create table if not exists digest_settings (
+  id boolean primary key default true check (id),
+  enabled boolean not null default true,
+  frequency text not null default 'weekly'
+    check (frequency in ('daily', 'weekly', 'monthly')),
+  send_hour integer not null default 8 check (send_hour between 0 and 23),
+  timezone text not null default 'America/Sao_Paulo',
+  extra_recipients text[] not null default '{}',
+  top_links_limit integer not null default 10 check (top_links_limit between 1 and 50),
+  updated_by text,
+  updated_at timestamptz not null default now()
+);
+
+insert into digest_settings (id) values (true) on conflict (id) do nothing;
+
+create table if not exists digest_unsubscribes (
+  email text primary key,
+  created_at timestamptz not null default now()
+);
+
+-- Um envio por período: a chave única impede que duas instâncias mandem
+-- o mesmo resumo
+create table if not exists digest_runs (
+  id uuid primary key default gen_random_uuid(),
+  frequency text not null,
+  period_start timestamptz not null,
+  period_end timestamptz not null,
+  status text not null default 'sending'
+    check (status in ('sending', 'sent', 'failed')),
+  recipients text[] not null default '{}',
+  last_error text,
+  created_at timestamptz not null default now(),
+  unique (frequency, period_start)
+);
+
+-- Totais do período (sem bots); o fim é exclusivo
+create or replace function digest_totals(p_start timestamptz, p_end timestamptz)
+returns table (total_clicks bigint, unique_visitors bigint, conversions bigint)
+language sql
+stable
+as $$
+  select
+    (
+      select count(*)
+      from url_clicks c
+      where c.click_time >= p_start and c.click_time < p_end and not c.is_bot
+    ),
+    (
+      select count(distinct c.session_id)
+      from url_clicks c
+      where c.click_time >= p_start and c.click_time < p_end and not c.is_bot
+    ),
+    (
+      select count(*)
+      from url_conversions v
+      where v.created_at >= p_start and v.created_at < p_end
+    );
+$$;
+
+-- Links com mais cliques no período, com os cliques do período anterior
+-- (p_previous_start até p_start) para comparação
+create or replace function digest_top_links(
+  p_start timestamptz,
+  p_end timestamptz,
+  p_previous_start timestamptz,
+  p_limit integer default 10
+)
+returns table (
+  url_id uuid,
+  name text,
+  slug text,
+  clicks bigint,
+  unique_visitors bigint,
+  conversions bigint,
+  previous_clicks bigint
+)
+language sql
+stable
+as $$
+  with current_clicks as (
+    select c.url_id, count(*) as clicks, count(distinct c.session_id) as unique_visitors
+    from url_clicks c
+    where c.click_time >= p_start and c.click_time < p_end and not c.is_bot
+    group by 1
+  ),
+  previous_clicks as (
+    select c.url_id, count(*) as clicks
+    from url_clicks c
+    where c.click_time >= p_previous_start and c.click_time < p_start and not c.is_bot
+    group by 1
+  ),
+  conversions as (
+    select v.url_id, count(*) as conversions
+    from url_conversions v
+    where v.created_at >= p_start and v.created_at < p_end
+    group by 1
+  )
+  select
+    u.id,
+    u.name,
+    u.slug,
+    cc.clicks,
+    cc.unique_visitors,
+    coalesce(cv.conversions, 0),
+    coalesce(pc.clicks, 0)
+  from current_clicks cc
+  join urls_snapbox u on u.id = cc.url_id
+  left join previous_clicks pc on pc.url_id = cc.url_id
+  left join conversions cv on cv.url_id = cc.url_id
+  order by cc.clicks desc, u.name
+  limit p_limit;
+$$;
+
+create or replace function digest_device_split(p_start timestamptz, p_end timestamptz)
+returns table (key text, clicks bigint)
+language sql
+stable
+as $$
+  select coalesce(nullif(c.device_type, ''), 'other') as key, count(*) as clicks
+  from url_clicks c
+  where c.click_time >= p_start and c.click_time < p_end and not c.is_bot
+  group by 1
+  order by 2 desc;
+$$;
@@ -0,0 +1,13 @@
+-- Metadados de mídia, miniaturas e capa de vídeo dos uploads
+
+alter table uploads
+  add column if not exists width integer,
+  add column if not exists height integer,
+  add column if not exists duration_seconds numeric(10, 3),
+  -- Imagens: valor EXIF (1 a 8); vídeos: rotação em graus
+  add column if not exists orientation smallint,
+  add column if not exists gps_stripped boolean not null default false,
+  -- { "small": { "path", "url", "width", "height" }, "medium": { ... } }
+  add column if not exists thumbnails jsonb,
+  add column if not exists poster_path text,
+  add column if not exists poster_url text;
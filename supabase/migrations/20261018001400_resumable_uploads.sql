@@ -0,0 +1,27 @@
+-- Uploads resumíveis em blocos (repassados ao endpoint TUS do Storage)
+
+create table if not exists resumable_uploads (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  mimetype text not null,
+  size bigint not null check (size > 0),
+  -- Hash informado pelo cliente, conferido na conclusão
+  sha256 text not null,
+  bucket text not null,
+  path text not null unique,
+  tus_url text not null,
+  upload_offset bigint not null default 0,
+  status text not null default 'uploading'
+    check (status in ('uploading', 'verifying', 'completed', 'failed', 'aborted', 'expired')),
+  upload_id bigint references uploads(id) on delete set null,
+  last_error text,
+  created_by text not null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  expires_at timestamptz not null
+);
+
+create index if not exists resumable_uploads_pending_idx on resumable_uploads (expires_at)
+  where status in ('uploading', 'verifying');
+
+create index if not exists resumable_uploads_created_by_idx on resumable_uploads (created_by, created_at desc);
@@ -0,0 +1,38 @@
+-- Biblioteca de arquivos: pastas, tags, busca e deduplicação por SHA-256
+
+create table if not exists asset_folders (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  parent_id uuid references asset_folders(id) on delete restrict,
+  created_by text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+-- Nomes únicos dentro da mesma pasta (na raiz, parent_id é nulo)
+create unique index if not exists asset_folders_name_idx
+  on asset_folders (coalesce(parent_id, '00000000-0000-0000-0000-000000000000'::uuid), lower(name));
+
+-- Nome e tags normalizados para a busca (array_to_string não é imutável)
+create or replace function asset_search_document(p_name text, p_tags text[])
+returns tsvector
+language sql
+immutable
+as $$
+  select to_tsvector('simple', coalesce(p_name, '') || ' ' || coalesce(array_to_string(p_tags, ' '), ''));
+$$;
+
+alter table uploads
+  add column if not exists folder_id uuid references asset_folders(id) on delete set null,
+  add column if not exists tags text[] not null default '{}',
+  add column if not exists sha256 text,
+  add column if not exists updated_at timestamptz not null default now(),
+  add column if not exists search tsvector
+    generated always as (asset_search_document(name, tags)) stored;
+
+-- Arquivos enviados antes desta migração ficam sem hash (não participam da deduplicação)
+create unique index if not exists uploads_sha256_idx on uploads (sha256) where sha256 is not null;
+create index if not exists uploads_folder_idx on uploads (folder_id, created_at desc);
+create index if not exists uploads_tags_idx on uploads using gin (tags);
+create index if not exists uploads_search_idx on uploads using gin (search);
+create index if not exists uploads_mimetype_idx on uploads (mimetype);
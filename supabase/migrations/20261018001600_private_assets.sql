@@ -0,0 +1,14 @@
+-- Arquivos privados: guardados fora de public/ e acessados por URL assinada
+
+alter table uploads
+  add column if not exists visibility text not null default 'public'
+    check (visibility in ('public', 'private'));
+
+-- Arquivos privados não têm URL pública permanente
+alter table uploads alter column url drop not null;
+
+alter table resumable_uploads
+  add column if not exists visibility text not null default 'public'
+    check (visibility in ('public', 'private'));
+
+create index if not exists uploads_visibility_idx on uploads (visibility);
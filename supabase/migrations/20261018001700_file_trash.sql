@@ -0,0 +1,15 @@
+-- Lixeira de arquivos: exclusão lógica com restauração e exclusão definitiva
+-- após o prazo de retenção
+
+alter table uploads
+  add column if not exists deleted_at timestamptz,
+  add column if not exists deleted_by text;
+
+create index if not exists uploads_deleted_at_idx on uploads (deleted_at desc, id desc)
+  where deleted_at is not null;
+
+-- Arquivos na lixeira não participam da deduplicação: o mesmo conteúdo pode
+-- ser enviado de novo enquanto a cópia antiga aguarda a exclusão definitiva
+drop index if exists uploads_sha256_idx;
+create unique index if not exists uploads_sha256_idx on uploads (sha256)
+  where sha256 is not null and deleted_at is null;
@@ -0,0 +1,38 @@
+-- Log de auditoria das ações administrativas e destrutivas (somente inserção)
+
+create table if not exists audit_log (
+  id bigint generated always as identity primary key,
+  actor_email text,
+  action text not null,
+  target_type text,
+  target_id text,
+  before jsonb,
+  after jsonb,
+  ip text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists audit_log_created_idx on audit_log (created_at desc, id desc);
+create index if not exists audit_log_actor_idx on audit_log (actor_email, created_at desc);
+create index if not exists audit_log_action_idx on audit_log (action text_pattern_ops, created_at desc);
+create index if not exists audit_log_target_idx on audit_log (target_type, target_id, created_at desc);
+
+-- Registros não podem ser alterados nem apagados, nem pela chave de serviço
+create or replace function audit_log_append_only()
+returns trigger
+language plpgsql
+as $$
+begin
+  raise exception 'audit_log é somente inserção';
+end;
+$$;
+
+drop trigger if exists audit_log_no_update on audit_log;
+create trigger audit_log_no_update
+  before update or delete on audit_log
+  for each row execute function audit_log_append_only();
+
+drop trigger if exists audit_log_no_truncate on audit_log;
+create trigger audit_log_no_truncate
+  before truncate on audit_log
+  for each statement execute function audit_log_append_only();
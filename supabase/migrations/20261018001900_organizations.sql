@@ -0,0 +1,155 @@
+-- Organizações: domínios de e-mail permitidos, lista de membros (allowlist),
+-- papéis de admin e separação dos dados por organização
+
+create table if not exists organizations (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  -- Domínios cujos e-mails entram na organização (um domínio pertence a uma só)
+  allowed_domains text[] not null default '{}',
+  created_by text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create unique index if not exists organizations_name_idx on organizations (lower(name));
+create index if not exists organizations_domains_idx on organizations using gin (allowed_domains);
+
+-- E-mails liberados fora dos domínios da organização (ex.: freelancers)
+create table if not exists organization_members (
+  organization_id uuid not null references organizations(id) on delete cascade,
+  email text not null check (email = lower(email)),
+  created_by text,
+  created_at timestamptz not null default now(),
+  primary key (organization_id, email)
+);
+
+create index if not exists organization_members_email_idx on organization_members (email);
+
+-- Organização inicial com o domínio que era fixo no código
+insert into organizations (name, allowed_domains)
+select 'FCB Health', '{fcbhealth.com}'
+where not exists (select 1 from organizations);
+
+-- Admins: um registro por e-mail, com papel e organização opcional.
+-- Os admins existentes viram proprietários (gerenciam admins e organizações).
+delete from admins a
+  using admins b
+  where a.ctid < b.ctid and lower(a.email) = lower(b.email);
+
+update admins set email = lower(trim(email)) where email <> lower(trim(email));
+
+alter table admins
+  add column if not exists role text not null default 'owner',
+  add column if not exists organization_id uuid references organizations(id) on delete cascade,
+  add column if not exists created_at timestamptz not null default now();
+
+alter table admins alter column role set default 'admin';
+alter table admins drop constraint if exists admins_role_check;
+alter table admins add constraint admins_role_check check (role in ('owner', 'admin'));
+-- Proprietários valem para todas as organizações
+alter table admins drop constraint if exists admins_owner_scope_check;
+alter table admins add constraint admins_owner_scope_check check (role = 'admin' or organization_id is null);
+
+create unique index if not exists admins_email_idx on admins (email);
+
+-- Dados por organização (os existentes ficam com a organização inicial)
+alter table urls_snapbox add column if not exists organization_id uuid references organizations(id) on delete restrict;
+alter table campaigns add column if not exists organization_id uuid references organizations(id) on delete restrict;
+alter table uploads add column if not exists organization_id uuid references organizations(id) on delete restrict;
+alter table asset_folders add column if not exists organization_id uuid references organizations(id) on delete restrict;
+alter table resumable_uploads add column if not exists organization_id uuid references organizations(id) on delete cascade;
+alter table user_activity add column if not exists organization_id uuid references organizations(id) on delete set null;
+-- Sem chave estrangeira: o log de auditoria não pode ser alterado
+alter table audit_log add column if not exists organization_id uuid;
+
+update urls_snapbox set organization_id = (select id from organizations order by created_at limit 1) where organization_id is null;
+update campaigns set organization_id = (select id from organizations order by created_at limit 1) where organization_id is null;
+update uploads set organization_id = (select id from organizations order by created_at limit 1) where organization_id is null;
+update asset_folders set organization_id = (select id from organizations order by created_at limit 1) where organization_id is null;
+update resumable_uploads set organization_id = (select id from organizations order by created_at limit 1) where organization_id is null;
+update user_activity set organization_id = (select id from organizations order by created_at limit 1) where organization_id is null;
+
+alter table urls_snapbox alter column organization_id set not null;
+alter table campaigns alter column organization_id set not null;
+alter table uploads alter column organization_id set not null;
+alter table asset_folders alter column organization_id set not null;
+alter table resumable_uploads alter column organization_id set not null;
+
+create index if not exists urls_snapbox_organization_idx on urls_snapbox (organization_id, created_at desc);
+create index if not exists campaigns_organization_idx on campaigns (organization_id);
+create index if not exists uploads_organization_idx on uploads (organization_id, created_at desc);
+create index if not exists user_activity_organization_idx on user_activity (organization_id, login_time desc);
+create index if not exists audit_log_organization_idx on audit_log (organization_id, created_at desc);
+
+-- Nomes de pasta e deduplicação passam a valer dentro de cada organização
+drop index if exists asset_folders_name_idx;
+create unique index if not exists asset_folders_name_idx
+  on asset_folders (organization_id, coalesce(parent_id, '00000000-0000-0000-0000-000000000000'::uuid), lower(name));
+
+drop index if exists uploads_sha256_idx;
+create unique index if not exists uploads_sha256_idx on uploads (organization_id, sha256)
+  where sha256 is not null and deleted_at is null;
+
+-- Remove um admin sem deixar o sistema sem admins ou sem proprietários.
+-- A trava serializa alterações concorrentes (dois proprietários removendo um ao outro).
+create or replace function remove_admin(p_email text)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_admin admins;
+begin
+  perform pg_advisory_xact_lock(hashtext('admins'));
+
+  select * into v_admin from admins where email = p_email;
+  if not found then
+    return jsonb_build_object('status', 'not_found');
+  end if;
+
+  if not exists (select 1 from admins where email <> p_email) then
+    return jsonb_build_object('status', 'last_admin');
+  end if;
+
+  if v_admin.role = 'owner' and not exists (
+    select 1 from admins where role = 'owner' and email <> p_email
+  ) then
+    return jsonb_build_object('status', 'last_owner');
+  end if;
+
+  delete from admins where email = p_email;
+  return jsonb_build_object('status', 'removed', 'admin', to_jsonb(v_admin));
+end;
+$$;
+
+-- Altera o papel de um admin. Promover a proprietário remove o vínculo com a
+-- organização; rebaixar o último proprietário é bloqueado.
+create or replace function set_admin_role(p_email text, p_role text)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_before admins;
+  v_after admins;
+begin
+  perform pg_advisory_xact_lock(hashtext('admins'));
+
+  select * into v_before from admins where email = p_email;
+  if not found then
+    return jsonb_build_object('status', 'not_found');
+  end if;
+
+  if v_before.role = 'owner' and p_role <> 'owner' and not exists (
+    select 1 from admins where role = 'owner' and email <> p_email
+  ) then
+    return jsonb_build_object('status', 'last_owner');
+  end if;
+
+  update admins
+    set role = p_role,
+        organization_id = case when p_role = 'owner' then null else organization_id end
+    where email = p_email
+    returning * into v_after;
+
+  return jsonb_build_object('status', 'updated', 'before', to_jsonb(v_before), 'after', to_jsonb(v_after));
+end;
+$$;
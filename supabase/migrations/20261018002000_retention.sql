@@ -0,0 +1,139 @@
+-- Retenção de dados: linhas antigas de user_activity e url_clicks são
+-- agregadas por dia antes de serem apagadas
+
+create table if not exists user_activity_daily (
+  day date not null,
+  organization_id uuid references organizations(id) on delete cascade,
+  email text not null,
+  sessions bigint not null default 0,
+  session_seconds bigint not null default 0,
+  updated_at timestamptz not null default now()
+);
+
+-- Sessões sem organização (organização excluída) também são agregadas
+create unique index if not exists user_activity_daily_key_idx
+  on user_activity_daily (day, organization_id, email) nulls not distinct;
+create index if not exists user_activity_daily_organization_idx on user_activity_daily (organization_id, day desc);
+
+create table if not exists url_clicks_daily (
+  day date not null,
+  url_id uuid not null references urls_snapbox(id) on delete cascade,
+  clicks bigint not null default 0,
+  bot_clicks bigint not null default 0,
+  unique_visitors bigint not null default 0,
+  updated_at timestamptz not null default now(),
+  primary key (url_id, day)
+);
+
+create index if not exists user_activity_login_time_idx on user_activity (login_time) where logout_time is not null;
+create index if not exists url_clicks_click_time_idx on url_clicks (click_time);
+
+-- Agrega e apaga as linhas anteriores ao corte (início do dia, no fuso
+-- informado, p_days dias atrás). Sessões abertas nunca são apagadas: entram
+-- na agregação do dia de login quando forem encerradas.
+-- Agregação e exclusão acontecem na mesma transação; a trava impede que duas
+-- instâncias processem a mesma tabela ao mesmo tempo (a segunda recebe "locked").
+-- Com p_dry_run, apenas conta o que seria apagado.
+create or replace function apply_retention(
+  p_table text,
+  p_days integer,
+  p_timezone text default 'America/Sao_Paulo',
+  p_dry_run boolean default false
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_cutoff timestamptz;
+  v_rows bigint;
+  v_days bigint;
+  v_oldest timestamptz;
+begin
+  if p_table not in ('user_activity', 'url_clicks') then
+    raise exception 'Tabela sem política de retenção: %', p_table;
+  end if;
+  if p_days is null or p_days < 1 then
+    raise exception 'Retenção inválida: %', p_days;
+  end if;
+
+  v_cutoff := (date_trunc('day', now() at time zone p_timezone) - make_interval(days => p_days)) at time zone p_timezone;
+
+  if p_dry_run then
+    if p_table = 'user_activity' then
+      select count(*), count(distinct (login_time at time zone p_timezone)::date), min(login_time)
+        into v_rows, v_days, v_oldest
+        from user_activity
+        where login_time < v_cutoff and logout_time is not null;
+    else
+      select count(*), count(distinct (click_time at time zone p_timezone)::date), min(click_time)
+        into v_rows, v_days, v_oldest
+        from url_clicks
+        where click_time < v_cutoff;
+    end if;
+
+    return jsonb_build_object(
+      'status', 'dry_run', 'table', p_table, 'cutoff', v_cutoff,
+      'rows', v_rows, 'days', v_days, 'oldest', v_oldest
+    );
+  end if;
+
+  if not pg_try_advisory_xact_lock(hashtext('retention:' || p_table)) then
+    return jsonb_build_object('status', 'locked', 'table', p_table, 'cutoff', v_cutoff);
+  end if;
+
+  if p_table = 'user_activity' then
+    with purged as (
+      delete from user_activity
+      where login_time < v_cutoff and logout_time is not null
+      returning login_time, organization_id, email, session_duration
+    ),
+    rolled_up as (
+      insert into user_activity_daily as d (day, organization_id, email, sessions, session_seconds)
+      select (login_time at time zone p_timezone)::date, organization_id, lower(email), count(*), coalesce(sum(session_duration), 0)
+      from purged
+      where email is not null
+      group by 1, 2, 3
+      on conflict (day, organization_id, email) do update
+        set sessions = d.sessions + excluded.sessions,
+            session_seconds = d.session_seconds + excluded.session_seconds,
+            updated_at = now()
+      returning 1
+    )
+    select count(*), count(distinct (login_time at time zone p_timezone)::date), min(login_time)
+      into v_rows, v_days, v_oldest
+      from purged;
+  else
+    with purged as (
+      delete from url_clicks
+      where click_time < v_cutoff
+      returning click_time, url_id, session_id, is_bot
+    ),
+    rolled_up as (
+      insert into url_clicks_daily as d (day, url_id, clicks, bot_clicks, unique_visitors)
+      select
+        (click_time at time zone p_timezone)::date,
+        url_id,
+        count(*) filter (where not is_bot),
+        count(*) filter (where is_bot),
+        count(distinct session_id) filter (where not is_bot)
+      from purged
+      where url_id is not null
+      group by 1, 2
+      on conflict (url_id, day) do update
+        set clicks = d.clicks + excluded.clicks,
+            bot_clicks = d.bot_clicks + excluded.bot_clicks,
+            unique_visitors = d.unique_visitors + excluded.unique_visitors,
+            updated_at = now()
+      returning 1
+    )
+    select count(*), count(distinct (click_time at time zone p_timezone)::date), min(click_time)
+      into v_rows, v_days, v_oldest
+      from purged;
+  end if;
+
+  return jsonb_build_object(
+    'status', 'purged', 'table', p_table, 'cutoff', v_cutoff,
+    'rows', v_rows, 'days', v_days, 'oldest', v_oldest
+  );
+end;
+$$;
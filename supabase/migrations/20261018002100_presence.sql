@@ -0,0 +1,173 @@
+-- Presença: heartbeat das sessões, encerramento por inatividade e
+-- histórico de páginas vistas
+
+alter table user_activity
+  add column if not exists last_seen_at timestamptz default now(),
+  add column if not exists current_path text;
+
+update user_activity set last_seen_at = coalesce(logout_time, login_time) where last_seen_at is null;
+
+create index if not exists user_activity_last_seen_idx
+  on user_activity (coalesce(last_seen_at, login_time)) where logout_time is null;
+
+-- Uma linha por navegação (mudança de página informada pelo heartbeat).
+-- Apagadas junto com a sessão pela retenção de user_activity.
+create table if not exists page_views (
+  id bigint generated by default as identity primary key,
+  session_id bigint not null references user_activity(id) on delete cascade,
+  organization_id uuid references organizations(id) on delete cascade,
+  email text not null,
+  path text not null,
+  viewed_at timestamptz not null default now()
+);
+
+create index if not exists page_views_session_idx on page_views (session_id);
+create index if not exists page_views_organization_idx on page_views (organization_id, email, viewed_at desc);
+
+-- Atualiza o último sinal da sessão e registra uma página vista quando o
+-- caminho muda. A linha da sessão fica travada para heartbeats simultâneos.
+create or replace function record_heartbeat(p_session_id bigint, p_path text)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_session user_activity;
+  v_page_view boolean := false;
+begin
+  select * into v_session
+    from user_activity
+    where id = p_session_id and logout_time is null
+    for update;
+
+  if not found then
+    return jsonb_build_object('status', 'closed');
+  end if;
+
+  update user_activity
+    set last_seen_at = now(), current_path = p_path
+    where id = p_session_id;
+
+  if v_session.current_path is distinct from p_path then
+    insert into page_views (session_id, organization_id, email, path)
+    values (p_session_id, v_session.organization_id, lower(v_session.email), p_path);
+    v_page_view := true;
+  end if;
+
+  return jsonb_build_object('status', 'ok', 'last_seen_at', now(), 'page_view', v_page_view);
+end;
+$$;
+
+-- Páginas vistas por usuário e caminho (todos os filtros são opcionais)
+create or replace function page_view_histogram(
+  p_organization_id uuid default null,
+  p_email text default null,
+  p_session_id bigint default null,
+  p_start timestamptz default null,
+  p_end timestamptz default null
+)
+returns table (email text, path text, views bigint, last_viewed_at timestamptz)
+language sql
+stable
+as $$
+  select v.email, v.path, count(*), max(v.viewed_at)
+  from page_views v
+  where (p_organization_id is null or v.organization_id = p_organization_id)
+    and (p_email is null or v.email = lower(p_email))
+    and (p_session_id is null or v.session_id = p_session_id)
+    and (p_start is null or v.viewed_at >= p_start)
+    and (p_end is null or v.viewed_at <= p_end)
+  group by v.email, v.path
+  order by 3 desc, 4 desc;
+$$;
+
+-- Encerra as sessões sem heartbeat há p_idle_seconds. A duração vai até o
+-- último sinal (não até agora) e os refresh tokens são revogados.
+-- SKIP LOCKED deixa cada sessão para uma única instância.
+create or replace function close_idle_sessions(p_idle_seconds integer)
+returns integer
+language sql
+as $$
+  with idle as (
+    select id
+    from user_activity
+    where logout_time is null
+      and coalesce(last_seen_at, login_time) < now() - make_interval(secs => p_idle_seconds)
+    for update skip locked
+  ),
+  closed as (
+    update user_activity u
+      set logout_time = coalesce(u.last_seen_at, u.login_time),
+          session_duration = greatest(0, extract(epoch from coalesce(u.last_seen_at, u.login_time) - u.login_time))::integer,
+          logout_reason = 'idle',
+          most_viewed_path = coalesce(
+            (select h.path from page_view_histogram(p_session_id => u.id) h limit 1),
+            u.most_viewed_path
+          )
+      from idle
+      where u.id = idle.id
+      returning u.id
+  ),
+  revoked as (
+    update refresh_tokens
+      set revoked_at = now()
+      where session_id in (select id from closed) and revoked_at is null
+      returning 1
+  )
+  select count(*)::integer from closed;
+$$;
+
+-- Métricas de /admin-stats agregadas no banco: sessões do período (inclusive
+-- os totais diários preservados pela retenção) e usuários online agora
+create or replace function admin_activity_stats(
+  p_organization_id uuid,
+  p_start timestamptz default null,
+  p_end timestamptz default null,
+  p_online_seconds integer default 120,
+  p_timezone text default 'America/Sao_Paulo'
+)
+returns jsonb
+language sql
+stable
+as $$
+  with sessions as (
+    select
+      lower(a.email) as email,
+      1::bigint as sessions,
+      coalesce(
+        a.session_duration,
+        greatest(0, extract(epoch from coalesce(a.last_seen_at, a.login_time) - a.login_time))::bigint
+      ) as seconds
+    from user_activity a
+    where a.organization_id = p_organization_id
+      and (p_start is null or a.login_time >= p_start)
+      and (p_end is null or a.login_time <= p_end)
+    union all
+    select d.email, d.sessions, d.session_seconds
+    from user_activity_daily d
+    where d.organization_id = p_organization_id
+      and (p_start is null or d.day >= (p_start at time zone p_timezone)::date)
+      and (p_end is null or d.day <= (p_end at time zone p_timezone)::date)
+  ),
+  per_user as (
+    select email, sum(sessions) as sessions, sum(seconds) as seconds
+    from sessions
+    group by email
+  )
+  select jsonb_build_object(
+    'total_users', (select count(*) from per_user),
+    'total_sessions', (select coalesce(sum(sessions), 0) from per_user),
+    'online_users', (
+      select count(distinct lower(a.email))
+      from user_activity a
+      where a.organization_id = p_organization_id
+        and a.logout_time is null
+        and coalesce(a.last_seen_at, a.login_time) >= now() - make_interval(secs => p_online_seconds)
+    ),
+    'most_active_user', (
+      select jsonb_build_object('email', email, 'session_seconds', seconds)
+      from per_user
+      order by seconds desc, email
+      limit 1
+    )
+  );
+$$;
@@ -0,0 +1,78 @@
+-- Feeds ao vivo (SSE): eventos de login/logout e leitura incremental de cliques.
+-- Os IDs sequenciais servem de Last-Event-ID, então qualquer instância
+-- consegue retomar o feed de onde o cliente parou.
+
+create table if not exists activity_events (
+  id bigint generated by default as identity primary key,
+  -- Apagados junto com a sessão pela retenção de user_activity
+  session_id bigint not null references user_activity(id) on delete cascade,
+  organization_id uuid,
+  email text not null,
+  type text not null check (type in ('login', 'logout')),
+  reason text,
+  session_duration integer,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists activity_events_organization_idx on activity_events (organization_id, id);
+
+create or replace function record_activity_event()
+returns trigger
+language plpgsql
+as $$
+begin
+  if tg_op = 'INSERT' then
+    insert into activity_events (session_id, organization_id, email, type, created_at)
+    values (new.id, new.organization_id, lower(new.email), 'login', coalesce(new.login_time, now()));
+  elsif old.logout_time is null and new.logout_time is not null then
+    insert into activity_events (session_id, organization_id, email, type, reason, session_duration, created_at)
+    values (new.id, new.organization_id, lower(new.email), 'logout', new.logout_reason, new.session_duration, now());
+  end if;
+  return null;
+end;
+$$;
+
+drop trigger if exists user_activity_events on user_activity;
+create trigger user_activity_events
+  after insert or update of logout_time on user_activity
+  for each row execute function record_activity_event();
+
+-- Cliques com ID maior que p_after, com a organização e a campanha do link.
+-- Sem filtros é a leitura compartilhada do feed; com filtros, o replay de
+-- um cliente que reconectou.
+create or replace function click_events_after(
+  p_after bigint,
+  p_limit integer default 500,
+  p_organization_id uuid default null,
+  p_url_id uuid default null,
+  p_campaign_id uuid default null,
+  p_include_bots boolean default true
+)
+returns table (
+  id bigint,
+  url_id uuid,
+  campaign_id uuid,
+  organization_id uuid,
+  click_time timestamptz,
+  device_type text,
+  os text,
+  browser text,
+  is_bot boolean,
+  referrer text
+)
+language sql
+stable
+as $$
+  select c.id, c.url_id, u.campaign_id, u.organization_id, c.click_time,
+         c.device_type, c.os, c.browser, c.is_bot,
+         coalesce(substring(c.referrer from '^[a-zA-Z][a-zA-Z0-9+.-]*://([^/:?#]+)'), nullif(c.referrer, ''), 'direct')
+  from url_clicks c
+  join urls_snapbox u on u.id = c.url_id
+  where c.id > p_after
+    and (p_organization_id is null or u.organization_id = p_organization_id)
+    and (p_url_id is null or c.url_id = p_url_id)
+    and (p_campaign_id is null or u.campaign_id = p_campaign_id)
+    and (p_include_bots or not c.is_bot)
+  order by c.id
+  limit p_limit;
+$$;
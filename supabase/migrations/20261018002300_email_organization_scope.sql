@@ -0,0 +1,14 @@
+-- Agendamentos e fila de e-mails por organização. E-mails do sistema
+-- (código de verificação, resumo) ficam sem organização.
+
+alter table email_schedules add column if not exists organization_id uuid references organizations(id) on delete cascade;
+alter table email_outbox add column if not exists organization_id uuid references organizations(id) on delete set null;
+
+update email_schedules set organization_id = (select id from organizations order by created_at limit 1) where organization_id is null;
+update email_outbox set organization_id = (select id from organizations order by created_at limit 1)
+  where organization_id is null and created_by is not null;
+
+alter table email_schedules alter column organization_id set not null;
+
+create index if not exists email_schedules_organization_idx on email_schedules (organization_id, created_at desc);
+create index if not exists email_outbox_organization_idx on email_outbox (organization_id);
@@ -0,0 +1,10 @@
+-- Códigos de verificação passam a ser enviados sem a fila: remove o corpo
+-- (com o código em texto) das mensagens que já foram enfileiradas
+update email_outbox
+  set html = '', text = null, updated_at = now()
+  where template_key = 'verification-code' and html <> '';
+
+-- Códigos ainda pendentes já expiraram ou vão expirar antes de um novo envio
+update email_outbox
+  set status = 'failed', last_error = 'Código de verificação não é reenviado pela fila', updated_at = now()
+  where template_key = 'verification-code' and status in ('queued', 'sending');
@@ -0,0 +1,29 @@
+-- Tentativas de código reservadas antes da comparação e bloqueio que não é
+-- zerado ao pedir um novo código
+
+alter table verification_codes add column if not exists locked_until timestamptz;
+
+-- Reserva uma tentativa de forma atômica e retorna o total. Ao atingir
+-- p_max_attempts o e-mail fica bloqueado por p_lockout_seconds; durante o
+-- bloqueio nada é reservado (retorna null).
+create or replace function reserve_verification_attempt(
+  p_email text,
+  p_max_attempts integer,
+  p_lockout_seconds integer
+)
+returns integer
+language sql
+as $$
+  update verification_codes
+  set attempts = attempts + 1,
+      locked_until = case
+        when attempts + 1 >= p_max_attempts then now() + make_interval(secs => p_lockout_seconds)
+        else locked_until
+      end
+  where email = p_email
+    and attempts < p_max_attempts
+    and (locked_until is null or locked_until <= now())
+  returning attempts;
+$$;
+
+drop function if exists increment_verification_attempts(text);
@@ -0,0 +1,25 @@
+-- Arquivos privados em um bucket sem leitura pública. Antes ficavam em
+-- private/ do bucket público "images", acessíveis por quem soubesse o caminho.
+-- Os arquivos já enviados são movidos pelo servidor (movePrivateFilesToPrivateBucket).
+
+alter table uploads
+  add column if not exists bucket text not null default 'images';
+
+-- Com PRIVATE_BUCKET_NAME definido, crie o bucket com o nome configurado
+do $$
+begin
+  if to_regclass('storage.buckets') is not null then
+    insert into storage.buckets (id, name, public)
+    values ('images-private', 'images-private', false)
+    on conflict (id) do update set public = false;
+  end if;
+end;
+$$;
+
+create index if not exists uploads_private_bucket_idx on uploads (bucket) where visibility = 'private';
+
+-- A deduplicação considera a visibilidade: um envio privado não pode
+-- devolver o arquivo público com o mesmo conteúdo
+drop index if exists uploads_sha256_idx;
+create unique index if not exists uploads_sha256_idx on uploads (organization_id, visibility, sha256)
+  where sha256 is not null and deleted_at is null;
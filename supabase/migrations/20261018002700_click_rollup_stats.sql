@@ -0,0 +1,212 @@
+-- Métricas de cliques incluem os totais diários preservados pela retenção
+-- (url_clicks_daily), como admin_activity_stats faz com user_activity_daily.
+-- Os totais diários não têm hora nem dispositivo: entram no início do dia na
+-- série temporal e ficam fora da divisão por dispositivo. Visitantes únicos
+-- são somados dia a dia.
+
+drop function if exists url_click_stats(uuid, timestamptz, timestamptz, boolean);
+
+create or replace function url_click_stats(
+  p_url_id uuid,
+  p_start timestamptz default null,
+  p_end timestamptz default null,
+  p_include_bots boolean default false,
+  p_timezone text default 'America/Sao_Paulo'
+)
+returns table (total_clicks bigint, unique_visitors bigint, conversions bigint, bot_clicks bigint)
+language sql
+stable
+as $$
+  with raw as (
+    select
+      count(*) filter (where p_include_bots or not c.is_bot) as clicks,
+      count(distinct c.session_id) filter (where p_include_bots or not c.is_bot) as unique_visitors,
+      count(*) filter (where c.is_bot) as bot_clicks
+    from url_clicks c
+    where c.url_id = p_url_id
+      and (p_start is null or c.click_time >= p_start)
+      and (p_end is null or c.click_time <= p_end)
+  ),
+  rolled_up as (
+    select
+      coalesce(sum(d.clicks + case when p_include_bots then d.bot_clicks else 0 end), 0) as clicks,
+      coalesce(sum(d.unique_visitors), 0) as unique_visitors,
+      coalesce(sum(d.bot_clicks), 0) as bot_clicks
+    from url_clicks_daily d
+    where d.url_id = p_url_id
+      and (p_start is null or d.day >= (p_start at time zone p_timezone)::date)
+      and (p_end is null or d.day <= (p_end at time zone p_timezone)::date)
+  )
+  select
+    (r.clicks + d.clicks)::bigint,
+    (r.unique_visitors + d.unique_visitors)::bigint,
+    (
+      select count(*)
+      from url_conversions v
+      where v.url_id = p_url_id
+        and (p_start is null or v.created_at >= p_start)
+        and (p_end is null or v.created_at <= p_end)
+    ),
+    (r.bot_clicks + d.bot_clicks)::bigint
+  from raw r, rolled_up d;
+$$;
+
+create or replace function url_click_timeseries(
+  p_url_id uuid,
+  p_start timestamptz default null,
+  p_end timestamptz default null,
+  p_interval text default 'day',
+  p_timezone text default 'America/Sao_Paulo',
+  p_include_bots boolean default false
+)
+returns table (bucket timestamp, clicks bigint, unique_visitors bigint)
+language sql
+stable
+as $$
+  with points as (
+    select
+      date_trunc(p_interval, c.click_time at time zone p_timezone) as bucket,
+      count(*) as clicks,
+      count(distinct c.session_id) as unique_visitors
+    from url_clicks c
+    where c.url_id = p_url_id
+      and (p_start is null or c.click_time >= p_start)
+      and (p_end is null or c.click_time <= p_end)
+      and (p_include_bots or not c.is_bot)
+    group by 1
+    union all
+    select
+      date_trunc(p_interval, d.day::timestamp),
+      d.clicks + case when p_include_bots then d.bot_clicks else 0 end,
+      d.unique_visitors
+    from url_clicks_daily d
+    where d.url_id = p_url_id
+      and (p_start is null or d.day >= (p_start at time zone p_timezone)::date)
+      and (p_end is null or d.day <= (p_end at time zone p_timezone)::date)
+  ),
+  counts as (
+    select bucket, sum(clicks)::bigint as clicks, sum(unique_visitors)::bigint as unique_visitors
+    from points
+    group by 1
+  ),
+  buckets as (
+    select generate_series(
+      coalesce(date_trunc(p_interval, p_start at time zone p_timezone), (select min(bucket) from counts)),
+      coalesce(date_trunc(p_interval, p_end at time zone p_timezone), (select max(bucket) from counts)),
+      ('1 ' || p_interval)::interval
+    ) as bucket
+  )
+  select b.bucket, coalesce(c.clicks, 0), coalesce(c.unique_visitors, 0)
+  from buckets b
+  left join counts c on c.bucket = b.bucket
+  order by b.bucket;
+$$;
+
+drop function if exists digest_totals(timestamptz, timestamptz);
+drop function if exists digest_top_links(timestamptz, timestamptz, timestamptz, integer);
+
+-- Totais do período (sem bots); o fim é exclusivo
+create or replace function digest_totals(
+  p_start timestamptz,
+  p_end timestamptz,
+  p_timezone text default 'America/Sao_Paulo'
+)
+returns table (total_clicks bigint, unique_visitors bigint, conversions bigint)
+language sql
+stable
+as $$
+  with raw as (
+    select count(*) as clicks, count(distinct c.session_id) as unique_visitors
+    from url_clicks c
+    where c.click_time >= p_start and c.click_time < p_end and not c.is_bot
+  ),
+  rolled_up as (
+    select coalesce(sum(d.clicks), 0) as clicks, coalesce(sum(d.unique_visitors), 0) as unique_visitors
+    from url_clicks_daily d
+    where d.day >= (p_start at time zone p_timezone)::date
+      and d.day < (p_end at time zone p_timezone)::date
+  )
+  select
+    (r.clicks + d.clicks)::bigint,
+    (r.unique_visitors + d.unique_visitors)::bigint,
+    (
+      select count(*)
+      from url_conversions v
+      where v.created_at >= p_start and v.created_at < p_end
+    )
+  from raw r, rolled_up d;
+$$;
+
+-- Links com mais cliques no período, com os cliques do período anterior
+-- (p_previous_start até p_start) para comparação
+create or replace function digest_top_links(
+  p_start timestamptz,
+  p_end timestamptz,
+  p_previous_start timestamptz,
+  p_limit integer default 10,
+  p_timezone text default 'America/Sao_Paulo'
+)
+returns table (
+  url_id uuid,
+  name text,
+  slug text,
+  clicks bigint,
+  unique_visitors bigint,
+  conversions bigint,
+  previous_clicks bigint
+)
+language sql
+stable
+as $$
+  with current_clicks as (
+    select s.url_id, sum(s.clicks)::bigint as clicks, sum(s.unique_visitors)::bigint as unique_visitors
+    from (
+      select c.url_id, count(*) as clicks, count(distinct c.session_id) as unique_visitors
+      from url_clicks c
+      where c.click_time >= p_start and c.click_time < p_end and not c.is_bot
+      group by 1
+      union all
+      select d.url_id, d.clicks, d.unique_visitors
+      from url_clicks_daily d
+      where d.day >= (p_start at time zone p_timezone)::date
+        and d.day < (p_end at time zone p_timezone)::date
+    ) s
+    group by 1
+    having sum(s.clicks) > 0
+  ),
+  previous_clicks as (
+    select s.url_id, sum(s.clicks)::bigint as clicks
+    from (
+      select c.url_id, count(*) as clicks
+      from url_clicks c
+      where c.click_time >= p_previous_start and c.click_time < p_start and not c.is_bot
+      group by 1
+      union all
+      select d.url_id, d.clicks
+      from url_clicks_daily d
+      where d.day >= (p_previous_start at time zone p_timezone)::date
+        and d.day < (p_start at time zone p_timezone)::date
+    ) s
+    group by 1
+  ),
+  conversions as (
+    select v.url_id, count(*) as conversions
+    from url_conversions v
+    where v.created_at >= p_start and v.created_at < p_end
+    group by 1
+  )
+  select
+    u.id,
+    u.name,
+    u.slug,
+    cc.clicks,
+    cc.unique_visitors,
+    coalesce(cv.conversions, 0),
+    coalesce(pc.clicks, 0)
+  from current_clicks cc
+  join urls_snapbox u on u.id = cc.url_id
+  left join previous_clicks pc on pc.url_id = cc.url_id
+  left join conversions cv on cv.url_id = cc.url_id
+  order by cc.clicks desc, u.name
+  limit p_limit;
+$$;
@@ -0,0 +1,4 @@
+-- Envios do resumo que falharam podem ser retomados: attempts limita as
+-- tentativas e recipients guarda quem já recebeu
+alter table digest_runs
+  add column if not exists attempts integer not null default 1;
@@ -0,0 +1,11 @@
+-- Agendamentos com falhas seguidas (ex.: template removido) deixam de ser
+-- executados: failure_count conta as falhas e o status "failed" encerra o
+-- agendamento depois do limite
+
+alter table email_schedules
+  add column if not exists failure_count integer not null default 0;
+
+alter table email_schedules drop constraint if exists email_schedules_status_check;
+alter table email_schedules
+  add constraint email_schedules_status_check
+    check (status in ('scheduled', 'completed', 'cancelled', 'failed'));
@@ -0,0 +1,11 @@
+-- Presets de parâmetros por organização: cada organização vê e usa apenas
+-- os seus, e nomes só precisam ser únicos dentro da organização
+
+alter table url_param_presets add column if not exists organization_id uuid references organizations(id) on delete cascade;
+
+update url_param_presets set organization_id = (select id from organizations order by created_at limit 1) where organization_id is null;
+
+alter table url_param_presets alter column organization_id set not null;
+
+alter table url_param_presets drop constraint if exists url_param_presets_name_key;
+create unique index if not exists url_param_presets_name_idx on url_param_presets (organization_id, lower(name));
@@ -0,0 +1,38 @@
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 50;
+
+/**
+ * Normaliza uma lista de tags livres. Aceita array, string JSON (multipart)
+ * ou texto separado por vírgulas.
+ * @param {string[]|string} value
+ * @returns {{tags?: string[], error?: string}}
+ */
+export const parseTags = (value) => {
+  let list = value;
+
+  if (typeof list === 'string') {
+    let parsed;
+    try {
+      parsed = JSON.parse(list);
+    } catch (error) {
+      parsed = null;
+    }
+    // Só um array JSON é tratado como lista; "2024" ou "true" são uma tag
+    list = Array.isArray(parsed) ? parsed : list.split(',');
+  }
+
+  if (!Array.isArray(list)) {
+    return { error: 'Tags devem ser uma lista' };
+  }
+
+  const tags = [...new Set(list.map(tag => String(tag).trim()).filter(Boolean))];
+
+  if (tags.length > MAX_TAGS) {
+    return { error: `Máximo de ${MAX_TAGS} tags` };
+  }
+  if (tags.some(tag => tag.length > MAX_TAG_LENGTH)) {
+    return { error: `Tags devem ter até ${MAX_TAG_LENGTH} caracteres` };
+  }
+
+  return { tags };
+};
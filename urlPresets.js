@@ -0,0 +1,125 @@
+const KEY_PATTERN = /^[a-zA-Z0-9_.-]{1,64}$/;
+
+const DEFAULT_NORMALIZATION = {
+  lowercase: true,     // "Instagram" -> "instagram"
+  whitespace: '_',     // caractere que substitui espaços ('' remove)
+  strip_accents: true  // "promoção" -> "promocao"
+};
+
+const toStringArray = (value) => {
+  if (value === undefined || value === null) return null;
+  if (!Array.isArray(value)) return undefined;
+  return value.map(String);
+};
+
+/**
+ * Valida e normaliza o corpo de criação/edição de um preset
+ * @param {object} body
+ * @param {boolean} partial true em edições (campos ausentes são mantidos)
+ * @returns {{preset?: object, error?: string}}
+ */
+export const parsePresetInput = (body, partial = false) => {
+  const { name, description, required_keys, allowed_keys, defaults, normalization } = body;
+  const preset = {};
+
+  if (!partial || name !== undefined) {
+    if (!name || typeof name !== 'string') return { error: 'Nome do preset é obrigatório' };
+    preset.name = name.trim();
+  }
+
+  if (description !== undefined) preset.description = description || null;
+
+  for (const [field, value] of [['required_keys', required_keys], ['allowed_keys', allowed_keys]]) {
+    if (partial && value === undefined) continue;
+    const keys = toStringArray(value);
+    if (keys === undefined || (keys && !keys.every(k => KEY_PATTERN.test(k)))) {
+      return { error: `${field} deve ser uma lista de chaves válidas` };
+    }
+    preset[field] = field === 'required_keys' ? keys || [] : keys;
+  }
+
+  if (!partial || defaults !== undefined) {
+    const values = defaults || {};
+    if (typeof values !== 'object' || Array.isArray(values) || !Object.keys(values).every(k => KEY_PATTERN.test(k))) {
+      return { error: 'defaults deve ser um objeto de parâmetros' };
+    }
+    preset.defaults = values;
+  }
+
+  if (!partial || normalization !== undefined) {
+    preset.normalization = { ...DEFAULT_NORMALIZATION, ...(normalization || {}) };
+  }
+
+  const allowed = preset.allowed_keys ?? allowed_keys;
+  const required = preset.required_keys ?? required_keys ?? [];
+  if (allowed && !required.every(k => allowed.includes(k))) {
+    return { error: 'Todas as chaves obrigatórias devem estar entre as permitidas' };
+  }
+
+  return { preset };
+};
+
+/**
+ * Normaliza o valor de um parâmetro conforme as regras do preset
+ * @param {string} value
+ * @param {object} normalization
+ * @returns {string}
+ */
+export const normalizeValue = (value, normalization = DEFAULT_NORMALIZATION) => {
+  let normalized = String(value).trim();
+  if (normalization.strip_accents) {
+    normalized = normalized.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+  }
+  if (normalization.lowercase) {
+    normalized = normalized.toLowerCase();
+  }
+  if (typeof normalization.whitespace === 'string') {
+    normalized = normalized.replace(/\s+/g, normalization.whitespace);
+  }
+  return normalized;
+};
+
+/**
+ * Monta a URL parametrizada preservando a query string e o fragmento
+ * já existentes na URL base. Com preset, aplica os valores padrão, valida
+ * as chaves obrigatórias/permitidas e normaliza os valores informados.
+ * @param {string} baseUrl
+ * @param {object} params
+ * @param {object|null} preset linha de url_param_presets
+ * @returns {{url?: string, error?: string}}
+ */
+export const buildParametrizedUrl = (baseUrl, params = {}, preset = null) => {
+  let url;
+  try {
+    url = new URL(baseUrl);
+  } catch (error) {
+    return { error: 'URL base inválida' };
+  }
+
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    return { error: 'URL base deve usar http ou https' };
+  }
+
+  const values = { ...(preset?.defaults || {}), ...params };
+
+  if (preset) {
+    const missing = preset.required_keys.filter(key => !values[key]);
+    if (missing.length) {
+      return { error: `Parâmetros obrigatórios ausentes: ${missing.join(', ')}` };
+    }
+
+    if (preset.allowed_keys) {
+      const notAllowed = Object.keys(values).filter(key => !preset.allowed_keys.includes(key));
+      if (notAllowed.length) {
+        return { error: `Parâmetros não permitidos pelo preset: ${notAllowed.join(', ')}` };
+      }
+    }
+  }
+
+  for (const [key, value] of Object.entries(values)) {
+    if (value === undefined || value === null || value === '') continue;
+    url.searchParams.set(key, preset ? normalizeValue(value, preset.normalization) : String(value));
+  }
+
+  return { url: url.toString() };
+};
@@ -0,0 +1,56 @@
+import { UAParser } from 'ua-parser-js';
+import { createIsbotFromList, list as botPatterns } from 'isbot';
+
+// Complementa a lista mantida do isbot com ferramentas usadas por
+// scanners de segurança e clientes HTTP genéricos
+const EXTRA_BOT_PATTERNS = [
+  'curl/',
+  'wget/',
+  'python-requests',
+  'go-http-client',
+  'okhttp',
+  'axios/',
+  'node-fetch',
+  'headlesschrome',
+  'proofpoint',
+  'mimecast',
+  'barracuda',
+  'safelinks'
+];
+
+const isBot = createIsbotFromList([...botPatterns, ...EXTRA_BOT_PATTERNS]);
+
+const DEVICE_TYPES = {
+  mobile: 'mobile',
+  wearable: 'mobile',
+  tablet: 'tablet',
+  smarttv: 'other',
+  console: 'other',
+  embedded: 'other'
+};
+
+const DESKTOP_OS = ['Windows', 'Mac OS', 'macOS', 'Linux', 'Ubuntu', 'Debian', 'Fedora', 'Chromium OS'];
+
+/**
+ * Classifica o acesso a partir do User-Agent
+ * @param {string|null} userAgent
+ * @returns {{device_type: 'desktop'|'mobile'|'tablet'|'other', os: string|null, browser: string|null, is_bot: boolean}}
+ */
+export const classifyUserAgent = (userAgent) => {
+  // Sem User-Agent, quase sempre é um script ou scanner
+  if (!userAgent) {
+    return { device_type: 'other', os: null, browser: null, is_bot: true };
+  }
+
+  const { browser, os, device } = new UAParser(userAgent).getResult();
+
+  let deviceType = DEVICE_TYPES[device.type] || 'other';
+  if (!device.type && DESKTOP_OS.includes(os.name)) deviceType = 'desktop';
+
+  return {
+    device_type: deviceType,
+    os: os.name || null,
+    browser: browser.name || null,
+    is_bot: isBot(userAgent)
+  };
+};
@@ -0,0 +1,200 @@
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import supabase from './supabase.js';
+
+const TABLE_NAME = 'verification_codes';
+
+const DEFAULT_OPTIONS = {
+  ttlSeconds: 5 * 60,       // validade do código
+  maxAttempts: 5,           // tentativas antes do bloqueio
+  lockoutSeconds: 15 * 60,  // duração do bloqueio (novos códigos não zeram as tentativas)
+  resendCooldownSeconds: 60 // intervalo mínimo entre envios para o mesmo e-mail
+};
+
+/**
+ * Backend em memória (desenvolvimento/testes). Os dados se perdem ao reiniciar.
+ * Registros: { email, code_hash, expires_at, attempts, locked_until, created_at }
+ */
+export const createMemoryBackend = () => {
+  const records = new Map();
+
+  return {
+    get: async (email) => records.get(email) || null,
+    save: async (record) => {
+      records.set(record.email, { ...record });
+    },
+    reserveAttempt: async (email, { maxAttempts, lockoutSeconds }) => {
+      const record = records.get(email);
+      const now = new Date();
+      if (!record || record.attempts >= maxAttempts) return null;
+      if (record.locked_until && new Date(record.locked_until) > now) return null;
+
+      record.attempts += 1;
+      if (record.attempts >= maxAttempts) {
+        record.locked_until = new Date(now.getTime() + lockoutSeconds * 1000).toISOString();
+      }
+      return record.attempts;
+    },
+    remove: async (email) => {
+      records.delete(email);
+    },
+    purgeExpired: async (now) => {
+      for (const [email, record] of records) {
+        const locked = record.locked_until && new Date(record.locked_until) > now;
+        if (new Date(record.expires_at) <= now && !locked) records.delete(email);
+      }
+    }
+  };
+};
+
+/**
+ * Backend persistente na tabela verification_codes do Supabase
+ * @param {import('@supabase/supabase-js').SupabaseClient} client
+ */
+export const createSupabaseBackend = (client = supabase) => ({
+  get: async (email) => {
+    const { data, error } = await client
+      .from(TABLE_NAME)
+      .select('*')
+      .eq('email', email)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  },
+  save: async (record) => {
+    const { error } = await client
+      .from(TABLE_NAME)
+      .upsert(record, { onConflict: 'email' });
+
+    if (error) throw error;
+  },
+  reserveAttempt: async (email, { maxAttempts, lockoutSeconds }) => {
+    // Reserva atômica no banco: tentativas simultâneas não passam do limite
+    const { data, error } = await client.rpc('reserve_verification_attempt', {
+      p_email: email,
+      p_max_attempts: maxAttempts,
+      p_lockout_seconds: lockoutSeconds
+    });
+
+    if (error) throw error;
+    return data ?? null;
+  },
+  remove: async (email) => {
+    const { error } = await client
+      .from(TABLE_NAME)
+      .delete()
+      .eq('email', email);
+
+    if (error) throw error;
+  },
+  purgeExpired: async (now) => {
+    // E-mails bloqueados ficam até o fim do bloqueio
+    const { error } = await client
+      .from(TABLE_NAME)
+      .delete()
+      .lt('expires_at', now.toISOString())
+      .or(`locked_until.is.null,locked_until.lt.${now.toISOString()}`);
+
+    if (error) throw error;
+  }
+});
+
+/**
+ * Armazena códigos de verificação com hash, expiração absoluta,
+ * limite de tentativas e intervalo mínimo entre reenvios. As tentativas
+ * valem por e-mail (não por código) e só são zeradas após o bloqueio.
+ * @param {object} backend createMemoryBackend() ou createSupabaseBackend()
+ * @param {object} [options]
+ */
+export const createCodeStore = (backend, options = {}) => {
+  const { ttlSeconds, maxAttempts, lockoutSeconds, resendCooldownSeconds } = { ...DEFAULT_OPTIONS, ...options };
+
+  return {
+    ttlSeconds,
+
+    /**
+     * Gera e armazena um novo código, substituindo o anterior. As tentativas
+     * já usadas são mantidas, exceto depois de um bloqueio encerrado.
+     * @param {string} email
+     * @returns {Promise<{code?: string, retryAfter?: number}>}
+     *   retryAfter (segundos) é retornado quando o reenvio ainda está bloqueado
+     */
+    issue: async (email) => {
+      const now = new Date();
+      const existing = await backend.get(email);
+      let attempts = 0;
+
+      if (existing) {
+        const lockedUntil = existing.locked_until ? new Date(existing.locked_until) : null;
+        if (lockedUntil && lockedUntil > now) {
+          return { retryAfter: Math.ceil((lockedUntil - now) / 1000) };
+        }
+
+        const elapsed = (now - new Date(existing.created_at)) / 1000;
+        if (elapsed < resendCooldownSeconds) {
+          return { retryAfter: Math.ceil(resendCooldownSeconds - elapsed) };
+        }
+
+        if (!lockedUntil) attempts = existing.attempts || 0;
+      }
+
+      const code = crypto.randomInt(100000, 1000000).toString();
+
+      await backend.save({
+        email,
+        code_hash: await bcrypt.hash(code, 10),
+        expires_at: new Date(now.getTime() + ttlSeconds * 1000).toISOString(),
+        attempts,
+        locked_until: null,
+        created_at: now.toISOString()
+      });
+
+      return { code };
+    },
+
+    /**
+     * Confere o código informado. O código é consumido em caso de sucesso.
+     * @param {string} email
+     * @param {string} code
+     * @returns {Promise<{valid: boolean, reason?: 'not_found'|'expired'|'locked'|'invalid'}>}
+     */
+    verify: async (email, code) => {
+      const record = await backend.get(email);
+
+      if (!record) return { valid: false, reason: 'not_found' };
+
+      // O registro expirado é mantido para não zerar as tentativas
+      if (new Date(record.expires_at) <= new Date()) {
+        return { valid: false, reason: 'expired' };
+      }
+
+      // A tentativa é reservada antes da comparação: palpites em paralelo
+      // não passam do limite
+      const attempts = await backend.reserveAttempt(email, { maxAttempts, lockoutSeconds });
+      if (attempts === null) {
+        return { valid: false, reason: 'locked' };
+      }
+
+      const matches = await bcrypt.compare(String(code), record.code_hash);
+
+      if (!matches) {
+        return { valid: false, reason: attempts >= maxAttempts ? 'locked' : 'invalid' };
+      }
+
+      await backend.remove(email);
+      return { valid: true };
+    },
+
+    /**
+     * Descarta o código de um e-mail (ex.: quando o envio falha)
+     * @param {string} email
+     */
+    discard: (email) => backend.remove(email),
+
+    /**
+     * Remove códigos expirados
+     */
+    purgeExpired: () => backend.purgeExpired(new Date())
+  };
+};